@@ -1,49 +1,68 @@
 import { applyCORS, handlePreflight } from '../utils/cors.js';
+import { authenticateRequest } from '../utils/auth.js';
 import { log, logSuccessSampled, randomUUID } from '../logger.js';
-
-// Dynamic import for providers to avoid ESM/CJS issues
-async function getProviders() {
-	const openaiProvider = await import('../lib/providers/openai.js');
-	const deepseekProvider = await import('../lib/providers/deepseek.js');
-	const geminiProvider = await import('../lib/providers/gemini.js');
-	const anthropicProvider = await import('../lib/providers/anthropic.js');
-	return { openaiProvider, deepseekProvider, geminiProvider, anthropicProvider };
-}
-
-const POCKETBASE_URL =
-	process.env.POCKETBASE_URL || 'https://pb.hellofable.com';
-
-let PocketBaseCtor = null;
-async function getPocketBaseCtor() {
-	if (!PocketBaseCtor) {
-		const mod = await import('pocketbase');
-		PocketBaseCtor = mod?.default ?? mod.PocketBase ?? mod;
-	}
-	return PocketBaseCtor;
-}
+import { reserveTokens, settleReservation, releaseReservation } from '../lib/token-ledger.js';
+import { getProviderRegistry } from '../lib/ai-providers.js';
+import { resolveProviderChain, runWithFailover } from '../lib/ai-failover.js';
+import { validateMessages, buildConversation, conversationBytes } from '../lib/ai-messages.js';
+import { loadConversation, saveConversationTurn } from '../lib/ai-conversations.js';
+import { normalizeResponseFormat, generateStructured } from '../lib/structured-output.js';
+import { getModelCatalog, planForUser, selectModel, modelsForChain } from '../lib/model-catalog.js';
+import { calculateCost, maxAffordableOutputTokens } from '../lib/pricing.js';
+import {
+	buildCacheKey,
+	cacheHitCost,
+	CACHE_HIT_COST_RATIO,
+	isResponseCacheEnabled,
+	readCachedResponse,
+	writeCachedResponse
+} from '../lib/response-cache.js';
+import { recordUsage } from '../lib/ai-usage.js';
+import { authorizeScreenplay } from './screenplays/access.js';
 
 function jsonResponse(res, status, payload) {
 	return res.status(status).json(payload);
 }
 
-function decodePocketBaseToken(token) {
-	try {
-		const [, payload] = token.split('.');
-		if (!payload) return null;
-		const decoded = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
-		return decoded;
-  } catch (error) {
-    log('error', 'ai_decode_token_fail', { message: error?.message });
-    return null;
-  }
-}
-
 function normalizeNumber(value, fallback = 0) {
 	const parsed = Number(value);
 	return Number.isFinite(parsed) ? parsed : fallback;
 }
 
-// Provider registry will be created inside handler via getProviders()
+function wantsEventStream(req) {
+	if (req.body?.stream === true) return true;
+	const accept = String(req.headers.accept || '');
+	return accept.includes('text/event-stream');
+}
+
+// Lazily opened SSE channel: headers are only sent once the first frame goes out,
+// so failures before any text arrives can still be answered with a normal JSON status.
+function createEventStream(res) {
+	let open = false;
+	function ensureOpen() {
+		if (open) return;
+		open = true;
+		res.status(200);
+		res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+		res.setHeader('Cache-Control', 'no-cache, no-transform');
+		res.setHeader('Connection', 'keep-alive');
+		res.setHeader('X-Accel-Buffering', 'no');
+		res.flushHeaders?.();
+	}
+	return {
+		get isOpen() {
+			return open;
+		},
+		send(event, payload) {
+			ensureOpen();
+			if (res.writableEnded) return;
+			res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+		},
+		end() {
+			if (open && !res.writableEnded) res.end();
+		}
+	};
+}
 
 export default async function handler(req, res) {
     const requestId = randomUUID();
@@ -63,10 +82,39 @@ export default async function handler(req, res) {
         return jsonResponse(res, 405, { success: false, error: 'Method not allowed' });
     }
 
-	const { systemPrompt, prompt, estimatedTokens = 100, provider = 'openai' } = req.body || {};
+	const {
+		systemPrompt,
+		prompt,
+		messages,
+		threadId,
+		screenplayId,
+		saveConversation = false,
+		responseSchema,
+		schemaName,
+		estimatedTokens = 100,
+		provider = 'openai',
+		model,
+		failover,
+		cache = true,
+		feature
+	} = req.body || {};
+	// Free-form tag ("synopsis", "script_doctor", ...) used to group usage history
+	const featureTag = typeof feature === 'string' && feature.trim() ? feature.trim().slice(0, 64) : 'general';
+	const streaming = wantsEventStream(req);
+	const eventStream = streaming ? createEventStream(res) : null;
 	const normalizedEstimate = Math.max(1, normalizeNumber(estimatedTokens, 100));
 
-    if (!prompt || typeof prompt !== 'string') {
+    const messagesError = validateMessages(messages);
+    if (messagesError) {
+        log('error', 'ai_invalid_request', { request_id: requestId, reason: 'invalid_messages' });
+        return jsonResponse(res, 400, {
+            success: false,
+            error: messagesError
+        });
+    }
+
+    const hasMessages = Array.isArray(messages) && messages.length > 0;
+    if ((!hasMessages && !prompt) || (prompt !== undefined && typeof prompt !== 'string')) {
         log('error', 'ai_invalid_request', { request_id: requestId, reason: 'missing_prompt' });
         return jsonResponse(res, 400, {
             success: false,
@@ -74,58 +122,118 @@ export default async function handler(req, res) {
         });
     }
 
-	const authHeader = req.headers.authorization || '';
-    if (!authHeader.startsWith('Bearer ')) {
-        log('error', 'ai_auth_fail', { request_id: requestId, reason: 'missing_bearer' });
-        return jsonResponse(res, 401, {
+    const { responseFormat, error: schemaError } = normalizeResponseFormat({ responseSchema, schemaName });
+    if (schemaError || (responseFormat && streaming)) {
+        log('error', 'ai_invalid_request', { request_id: requestId, reason: 'invalid_schema' });
+        return jsonResponse(res, 400, {
             success: false,
-            error: 'Unauthorized - missing token'
+            error: schemaError || 'Structured output cannot be combined with streaming'
         });
     }
 
-	const pbToken = authHeader.replace('Bearer ', '');
-	const tokenPayload = decodePocketBaseToken(pbToken);
-	const userId =
-		tokenPayload?.recordId ||
-		tokenPayload?.id ||
-		tokenPayload?.sub ||
-		null;
-
-    if (!userId) {
-        log('error', 'ai_auth_fail', { request_id: requestId, reason: 'invalid_token' });
-        return jsonResponse(res, 401, {
+	const auth = await authenticateRequest(req);
+    if (!auth.user) {
+        log('error', 'ai_auth_fail', { request_id: requestId, reason: auth.error });
+        return jsonResponse(res, auth.status, {
             success: false,
-            error: 'Unauthorized - invalid token'
+            error: auth.message
         });
     }
+	const userId = auth.user.id;
+	const userRecord = auth.user.record;
 
-	const PocketBase = await getPocketBaseCtor();
-	const pb = new PocketBase(POCKETBASE_URL);
-	pb.authStore.save(pbToken, null);
-
+	let reservation = null;
 	try {
-		const user = await pb.collection('users').getOne(userId);
-		const tokensAvailable = normalizeNumber(user?.tokensAvailable);
-		const tokensUsed = normalizeNumber(user?.tokensUsed);
+		// Existing threads contribute their stored turns; the request only carries new ones
+		let thread = null;
+		if (threadId) {
+			thread = await loadConversation(String(threadId), userId);
+			if (!thread) {
+				return jsonResponse(res, 404, {
+					success: false,
+					error: 'Conversation not found'
+				});
+			}
+		}
 
-		if (tokensAvailable < normalizedEstimate) {
-			return jsonResponse(res, 400, {
-				success: false,
-				error: 'Insufficient tokens',
-				tokensAvailable,
-				tokensUsed
+		// Threads keep the screenplay they were started for. Every request linked to a
+		// screenplay, new thread or not, needs the caller to still be able to view it
+		if (!thread?.screenplayId && screenplayId && typeof screenplayId !== 'string') {
+			return jsonResponse(res, 400, { success: false, error: 'screenplayId must be a string' });
+		}
+		const linkedScreenplayId = thread?.screenplayId || screenplayId || null;
+		if (linkedScreenplayId) {
+			const access = await authorizeScreenplay(linkedScreenplayId, userId, 'view');
+			if (!access.allowed) {
+				log('warn', 'ai_screenplay_forbidden', { request_id: requestId, screenplayId: linkedScreenplayId, code: access.code });
+				return jsonResponse(res, access.status, { success: false, error: access.error });
+			}
+		}
+
+		let conversation;
+		try {
+			conversation = buildConversation({
+				prompt,
+				messages: [...(thread?.messages ?? []), ...(hasMessages ? messages : [])]
 			});
+		} catch (error) {
+			return jsonResponse(res, 400, { success: false, error: error.message });
 		}
 
-		// Load providers dynamically and validate provider
-        const { openaiProvider, deepseekProvider, geminiProvider, anthropicProvider } = await getProviders();
-        const REGISTRY = { openai: openaiProvider, deepseek: deepseekProvider, gemini: geminiProvider, anthropic: anthropicProvider };
-        const selectedProvider = REGISTRY[provider] || REGISTRY.openai;
-        const providerName = provider in REGISTRY ? provider : 'openai';
-        if (provider !== providerName) {
-            log('warn', 'ai_unknown_provider', { request_id: requestId, requested: provider, using: providerName });
+		// Load providers dynamically, pick the model from the catalog and resolve the failover chain
+        const REGISTRY = await getProviderRegistry();
+        const catalog = getModelCatalog(REGISTRY);
+        const plan = planForUser(userRecord);
+        const selection = selectModel({ catalog, provider, model, plan });
+        if (selection.error) {
+            log('warn', 'ai_model_rejected', { request_id: requestId, model, plan, status: selection.status });
+            return jsonResponse(res, selection.status, {
+                success: false,
+                error: selection.error
+            });
         }
-        log('info', 'ai_provider_selected', { request_id: requestId, provider: providerName });
+        const requestedProvider = selection.entry?.provider ?? provider;
+        const resolution = resolveProviderChain({ provider: requestedProvider, failover, registry: REGISTRY });
+        if (resolution.error) {
+            log('warn', 'ai_provider_rejected', { request_id: requestId, provider: requestedProvider, failover, status: resolution.status });
+            return jsonResponse(res, resolution.status, {
+                success: false,
+                error: resolution.error
+            });
+        }
+        const providerChain = resolution.chain;
+        const providerName = providerChain[0];
+        const chainModels = modelsForChain({ catalog, chain: providerChain, selected: selection.entry });
+        log('info', 'ai_provider_selected', {
+            request_id: requestId,
+            provider: providerName,
+            model: chainModels[providerName]?.model,
+            chain: providerChain
+        });
+
+        // Rough guard (~4 bytes per token) against prompts the chosen model cannot hold
+        const contextWindow = chainModels[providerName]?.contextWindow;
+        const promptBytes = conversationBytes(conversation) + (typeof systemPrompt === 'string' ? Buffer.byteLength(systemPrompt, 'utf8') : 0);
+        if (contextWindow && Math.ceil(promptBytes / 4) > contextWindow) {
+            return jsonResponse(res, 400, {
+                success: false,
+                error: `Prompt exceeds the ${contextWindow}-token context window of ${chainModels[providerName].id}`
+            });
+        }
+
+        // Priced by whichever provider and model actually answered; catalog entries may carry their own rates
+        const costBreakdownFor = (result) => {
+            const entry = chainModels[result.provider];
+            return calculateCost({
+                provider: result.provider,
+                model: result.model,
+                inputTokens: result.inputTokens,
+                outputTokens: result.outputTokens,
+                cachedInputTokens: result.cachedInputTokens,
+                reasoningTokens: result.reasoningTokens,
+                pricing: entry?.model === result.model ? entry.pricing : undefined
+            });
+        };
 
 		// Log prompts being sent to the provider for server-side debugging
         // Avoid logging raw prompt content at info; keep sizes at debug only.
@@ -133,17 +241,148 @@ export default async function handler(req, res) {
             request_id: requestId,
             has_system_prompt: typeof systemPrompt === 'string',
             system_prompt_bytes: typeof systemPrompt === 'string' ? Buffer.byteLength(systemPrompt, 'utf8') : 0,
-            prompt_bytes: Buffer.byteLength(prompt || '', 'utf8'),
+            prompt_bytes: conversationBytes(conversation),
+            turns: conversation.length,
             estimated_tokens: normalizedEstimate
         });
 
-		// Generate synopsis using selected provider
-		const result = await selectedProvider.generateSynopsis({
+		// Hold the estimate up front; settled against real usage (or released) below
+		try {
+			reservation = await reserveTokens(userId, normalizedEstimate, {
+				requestId,
+				provider: providerName,
+				model: chainModels[providerName]?.model
+			});
+		} catch (error) {
+			if (error?.code !== 'insufficient_tokens') throw error;
+			return jsonResponse(res, 400, {
+				success: false,
+				error: 'Insufficient tokens',
+				tokensAvailable: error.tokensAvailable,
+				tokensUsed: error.tokensUsed
+			});
+		}
+
+		// Generate synopsis using selected provider; in streaming mode text deltas are
+		// forwarded as they arrive and the account is only debited once usage is known.
+		const generationParams = {
 			systemPrompt,
-			prompt,
+			messages: conversation,
 			maxTokens: 8192,
 			temperature: 0.7
-		});
+		};
+
+		// Identical requests to the same model are answered from the response cache when enabled
+		const cacheKey = isResponseCacheEnabled() && cache !== false
+			? buildCacheKey({
+				provider: providerName,
+				model: chainModels[providerName]?.model,
+				systemPrompt,
+				messages: conversation,
+				temperature: generationParams.temperature,
+				responseFormat
+			})
+			: null;
+		const cachedResponse = cacheKey ? await readCachedResponse(cacheKey) : null;
+
+		let outcome;
+		if (cachedResponse) {
+			log('info', 'ai_response_cache_hit', { request_id: requestId, provider: providerName });
+			outcome = { result: cachedResponse.result, providerName, attempts: [] };
+			eventStream?.send('delta', { text: cachedResponse.result.synopsis });
+		} else {
+			try {
+				outcome = await runWithFailover({
+					chain: providerChain,
+					registry: REGISTRY,
+					requestId,
+					call: (providerModule, name, { signal, markStarted }) => {
+						const entry = chainModels[name];
+						// Output stops where the reservation runs out, so usage cannot outrun it
+						const affordableTokens = maxAffordableOutputTokens({
+							provider: name,
+							model: entry?.model,
+							pricing: entry?.pricing,
+							inputTokens: Math.ceil(promptBytes / 4),
+							budget: reservation.amount
+						});
+						const params = {
+							...generationParams,
+							model: entry?.model,
+							maxTokens: Math.min(
+								generationParams.maxTokens,
+								entry?.maxOutputTokens || generationParams.maxTokens,
+								affordableTokens ?? generationParams.maxTokens
+							)
+						};
+						if (streaming) {
+							return providerModule.streamSynopsis({
+								...params,
+								signal,
+								onDelta: (text) => {
+									markStarted();
+									eventStream.send('delta', { text });
+								}
+							});
+						}
+						if (responseFormat) {
+							return generateStructured({
+								requestId,
+								responseFormat,
+								messages: conversation,
+								invoke: (overrides) => providerModule.generateSynopsis({ ...params, ...overrides, signal })
+							});
+						}
+						return providerModule.generateSynopsis({ ...params, signal });
+					}
+				});
+			} catch (error) {
+				if (error?.status !== 422 || !error.result) throw error;
+				// The provider calls (repairs included) really happened, so they are billed before reporting failure
+				const failedBreakdown = costBreakdownFor(error.result);
+				const failedCost = failedBreakdown.internalTokens;
+				const settledReservation = reservation;
+				reservation = null;
+				const balances = await settleReservation(settledReservation, failedCost, {
+					provider: error.result.provider,
+					model: error.result.model,
+					metadata: { outcome: 'schema_validation_failed', costUsd: failedBreakdown.usd.total }
+				});
+				await recordUsage({
+					userId,
+					requestId,
+					provider: error.result.provider,
+					model: error.result.model,
+					feature: featureTag,
+					screenplayId: linkedScreenplayId,
+					threadId: thread?.id,
+					inputTokens: error.result.inputTokens,
+					outputTokens: error.result.outputTokens,
+					cachedInputTokens: error.result.cachedInputTokens,
+					reasoningTokens: error.result.reasoningTokens,
+					totalTokens: error.result.totalTokens,
+					tokenCost: failedCost,
+					costUsd: failedBreakdown.usd.total,
+					outcome: 'schema_validation_failed'
+				});
+				return jsonResponse(res, 422, {
+					success: false,
+					error: error.message,
+					validationErrors: error.validationErrors,
+					lastOutput: error.lastOutput,
+					tokenCost: failedCost,
+					costBreakdown: failedBreakdown,
+					tokensAvailable: balances.tokensAvailable,
+					tokensUsed: balances.tokensUsed,
+					providerAttempts: error.attempts ?? null
+				});
+			}
+		}
+		const {
+			result,
+			providerName: answeredBy,
+			attempts: providerAttempts
+		} = outcome;
 
 		// Server-side log of the response text and basic metadata
         // Provider metadata at info; response content not logged by default
@@ -160,31 +399,45 @@ export default async function handler(req, res) {
             synopsis_bytes: Buffer.byteLength(result?.synopsis || '', 'utf8')
         });
 
-		// Calculate internal token cost using provider-specific pricing
-		const internalTokenCost = selectedProvider.calculateTokenCost(
-			result.inputTokens,
-			result.outputTokens
-		);
+		// Cache hits cost a fixed share of what the original reply cost; no provider was paid
+		const costBreakdown = cachedResponse
+			? {
+				cached: true,
+				originalInternalTokens: cachedResponse.tokenCost,
+				hitCostRatio: CACHE_HIT_COST_RATIO,
+				internalTokens: cacheHitCost(cachedResponse.tokenCost),
+				usd: { total: 0 }
+			}
+			: costBreakdownFor(result);
+		const internalTokenCost = costBreakdown.internalTokens;
 
-        if (internalTokenCost > tokensAvailable) {
-            return jsonResponse(res, 400, {
-                success: false,
-                error: 'Insufficient tokens',
-                tokensAvailable,
-                tokensUsed
-            });
-        }
-
-		const nextTokensAvailable = Math.max(
-			0,
-			tokensAvailable - internalTokenCost
-		);
-		const nextTokensUsed = tokensUsed + internalTokenCost;
+		const settledReservation = reservation;
+		reservation = null;
+		const {
+			tokensAvailable: nextTokensAvailable,
+			tokensUsed: nextTokensUsed
+		} = await settleReservation(settledReservation, internalTokenCost, {
+			provider: result.provider,
+			model: result.model,
+			metadata: { costUsd: costBreakdown.usd.total, cached: Boolean(cachedResponse) }
+		});
 
-        await pb.collection('users').update(userId, {
-            tokensAvailable: nextTokensAvailable,
-            tokensUsed: nextTokensUsed
-        });
+		if (cacheKey && !cachedResponse && answeredBy === providerName) {
+			await writeCachedResponse(cacheKey, {
+				result: {
+					synopsis: result.synopsis,
+					structured: result.structured ?? null,
+					model: result.model,
+					provider: result.provider,
+					inputTokens: result.inputTokens,
+					outputTokens: result.outputTokens,
+					cachedInputTokens: result.cachedInputTokens ?? 0,
+					reasoningTokens: result.reasoningTokens ?? 0,
+					totalTokens: result.totalTokens
+				},
+				tokenCost: internalTokenCost
+			});
+		}
 
         const durationMs = Date.now() - startTime;
         logSuccessSampled('ai_ok', {
@@ -193,34 +446,109 @@ export default async function handler(req, res) {
             model: result.model,
             duration_ms: durationMs,
             token_cost: internalTokenCost,
+            feature: featureTag,
+            cost_usd: costBreakdown.usd.total,
             input_tokens: result.inputTokens,
             output_tokens: result.outputTokens,
-            total_tokens: result.totalTokens
+            total_tokens: result.totalTokens,
+            streamed: streaming,
+            cached: Boolean(cachedResponse),
+            failed_over: answeredBy !== providerName
         });
 
-		return jsonResponse(res, 200, {
+		let savedThreadId = thread?.id ?? null;
+		if (thread || saveConversation === true) {
+			try {
+				const saved = await saveConversationTurn({
+					thread,
+					userId,
+					screenplayId: linkedScreenplayId,
+					messages: conversation,
+					reply: result.synopsis,
+					provider: result.provider,
+					model: result.model
+				});
+				savedThreadId = saved?.id ?? savedThreadId;
+			} catch (error) {
+				log('error', 'ai_conversation_save_fail', { request_id: requestId, message: error?.message });
+			}
+		}
+
+		await recordUsage({
+			userId,
+			requestId,
+			provider: result.provider,
+			model: result.model,
+			feature: featureTag,
+			screenplayId: linkedScreenplayId,
+			threadId: savedThreadId,
+			inputTokens: result.inputTokens,
+			outputTokens: result.outputTokens,
+			cachedInputTokens: result.cachedInputTokens,
+			reasoningTokens: result.reasoningTokens,
+			totalTokens: result.totalTokens,
+			tokenCost: internalTokenCost,
+			costUsd: costBreakdown.usd.total,
+			cached: Boolean(cachedResponse),
+			streamed: streaming
+		});
+
+		const responsePayload = {
 			success: true,
+			cached: Boolean(cachedResponse),
 			response: result.synopsis,
+			data: result.structured ?? null,
+			repairAttempts: result.repairAttempts ?? 0,
 			tokensAvailable: nextTokensAvailable,
 			tokensUsed: nextTokensUsed,
 			model: result.model,
 			provider: result.provider,
+			requestedProvider: providerName,
+			requestedModel: chainModels[providerName]?.id ?? null,
+			plan,
+			providerAttempts,
 			tokenCost: internalTokenCost,
+			costBreakdown,
 			inputTokens: result.inputTokens,
 			outputTokens: result.outputTokens,
+			cachedInputTokens: result.cachedInputTokens ?? 0,
+			reasoningTokens: result.reasoningTokens ?? 0,
 			totalTokens: result.totalTokens,
+			threadId: savedThreadId,
 			// Expose raw provider response for debugging in browser
 			rawProviderResponse: result.raw ?? null
-		});
+		};
+
+		if (eventStream) {
+			eventStream.send('done', responsePayload);
+			return eventStream.end();
+		}
+		return jsonResponse(res, 200, responsePayload);
     } catch (error) {
         log('error', 'ai_error', { request_id: requestId, message: error?.message, name: error?.name });
+        if (reservation) {
+            await releaseReservation(reservation, 'request_failed').catch((releaseError) => {
+                log('error', 'ai_reservation_release_fail', {
+                    request_id: requestId,
+                    reservation_id: reservation.id,
+                    message: releaseError?.message
+                });
+            });
+        }
+        if (eventStream?.isOpen) {
+            eventStream.send('error', {
+                success: false,
+                error: error?.message || 'Internal server error',
+                providerAttempts: error?.attempts ?? null
+            });
+            return eventStream.end();
+        }
         const statusCode = error?.status || 500;
         return jsonResponse(res, statusCode, {
             success: false,
             error: error?.message || 'Internal server error',
+            providerAttempts: error?.attempts ?? null,
             rawProviderResponse: error?.raw ?? null
         });
-    } finally {
-        pb.authStore.clear();
     }
 }
@@ -0,0 +1,31 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log, randomUUID } from '../../logger.js';
+import { getProviderRegistry } from '../../lib/ai-providers.js';
+import { getModelCatalog, planForUser, listModelsForPlan, publicModel } from '../../lib/model-catalog.js';
+
+// GET /api/ai/models: the catalog entries the caller's plan may request from /api/ai
+export default async function handler(req, res) {
+  const requestId = randomUUID();
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    return res.status(auth.status).json({ success: false, error: auth.message });
+  }
+
+  try {
+    const plan = planForUser(auth.user);
+    const catalog = getModelCatalog(await getProviderRegistry());
+    const models = listModelsForPlan(catalog, plan).map(publicModel);
+    return res.status(200).json({ success: true, plan, models });
+  } catch (error) {
+    log('error', 'ai_models_error', { request_id: requestId, message: error?.message });
+    return res.status(500).json({ success: false, error: 'Failed to load models' });
+  }
+}
@@ -0,0 +1,79 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log, randomUUID } from '../../logger.js';
+import { parseUsageRange, summarizeUsage, listUsage } from '../../lib/ai-usage.js';
+
+const GROUPINGS = new Set(['day', 'month', 'none']);
+
+function clampInt(value, fallback, min, max) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+}
+
+// GET /api/ai/usage?from=&to=&groupBy=day|month|none&feature=&screenplayId=
+// Rollups by default; groupBy=none pages through the individual usage records instead.
+export default async function handler(req, res) {
+  const requestId = randomUUID();
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const query = req.query || {};
+  const groupBy = String(query.groupBy || 'day').toLowerCase();
+  if (!GROUPINGS.has(groupBy)) {
+    return res.status(400).json({ success: false, error: 'groupBy must be day, month or none' });
+  }
+  const range = parseUsageRange({ from: query.from, to: query.to });
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('warn', 'ai_usage_auth_fail', { request_id: requestId, reason: auth.error });
+    return res.status(auth.status).json({ success: false, error: auth.message });
+  }
+
+  const filters = {
+    userId: auth.user.id,
+    from: range.from,
+    to: range.to,
+    feature: query.feature ? String(query.feature) : null,
+    screenplayId: query.screenplayId ? String(query.screenplayId) : null,
+  };
+
+  try {
+    const base = {
+      success: true,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      groupBy,
+    };
+
+    if (groupBy === 'none') {
+      const page = await listUsage({
+        ...filters,
+        page: clampInt(query.page, 1, 1, 10000),
+        perPage: clampInt(query.perPage, 50, 1, 200),
+      });
+      return res.status(200).json({
+        ...base,
+        page: page.page,
+        perPage: page.perPage,
+        totalItems: page.totalItems,
+        totalPages: page.totalPages,
+        records: page.items,
+      });
+    }
+
+    const summary = await summarizeUsage({ ...filters, groupBy });
+    return res.status(200).json({ ...base, ...summary });
+  } catch (error) {
+    log('error', 'ai_usage_error', { request_id: requestId, message: error?.message });
+    return res.status(500).json({ success: false, error: 'Failed to load usage' });
+  }
+}
@@ -0,0 +1,170 @@
+import { log } from '../../logger.js';
+import { getAdminClient, escapeFilterValue } from '../../lib/pocketbase-admin.js';
+import { readScreenplayStatus } from './statusStore.js';
+
+const ACTIVITY_COLLECTION = 'screenplay_activity';
+
+// Access policy for every screenplay route. The owner comes from `scripts.userId`;
+// everyone else gets the role stored in `screenplay_status.roles` ({ [userId]: role }).
+// Validated collaborators without an explicit role are editors, which is what every
+// collaborator could do before roles existed.
+export const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+export const DEFAULT_COLLABORATOR_ROLE = 'editor';
+
+// Lowest role allowed to perform each action
+const ACTION_ROLES = {
+  view: 'viewer',
+  join_voice: 'viewer',
+  host_voice: 'owner',
+  comment: 'commenter',
+  save: 'editor',
+  seed: 'editor',
+  restore: 'editor',
+  update_status: 'editor',
+  sync_collaborators: 'owner',
+  manage_roles: 'owner',
+  force_unlock: 'owner',
+};
+
+// Platform admins may act on any screenplay: FABLE_ADMIN_USER_IDS is a comma-separated
+// list of user ids, and a user record with `isAdmin` set counts as well.
+const ADMIN_USER_IDS = new Set(
+  String(process.env.FABLE_ADMIN_USER_IDS || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean),
+);
+
+export function isAdminUser(user) {
+  if (!user?.id) return false;
+  return ADMIN_USER_IDS.has(user.id) || user.record?.isAdmin === true;
+}
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+export function isValidRole(role) {
+  return roleRank(role) !== -1;
+}
+
+export function roleAllows(role, action) {
+  const required = ACTION_ROLES[action];
+  if (!required) {
+    throw new Error(`Unknown screenplay action: ${action}`);
+  }
+  return roleRank(role) >= roleRank(required);
+}
+
+export function isUserCollaborator(statusRecord, userId) {
+  if (!statusRecord || !userId) return false;
+  const collaboratorIds = Array.isArray(statusRecord.collaboratorIds)
+    ? statusRecord.collaboratorIds
+    : Array.isArray(statusRecord.collaboratorsId)
+      ? statusRecord.collaboratorsId
+      : [];
+  if (collaboratorIds.includes(userId)) {
+    return true;
+  }
+  const detailedCollaborators = Array.isArray(statusRecord.collaborators)
+    ? statusRecord.collaborators
+    : [];
+  return detailedCollaborators.some((entry) => entry?.id === userId);
+}
+
+// Whether a GitHub account is on the repository collaborator list synced by
+// sync-collaborators.js; proving this is how a user becomes a validated collaborator.
+export function isGithubCollaborator(statusRecord, githubId) {
+  const id = String(githubId ?? '').trim();
+  if (!id) return false;
+  const collaborators = Array.isArray(statusRecord?.collaborators)
+    ? statusRecord.collaborators
+    : [];
+  return collaborators.some(
+    (entry) => String(entry?.githubId ?? entry?.id ?? '').trim() === id
+  );
+}
+
+export function getStoredRoles(statusRecord) {
+  const roles = statusRecord?.roles;
+  return roles && typeof roles === 'object' && !Array.isArray(roles) ? roles : {};
+}
+
+export function resolveRole(statusRecord, userId, ownerId) {
+  if (!userId) return null;
+  if (ownerId && ownerId === userId) return 'owner';
+  const stored = getStoredRoles(statusRecord)[userId];
+  // `owner` is never granted through the roles map
+  if (isValidRole(stored) && stored !== 'owner') return stored;
+  return isUserCollaborator(statusRecord, userId) ? DEFAULT_COLLABORATOR_ROLE : null;
+}
+
+// The first `scripts` record for a screenplay belongs to whoever created it. Read with
+// the admin client so the answer does not depend on the caller's list rules.
+export async function getScriptOwnerId(screenplayId) {
+  const pb = await getAdminClient();
+  try {
+    const record = await pb
+      .collection('scripts')
+      .getFirstListItem(`screenplayId = "${escapeFilterValue(screenplayId)}"`, {
+        sort: 'created',
+        fields: 'id,userId',
+        requestKey: null,
+      });
+    return record?.userId || null;
+  } catch (error) {
+    if (error?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Resolves to { allowed: true, role, ownerId, statusRecord } or
+// { allowed: false, status, code, error, role, statusRecord }. Pass `statusRecord`
+// when the route already loaded it.
+export async function authorizeScreenplay(screenplayId, userId, action, options = {}) {
+  const ownerId = await getScriptOwnerId(screenplayId);
+  if (!ownerId) {
+    return { allowed: false, status: 404, code: 'not_found', error: 'Screenplay not found' };
+  }
+
+  const statusRecord = options.statusRecord ?? (await readScreenplayStatus(screenplayId));
+  const role = resolveRole(statusRecord, userId, ownerId);
+  if (role && roleAllows(role, action)) {
+    return { allowed: true, role, ownerId, statusRecord };
+  }
+  return {
+    allowed: false,
+    status: 403,
+    code: role ? 'insufficient_role' : 'not_collaborator',
+    error: role
+      ? `The ${role} role cannot ${action.replace(/_/g, ' ')} on this screenplay`
+      : 'You do not have access to this screenplay',
+    role,
+    ownerId,
+    statusRecord,
+  };
+}
+
+export async function recordScreenplayActivity({ screenplayId, userId, action, details = null }) {
+  try {
+    const pb = await getAdminClient();
+    return await pb.collection(ACTIVITY_COLLECTION).create(
+      {
+        screenplayId,
+        userId: userId || null,
+        action,
+        details,
+      },
+      { requestKey: null },
+    );
+  } catch (error) {
+    log('error', 'screenplay_activity_record_fail', {
+      screenplayId,
+      action,
+      message: error?.message,
+    });
+    return null;
+  }
+}
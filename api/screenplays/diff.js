@@ -0,0 +1,79 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log } from '../../logger.js';
+import { diffScreenplays } from '../../lib/fountain-diff.js';
+import { authorizeScreenplay } from './access.js';
+import { SCREENPLAY_FILE, getFileContentAtRef } from './github.js';
+
+// GET /api/screenplays/:id/diff?from=&to=&repoOwner=&repoName= compares the screenplay
+// at two refs (commit shas or branch names) scene by scene; see lib/fountain-diff.js.
+// Like revisions.js, the GitHub token comes in the X-GitHub-Token header.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const screenplayId = String(req.params?.id ?? req.query?.id ?? '').trim();
+  if (!screenplayId) {
+    return res.status(400).json({ error: 'screenplayId is required' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'diff', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
+  }
+
+  const {
+    from,
+    to,
+    repoOwner,
+    repoName,
+    screenplayFile = SCREENPLAY_FILE,
+  } = req.query || {};
+  const githubToken = String(req.headers?.['x-github-token'] ?? '').trim();
+  if (!from || !to || !repoOwner || !repoName || !githubToken) {
+    return res.status(400).json({
+      error: 'from, to, repoOwner and repoName query parameters and an X-GitHub-Token header are required',
+    });
+  }
+  // Repeated query parameters arrive as arrays
+  const repeated = Object.entries({ from, to, repoOwner, repoName, screenplayFile })
+    .filter(([, value]) => typeof value !== 'string')
+    .map(([name]) => name);
+  if (repeated.length) {
+    return res.status(400).json({ error: `${repeated.join(', ')} must be given once` });
+  }
+
+  try {
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'view');
+    if (!access.allowed) {
+      log('warn', 'diff_forbidden', { screenplayId, userId: auth.user.id });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    const [fromContent, toContent] = await Promise.all([
+      getFileContentAtRef(repoOwner, repoName, screenplayFile, from, githubToken),
+      getFileContentAtRef(repoOwner, repoName, screenplayFile, to, githubToken),
+    ]);
+    const diff = diffScreenplays(fromContent, toContent);
+
+    log('info', 'screenplay_diff', {
+      screenplayId,
+      from,
+      to,
+      scenesAdded: diff.summary.scenesAdded,
+      scenesRemoved: diff.summary.scenesRemoved,
+      scenesModified: diff.summary.scenesModified,
+    });
+    return res.status(200).json({ screenplayId, from, to, ...diff });
+  } catch (error) {
+    if (error?.status === 404) {
+      return res.status(404).json({ error: 'Revision or screenplay file not found' });
+    }
+    log('error', 'diff_error', { screenplayId, from, to, message: error?.message });
+    return res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+}
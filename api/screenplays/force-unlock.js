@@ -0,0 +1,179 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log } from '../../logger.js';
+import {
+  buildRoomName,
+  clearScreenplayLock,
+  nextSaveLockFence,
+  updateScreenplayMetadata,
+} from './statusStore.js';
+import { describeUser } from './helpers.js';
+import { authorizeScreenplay, isAdminUser, recordScreenplayActivity } from './access.js';
+import { breakLock, lockKey } from './lockStore.js';
+import { unblockHpSessions } from './hpSessions.js';
+
+const LOCK_KINDS = ['save', 'seed', 'restore'];
+const MAX_REASON_LENGTH = 500;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Tells whoever runs LOCK_BREAK_WEBHOOK_URL (chat, email, the HP server...) that a
+// lock was taken from its holder.
+async function notifyLockBroken(payload) {
+  const url = process.env.LOCK_BREAK_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Internal-Token': process.env.LOCK_BREAK_WEBHOOK_TOKEN || ''
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+  } catch (error) {
+    log('warn', 'lock_break_notify_fail', {
+      screenplayId: payload.screenplayId,
+      lock: payload.lock,
+      message: error?.message,
+    });
+  }
+}
+
+// Each break returns the holder it removed, or null when nothing was held
+async function breakSaveLock(screenplayId) {
+  const result = await breakLock(lockKey('save', screenplayId));
+  if (!result.broken) return null;
+  // Bump the fence so the old holder's in-flight save is rejected by status-init
+  await nextSaveLockFence(screenplayId);
+  await updateScreenplayMetadata(screenplayId, { saveLock: null });
+  return { userId: result.lock.holderId, displayName: result.lock.holderName ?? null };
+}
+
+async function breakSeedLock(screenplayId) {
+  const result = await breakLock(lockKey('seed', screenplayId));
+  if (!result.broken) return null;
+  await updateScreenplayMetadata(screenplayId, { seedLock: null });
+  return { userId: result.lock.holderId, displayName: result.lock.holderName ?? null };
+}
+
+async function breakRestoreBlock(screenplayId, statusRecord, actor) {
+  if (!statusRecord?.hp_restore_blocked) return null;
+  await clearScreenplayLock(screenplayId);
+  await unblockHpSessions(buildRoomName(screenplayId), {
+    actor: actor.displayName,
+    reason: 'force_unlock',
+  });
+  const blockedBy = statusRecord.hp_restore_blocked_by;
+  return {
+    userId: blockedBy?.userId ?? null,
+    displayName: blockedBy?.displayName ?? null,
+  };
+}
+
+// POST /api/screenplays/:id/force-unlock with { lock: 'save' | 'seed' | 'restore', reason }.
+// Breaks a lock held by someone else. Only the screenplay owner or a platform admin may
+// do this, and the reason is kept in the activity log and sent to the webhook.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const id = req.query?.id || req.params?.id;
+  const screenplayId = String(id ?? '').trim();
+  if (!screenplayId) {
+    return res.status(400).json({ error: 'screenplayId is required' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'force-unlock', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
+  }
+
+  const { lock, reason } = req.body || {};
+  if (!LOCK_KINDS.includes(lock)) {
+    return res.status(400).json({ error: 'lock must be save, seed or restore' });
+  }
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+  }
+
+  try {
+    const asAdmin = isAdminUser(auth.user);
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'force_unlock');
+    if (access.code === 'not_found') {
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+    if (!access.allowed && !asAdmin) {
+      log('warn', 'force_unlock_forbidden', {
+        screenplayId,
+        userId: auth.user.id,
+        role: access.role ?? null,
+      });
+      return res.status(403).json({
+        error: 'Only the screenplay owner or an admin can break locks',
+        code: access.code,
+      });
+    }
+
+    const actor = describeUser(auth.user);
+    let previousHolder = null;
+    if (lock === 'save') {
+      previousHolder = await breakSaveLock(screenplayId);
+    } else if (lock === 'seed') {
+      previousHolder = await breakSeedLock(screenplayId);
+    } else {
+      previousHolder = await breakRestoreBlock(screenplayId, access.statusRecord, actor);
+    }
+
+    if (!previousHolder) {
+      return res.status(200).json({ status: 'ok', screenplayId, lock, broken: false });
+    }
+
+    const brokenAt = new Date().toISOString();
+    log('warn', 'lock_force_broken', {
+      screenplayId,
+      lock,
+      brokenBy: actor.userId,
+      previousHolder: previousHolder.userId,
+      asAdmin,
+    });
+    await recordScreenplayActivity({
+      screenplayId,
+      userId: actor.userId,
+      action: 'lock_force_broken',
+      details: { lock, reason: trimmedReason, previousHolder, asAdmin },
+    });
+    await notifyLockBroken({
+      event: 'lock_force_broken',
+      screenplayId,
+      lock,
+      reason: trimmedReason,
+      brokenBy: actor,
+      previousHolder,
+      brokenAt,
+    });
+
+    return res.status(200).json({
+      status: 'ok',
+      screenplayId,
+      lock,
+      broken: true,
+      previousHolder,
+      brokenAt,
+    });
+  } catch (error) {
+    log('error', 'force_unlock_error', { screenplayId, lock, message: error?.message });
+    return res.status(500).json({ error: 'Failed to break lock' });
+  }
+}
@@ -0,0 +1,170 @@
+// GitHub REST helpers for the screenplay file, shared by restore-with-lock.js and
+// revisions.js. Every call runs with the caller's own GitHub token.
+const GITHUB_API_ROOT = 'https://api.github.com';
+export const SCREENPLAY_FILE =
+  process.env.SCREENPLAY_FILE ||
+  process.env.SCREENPLAY_FILENAME ||
+  'screenplay.fountain';
+
+const RESTORE_MESSAGE_PREFIX = 'Restore screenplay to ';
+
+// Partial restores name how many scenes they brought back: "... to abc1234 (2 scenes)"
+export function restoreCommitMessage(revisionSha, { sceneCount = null } = {}) {
+  const message = `${RESTORE_MESSAGE_PREFIX}${String(revisionSha).slice(0, 7)}`;
+  if (sceneCount === null) return message;
+  return `${message} (${sceneCount} ${sceneCount === 1 ? 'scene' : 'scenes'})`;
+}
+
+// The short sha a restore commit restored from, or null for any other commit
+export function parseRestoreCommitMessage(message) {
+  const firstLine = String(message ?? '').split('\n')[0];
+  if (!firstLine.startsWith(RESTORE_MESSAGE_PREFIX)) return null;
+  return firstLine.slice(RESTORE_MESSAGE_PREFIX.length).trim().split(/\s+/)[0] || null;
+}
+
+function encodedPath(path) {
+  return path
+    .split('/')
+    .map((segment) => encodeURIComponent(segment))
+    .join('/');
+}
+
+function repoPath(owner, repo) {
+  return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+}
+
+// Carries GitHub's status so callers can tell a missing file from an outage
+function githubError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export async function githubFetch(path, token, options = {}) {
+  const response = await fetch(`${GITHUB_API_ROOT}${path}`, {
+    ...options,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${token}`,
+      'User-Agent': 'Fable-Restore-Service',
+      ...(options.headers || {}),
+    },
+  });
+  return response;
+}
+
+export async function getFileContentAtRef(owner, repo, filePath, ref, token) {
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/contents/${encodedPath(filePath)}?ref=${encodeURIComponent(ref)}`,
+    token,
+    { method: 'GET' },
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw githubError(`Failed to load file at revision (${response.status}): ${text}`, response.status);
+  }
+  const payload = await response.json();
+  if (!payload?.content) {
+    throw new Error('GitHub did not return file content for the selected revision.');
+  }
+  return Buffer.from(payload.content, 'base64').toString('utf8');
+}
+
+export async function getCurrentFileMetadata(owner, repo, filePath, token) {
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/contents/${encodedPath(filePath)}`,
+    token,
+    { method: 'GET' },
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw githubError(`Failed to load current screenplay content (${response.status}): ${text}`, response.status);
+  }
+  return response.json();
+}
+
+// One page of the commits touching `filePath` on `branch`, newest first
+export async function listFileCommits(owner, repo, filePath, branch, token, { page = 1, perPage = 30 } = {}) {
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/commits?path=${encodedPath(filePath)}&sha=${encodeURIComponent(branch)}&per_page=${perPage}&page=${page}`,
+    token,
+    { method: 'GET' },
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw githubError(`Failed to fetch commits (${response.status}): ${text}`, response.status);
+  }
+  const commits = await response.json();
+  const link = response.headers.get('link') || '';
+  return {
+    commits: Array.isArray(commits) ? commits : [],
+    hasMore: /rel="next"/.test(link),
+  };
+}
+
+export async function getCommit(owner, repo, ref, token) {
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/commits/${encodeURIComponent(ref)}`,
+    token,
+    { method: 'GET' },
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw githubError(`Failed to fetch commit (${response.status}): ${text}`, response.status);
+  }
+  return response.json();
+}
+
+export async function getLatestCommitSha(owner, repo, filePath, branch, token) {
+  const { commits } = await listFileCommits(owner, repo, filePath, branch, token, { perPage: 5 });
+  if (commits.length === 0) {
+    throw new Error('No commits found for this file');
+  }
+  return commits.map(c => c.sha);
+}
+
+// Size in bytes of `filePath` at `ref`, or null when it did not exist there. Reads the
+// parent directory listing so the file content itself is never downloaded.
+export async function getFileSizeAtRef(owner, repo, filePath, ref, token) {
+  const slash = filePath.lastIndexOf('/');
+  const dir = slash === -1 ? '' : filePath.slice(0, slash);
+  const name = filePath.slice(slash + 1);
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/contents/${encodedPath(dir)}?ref=${encodeURIComponent(ref)}`,
+    token,
+    { method: 'GET' },
+  );
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    throw githubError(`Failed to load directory at revision (${response.status}): ${text}`, response.status);
+  }
+  const entries = await response.json();
+  const entry = Array.isArray(entries) ? entries.find((item) => item?.name === name) : null;
+  return entry ? Number(entry.size) : null;
+}
+
+export async function updateScreenplayFile(owner, repo, filePath, content, sha, message, token) {
+  const body = {
+    message,
+    content: Buffer.from(content, 'utf8').toString('base64'),
+    sha,
+  };
+  const response = await githubFetch(
+    `${repoPath(owner, repo)}/contents/${encodedPath(filePath)}`,
+    token,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Failed to update screenplay content (${response.status}): ${text}`);
+  }
+  return response.json();
+}
+
@@ -0,0 +1,35 @@
+import { log } from '../../logger.js';
+
+// Calls into the HP collaboration server; both are no-ops when HP_HTTP_BASE_URL is unset.
+async function postSessionAction(roomName, action, payload) {
+  const base = process.env.HP_HTTP_BASE_URL;
+  if (!base) return null;
+  const response = await fetch(`${base}/sessions/${encodeURIComponent(roomName)}/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Internal-Token': process.env.HP_INTERNAL_TOKEN || ''
+    },
+    body: JSON.stringify(payload || {}),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`HP ${action} failed (${response.status}): ${text}`);
+  }
+  return response.json().catch(() => null);
+}
+
+export async function destroyHpSessions(roomName, payload) {
+  if (process.env.HP_HTTP_BASE_URL) {
+    log('info', 'hp_destroy_call', {
+      room_name: roomName,
+      actor: payload?.actor || 'unknown',
+      reason: payload?.reason || 'unspecified',
+    });
+  }
+  return postSessionAction(roomName, 'destroy', payload);
+}
+
+export async function unblockHpSessions(roomName, payload) {
+  return postSessionAction(roomName, 'unblock', payload);
+}
@@ -0,0 +1,177 @@
+import { getAdminClient, escapeFilterValue } from '../../lib/pocketbase-admin.js';
+import { log } from '../../logger.js';
+
+// Screenplay locks shared by every API instance. Each lock is one `screenplay_locks`
+// record with a unique index on `key` (pb_migrations/*_created_screenplay_locks.js), so
+// creating it is the atomic compare-and-set: at most one create per key succeeds. An
+// expired lock is replaced by deleting that exact record id first, so two instances
+// racing for it cannot both win. Startup refuses to run without that index (see
+// lib/pocketbase-schema.js).
+const LOCKS_COLLECTION = 'screenplay_locks';
+const MAX_ACQUIRE_ATTEMPTS = 3;
+
+export function lockKey(lockType, screenplayId) {
+  return `${lockType}:${screenplayId}`;
+}
+
+function parseTime(value) {
+  if (!value) return 0;
+  return new Date(String(value).replace(' ', 'T')).getTime() || 0;
+}
+
+export function isLockExpired(lock, now = Date.now()) {
+  return !lock || parseTime(lock.expiresAt) <= now;
+}
+
+function isUniqueViolation(error) {
+  const data = error?.response?.data ?? error?.data?.data ?? {};
+  return error?.status === 400 && data?.key?.code === 'validation_not_unique';
+}
+
+async function findLockRecord(pb, key) {
+  try {
+    return await pb
+      .collection(LOCKS_COLLECTION)
+      .getFirstListItem(`key = "${escapeFilterValue(key)}"`, { requestKey: null });
+  } catch (error) {
+    if (error?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Deleting by id only removes the record we looked at; a 404 means someone else
+// already replaced it.
+async function deleteLockRecord(pb, id) {
+  try {
+    await pb.collection(LOCKS_COLLECTION).delete(id, { requestKey: null });
+    return true;
+  } catch (error) {
+    if (error?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+export async function readLock(key) {
+  const pb = await getAdminClient();
+  const record = await findLockRecord(pb, key);
+  return isLockExpired(record) ? null : record;
+}
+
+// `fence`, when given, is stored on the record so later writes can be checked against
+// the lock that is actually live.
+export async function acquireLock(key, { screenplayId, lockType, holderId, holderName = null, ttlMs, fence = null, metadata = null }) {
+  const pb = await getAdminClient();
+
+  for (let attempt = 0; attempt < MAX_ACQUIRE_ATTEMPTS; attempt += 1) {
+    const now = Date.now();
+    try {
+      const lock = await pb.collection(LOCKS_COLLECTION).create(
+        {
+          key,
+          screenplayId,
+          lockType,
+          holderId,
+          holderName,
+          acquiredAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString(),
+          fence,
+          metadata,
+        },
+        { requestKey: null },
+      );
+      return { acquired: true, lock };
+    } catch (error) {
+      if (!isUniqueViolation(error)) {
+        throw error;
+      }
+    }
+
+    const current = await findLockRecord(pb, key);
+    if (current && !isLockExpired(current)) {
+      return { acquired: false, lock: current };
+    }
+    if (current) {
+      log('info', 'lock_expired_replaced', {
+        key,
+        previousHolder: current.holderId,
+        expiresAt: current.expiresAt,
+      });
+      await deleteLockRecord(pb, current.id);
+    }
+  }
+
+  // Lost every race; report whoever holds it now
+  const current = await findLockRecord(pb, key);
+  return { acquired: false, lock: isLockExpired(current) ? null : current };
+}
+
+// Extends a live lock held by `holderId`. `ttlMs` may be a function of the current lock
+// record. The new expiry never passes `maxHoldMs` after the lock was first acquired;
+// past that the holder has to release and acquire again.
+export async function renewLock(key, holderId, { ttlMs, maxHoldMs }) {
+  const pb = await getAdminClient();
+  const current = await findLockRecord(pb, key);
+  if (!current || isLockExpired(current)) {
+    return { renewed: false, reason: 'not_held', lock: null };
+  }
+  if (current.holderId !== holderId) {
+    return { renewed: false, reason: 'not_holder', lock: current };
+  }
+
+  const now = Date.now();
+  const holdLimit = parseTime(current.acquiredAt) + maxHoldMs;
+  if (holdLimit <= now) {
+    return { renewed: false, reason: 'max_hold_exceeded', lock: current, holdLimit };
+  }
+
+  try {
+    const lock = await pb.collection(LOCKS_COLLECTION).update(
+      current.id,
+      {
+        expiresAt: new Date(
+          Math.min(now + (typeof ttlMs === 'function' ? ttlMs(current) : ttlMs), holdLimit),
+        ).toISOString(),
+      },
+      { requestKey: null },
+    );
+    return { renewed: true, lock, holdLimit };
+  } catch (error) {
+    // Expired and replaced between the read and the update
+    if (error?.status === 404) {
+      return { renewed: false, reason: 'not_held', lock: null };
+    }
+    throw error;
+  }
+}
+
+export async function releaseLock(key, holderId) {
+  const pb = await getAdminClient();
+  const current = await findLockRecord(pb, key);
+  if (!current || isLockExpired(current)) {
+    return { released: true, lock: null };
+  }
+  if (current.holderId !== holderId) {
+    return { released: false, reason: 'not_holder', lock: current };
+  }
+  await deleteLockRecord(pb, current.id);
+  return { released: true, lock: current };
+}
+
+// Removes the lock whoever holds it. Callers are responsible for checking the caller
+// may do this (see force-unlock.js); `lock` is the record that was removed, if live.
+export async function breakLock(key) {
+  const pb = await getAdminClient();
+  const current = await findLockRecord(pb, key);
+  if (!current) {
+    return { broken: false, lock: null };
+  }
+  const deleted = await deleteLockRecord(pb, current.id);
+  return {
+    broken: deleted && !isLockExpired(current),
+    lock: isLockExpired(current) ? null : current,
+  };
+}
@@ -1,56 +1,13 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
 import { clearScreenplayLock, buildRoomName } from './statusStore.js';
-import {
-  getPocketBaseCtor,
-  decodePocketBaseToken,
-  getScriptRecord,
-} from './helpers.js';
-
-async function resolveUserContext(pb, tokenPayload) {
-  const userId = tokenPayload?.recordId || tokenPayload?.id || tokenPayload?.sub || null;
-  let userRecord = null;
-  if (userId && pb) {
-    try {
-      userRecord = await pb.collection('users').getOne(userId);
-    } catch (error) {
-      log('warn', 'restore_fetch_user_failed', {
-        userId,
-        message: error?.message,
-      });
-    }
-  }
-
-  const displayName =
-    (userRecord?.name || '').trim() ||
-    userRecord?.username ||
-    tokenPayload?.name ||
-    tokenPayload?.username ||
-    tokenPayload?.email ||
-    'Collaborator';
-
-  return { userId, displayName };
-}
-
-
-async function unblockHpSessions(roomName, payload) {
-  const base = process.env.HP_HTTP_BASE_URL;
-  if (!base) return null;
-  const response = await fetch(`${base}/sessions/${encodeURIComponent(roomName)}/unblock`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Internal-Token': process.env.HP_INTERNAL_TOKEN || ''
-    },
-    body: JSON.stringify(payload || {}),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HP unblock failed (${response.status}): ${text}`);
-  }
-  return response.json().catch(() => null);
-}
+import { describeUser } from './helpers.js';
+import { authorizeScreenplay } from './access.js';
+import { unblockHpSessions } from './hpSessions.js';
 
+// Lets whoever started a restore clear its block, e.g. after the restore crashed.
+// A block held by someone else can only be broken through force-unlock.js.
 export default async function handler(req, res) {
   if (handlePreflight(req, res)) return;
   if (!applyCORS(req, res)) return;
@@ -64,32 +21,35 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
-  }
-
-  const token = authHeader.replace('Bearer ', '').trim();
-  const tokenPayload = decodePocketBaseToken(token);
-  if (!tokenPayload) {
-    log('error', 'token_decode_fail', { endpoint: 'restore-lock' });
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'restore-lock', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
 
-  let pb;
   try {
-    const PocketBase = await getPocketBaseCtor();
-    pb = new PocketBase(process.env.POCKETBASE_URL);
-    pb.authStore.save(token, null);
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'restore');
+    if (!access.allowed) {
+      log('warn', 'restore_unlock_forbidden', { screenplayId, userId: auth.user.id, role: access.role ?? null });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
 
-    const scriptRecord = await getScriptRecord(pb, screenplayId);
-    if (!scriptRecord) {
-      return res.status(404).json({ error: 'Screenplay not found' });
+    const blockedBy = access.statusRecord?.hp_restore_blocked_by;
+    if (access.statusRecord?.hp_restore_blocked && blockedBy?.userId !== auth.user.id) {
+      log('warn', 'restore_unlock_not_owner', {
+        screenplayId,
+        userId: auth.user.id,
+        blockedBy: blockedBy?.userId ?? null,
+      });
+      return res.status(403).json({
+        error: 'Restore was started by another user; the owner can force-unlock it',
+        code: 'not_lock_owner',
+      });
     }
 
     await clearScreenplayLock(screenplayId);
 
-    const { displayName } = await resolveUserContext(pb, tokenPayload);
+    const { displayName } = describeUser(auth.user);
     const roomName = buildRoomName(screenplayId);
     await unblockHpSessions(roomName, {
       actor: displayName,
@@ -100,7 +60,5 @@ export default async function handler(req, res) {
   } catch (error) {
     log('error', 'restore_unlock_error', { message: error?.message, screenplayId });
     return res.status(500).json({ error: 'Failed to clear restore lock' });
-  } finally {
-    pb?.authStore?.clear?.();
   }
 }
@@ -1,89 +1,36 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
 import {
   setScreenplayLock,
-  readScreenplayStatus,
   buildRoomName,
+  readScreenplayStatus,
   updateScreenplayMetadata,
 } from './statusStore.js';
+import { describeUser } from './helpers.js';
+import { authorizeScreenplay, recordScreenplayActivity } from './access.js';
+import { destroyHpSessions, unblockHpSessions } from './hpSessions.js';
 import {
-  getPocketBaseCtor,
-  decodePocketBaseToken,
-  getScriptRecord,
-} from './helpers.js';
-
-const GITHUB_API_ROOT = 'https://api.github.com';
-const SCREENPLAY_FILE =
-  process.env.SCREENPLAY_FILE ||
-  process.env.SCREENPLAY_FILENAME ||
-  'screenplay.fountain';
-
-async function resolveUserContext(pb, tokenPayload) {
-  const userId = tokenPayload?.recordId || tokenPayload?.id || tokenPayload?.sub || null;
-  let userRecord = null;
-  if (userId && pb) {
-    try {
-      userRecord = await pb.collection('users').getOne(userId);
-    } catch (error) {
-      log('warn', 'restore_fetch_user_failed', {
-        userId,
-        message: error?.message,
-      });
-    }
-  }
-
-  const displayName =
-    (userRecord?.name || '').trim() ||
-    userRecord?.username ||
-    tokenPayload?.name ||
-    tokenPayload?.username ||
-    tokenPayload?.email ||
-    'Collaborator';
-
-  return { userId, displayName };
-}
-
-
-async function destroyHpSessions(roomName, payload) {
-  const base = process.env.HP_HTTP_BASE_URL;
-  if (!base) return null;
-  log('info', 'hp_destroy_call', {
-    room_name: roomName,
-    actor: payload?.actor || 'unknown',
-    reason: payload?.reason || 'unspecified',
-  });
-  const response = await fetch(`${base}/sessions/${encodeURIComponent(roomName)}/destroy`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Internal-Token': process.env.HP_INTERNAL_TOKEN || ''
-    },
-    body: JSON.stringify(payload || {}),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HP destroy failed (${response.status}): ${text}`);
-  }
-  return response.json().catch(() => null);
-}
-
-async function unblockHpSessions(roomName, payload) {
-  const base = process.env.HP_HTTP_BASE_URL;
-  if (!base) return null;
-  const response = await fetch(`${base}/sessions/${encodeURIComponent(roomName)}/unblock`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Internal-Token': process.env.HP_INTERNAL_TOKEN || ''
-    },
-    body: JSON.stringify(payload || {}),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HP unblock failed (${response.status}): ${text}`);
-  }
-  return response.json().catch(() => null);
-}
+  createRestoreJob,
+  getJobGithubToken,
+  listUnfinishedRestoreJobs,
+  transitionRestoreJob,
+  updateRestoreJob,
+} from './restoreJobStore.js';
+import {
+  SCREENPLAY_FILE,
+  getCurrentFileMetadata,
+  getFileContentAtRef,
+  getLatestCommitSha,
+  listFileCommits,
+  parseRestoreCommitMessage,
+  restoreCommitMessage,
+  updateScreenplayFile,
+} from './github.js';
+import { findScenes, mergeScenes } from '../../lib/fountain-merge.js';
+import { diffScreenplays } from '../../lib/fountain-diff.js';
+
+const MAX_SCENE_SELECTORS = 100;
 
 const RESTORE_SHA_POLL_INTERVAL_MS = Number(
   process.env.RESTORE_SHA_POLL_INTERVAL_MS || 10000,
@@ -91,6 +38,8 @@ const RESTORE_SHA_POLL_INTERVAL_MS = Number(
 const RESTORE_SHA_MAX_ATTEMPTS = Number(
   process.env.RESTORE_SHA_MAX_ATTEMPTS || 6,
 );
+// In-process timers for jobs in the `polling` state, keyed by screenplayId. The job
+// record carries the attempt count, so resumeRestoreJobs can continue after a restart.
 const shaCleanupJobs = new Map();
 
 function clearScheduledShaJob(key) {
@@ -102,21 +51,36 @@ function clearScheduledShaJob(key) {
   shaCleanupJobs.delete(key);
 }
 
-function scheduleRestoreShaCleanup({
-  screenplayId,
-  repoOwner,
-  repoName,
-  branch,
-  filePath,
-  commitSha,
-  githubToken,
-}) {
+async function saveJobState(job, state, patch = {}) {
+  try {
+    return await transitionRestoreJob(job, state, patch);
+  } catch (error) {
+    log('warn', 'restore_job_update_fail', {
+      screenplayId: job.screenplayId,
+      jobId: job.id,
+      state,
+      message: error?.message,
+    });
+    return { ...job, ...patch, state };
+  }
+}
+
+function scheduleRestoreShaCleanup(restoreJob, githubToken) {
+  const {
+    screenplayId,
+    repoOwner,
+    repoName,
+    branch,
+    filePath,
+    commitSha,
+  } = restoreJob;
   if (!screenplayId || !repoOwner || !repoName || !branch || !filePath || !commitSha || !githubToken) {
     return;
   }
 
   log('info', 'restore_sha_poll_scheduled', {
     screenplayId,
+    jobId: restoreJob.id,
     commitSha,
     repoOwner,
     repoName,
@@ -125,16 +89,23 @@ function scheduleRestoreShaCleanup({
 
   log('info', 'restore_sha_poll_started', {
     screenplayId,
+    jobId: restoreJob.id,
     commitSha,
   });
 
+  const previous = shaCleanupJobs.get(screenplayId);
   clearScheduledShaJob(screenplayId);
-  const job = { attempts: 0, timeoutId: null };
+  if (previous && previous.restoreJob.id !== restoreJob.id) {
+    saveJobState(previous.restoreJob, 'failed', {
+      error: `Superseded by restore job ${restoreJob.id}`,
+    });
+  }
+  const job = { restoreJob, attempts: Number(restoreJob.attempts) || 0, timeoutId: null };
   shaCleanupJobs.set(screenplayId, job);
 
   const attemptClear = async () => {
     const currentJob = shaCleanupJobs.get(screenplayId);
-    if (!currentJob) return;
+    if (currentJob !== job) return;
     try {
       const headCommitShas = await getLatestCommitSha(
         repoOwner,
@@ -152,6 +123,7 @@ function scheduleRestoreShaCleanup({
       if (headCommitShas.includes(commitSha)) {
         log('info', 'restore_sha_synced', { screenplayId, commitSha });
         clearScheduledShaJob(screenplayId);
+        await saveJobState(job.restoreJob, 'done', { attempts: job.attempts, error: null });
         return;
       }
     } catch (error) {
@@ -161,14 +133,15 @@ function scheduleRestoreShaCleanup({
       });
     }
 
-    currentJob.attempts += 1;
-    if (currentJob.attempts >= RESTORE_SHA_MAX_ATTEMPTS) {
+    job.attempts += 1;
+    if (job.attempts >= RESTORE_SHA_MAX_ATTEMPTS) {
+      const timeoutMessage = 'Restore polling timed out; manual refresh required';
       try {
         await updateScreenplayMetadata(screenplayId, {
           latestRestoredCommitSha: null,
           latestRestoredCommitSetAt: null,
           pendingRestoreSha: null,
-          restoreError: 'Restore polling timed out; manual refresh required',
+          restoreError: timeoutMessage,
           restoresUpdatedAt: new Date().toISOString(),
         });
       } catch (clearError) {
@@ -179,10 +152,24 @@ function scheduleRestoreShaCleanup({
       }
       log('warn', 'restore_sha_poll_timeout', { screenplayId, commitSha });
       clearScheduledShaJob(screenplayId);
+      await saveJobState(job.restoreJob, 'timed_out', {
+        attempts: job.attempts,
+        error: timeoutMessage,
+      });
       return;
     }
 
-    currentJob.timeoutId = setTimeout(() => {
+    try {
+      job.restoreJob = await updateRestoreJob(job.restoreJob, { attempts: job.attempts });
+    } catch (error) {
+      log('warn', 'restore_job_update_fail', {
+        screenplayId,
+        jobId: job.restoreJob.id,
+        message: error?.message,
+      });
+    }
+
+    job.timeoutId = setTimeout(() => {
       attemptClear().catch((error) => {
         log('warn', 'restore_sha_poll_unhandled', {
           screenplayId,
@@ -202,93 +189,130 @@ function scheduleRestoreShaCleanup({
   });
 }
 
-function encodedPath(path) {
-  return path
-    .split('/')
-    .map((segment) => encodeURIComponent(segment))
-    .join('/');
+async function readHeadContent(headFile, { repoOwner, repoName, screenplayFile, repoBranch, githubToken }) {
+  // The contents API leaves `content` out for files over 1 MB
+  if (headFile?.content) {
+    return Buffer.from(headFile.content, 'base64').toString('utf8');
+  }
+  return getFileContentAtRef(repoOwner, repoName, screenplayFile, repoBranch, githubToken);
 }
 
-async function githubFetch(path, token, options = {}) {
-  const response = await fetch(`${GITHUB_API_ROOT}${path}`, {
-    ...options,
-    headers: {
-      Accept: 'application/vnd.github+json',
-      Authorization: `Bearer ${token}`,
-      'User-Agent': 'Fable-Restore-Service',
-      ...(options.headers || {}),
+// What a restore commits: the revision as it was, or HEAD with the selected scenes
+// merged in from it
+function planRestoreCommit({ revisionSha, revisionContent, headContent, scenes }) {
+  if (!scenes) {
+    return {
+      content: revisionContent,
+      restoredScenes: null,
+      message: restoreCommitMessage(revisionSha),
+    };
+  }
+  const merged = mergeScenes(headContent, revisionContent, scenes);
+  return {
+    content: merged.content,
+    restoredScenes: merged.restored,
+    message: restoreCommitMessage(revisionSha, { sceneCount: merged.restored.length }),
+  };
+}
+
+// dryRun: true stops here, after every check a real restore makes, and reports what
+// it would commit. Sessions stay up and nothing is written to GitHub.
+async function previewRestore(res, {
+  screenplayId,
+  repoOwner,
+  repoName,
+  repoBranch,
+  screenplayFile,
+  revisionSha,
+  githubToken,
+  scenes,
+  revisionContent,
+}) {
+  const [headFile, { commits }] = await Promise.all([
+    getCurrentFileMetadata(repoOwner, repoName, screenplayFile, githubToken),
+    listFileCommits(repoOwner, repoName, screenplayFile, repoBranch, githubToken, { perPage: 1 }),
+  ]);
+  const headContent = await readHeadContent(headFile, {
+    repoOwner,
+    repoName,
+    screenplayFile,
+    repoBranch,
+    githubToken,
+  });
+  const planned = planRestoreCommit({ revisionSha, revisionContent, headContent, scenes });
+  const { summary } = diffScreenplays(headContent, planned.content);
+
+  log('info', 'restore_dry_run', { screenplayId, revisionSha, scenes: scenes?.length ?? null });
+  return res.status(200).json({
+    status: 'dry_run',
+    screenplayId,
+    revisionSha,
+    headCommitSha: commits[0]?.sha ?? null,
+    headFileSha: headFile?.sha ?? null,
+    commitMessage: planned.message,
+    size: {
+      current: Buffer.byteLength(headContent, 'utf8'),
+      restored: Buffer.byteLength(planned.content, 'utf8'),
     },
+    unchanged: planned.content === headContent,
+    restoredScenes: planned.restoredScenes,
+    diff: summary,
   });
-  return response;
 }
 
-async function getFileContentAtRef(owner, repo, filePath, ref, token) {
-  const response = await githubFetch(
-    `/repos/${owner}/${repo}/contents/${encodedPath(filePath)}?ref=${encodeURIComponent(ref)}`,
-    token,
-    { method: 'GET' },
-  );
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Failed to load file at revision (${response.status}): ${text}`);
-  }
-  const payload = await response.json();
-  if (!payload?.content) {
-    throw new Error('GitHub did not return file content for the selected revision.');
-  }
-  return Buffer.from(payload.content, 'base64').toString('utf8');
+// Undo steps for a restore that stopped before anything was committed
+function clearBlockStep(screenplayId) {
+  return {
+    step: 'clear_block',
+    run: () => updateScreenplayMetadata(screenplayId, {
+      hp_restore_blocked: false,
+      hp_restore_blocked_at: null,
+      hp_restore_blocked_by: null,
+    }),
+  };
 }
 
-async function getCurrentFileMetadata(owner, repo, filePath, token) {
-  const response = await githubFetch(
-    `/repos/${owner}/${repo}/contents/${encodedPath(filePath)}`,
-    token,
-    { method: 'GET' },
-  );
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Failed to load current screenplay content (${response.status}): ${text}`);
-  }
-  return response.json();
+function unblockSessionsStep(screenplayId, actor) {
+  return {
+    step: 'unblock_sessions',
+    run: () => unblockHpSessions(buildRoomName(screenplayId), { actor, reason: 'restore_failed' }),
+  };
 }
 
-async function getLatestCommitSha(owner, repo, filePath, branch, token) {
-  const response = await githubFetch(
-    `/repos/${owner}/${repo}/commits?path=${encodedPath(filePath)}&sha=${encodeURIComponent(branch)}&per_page=5&page=1`,
-    token,
-    { method: 'GET' },
-  );
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Failed to fetch latest commit (${response.status}): ${text}`);
-  }
-  const commits = await response.json();
-  if (!commits || commits.length === 0) {
-    throw new Error('No commits found for this file');
+// Runs the compensations newest first. Each step is attempted even if an earlier one
+// fails; resolves to whether all of them succeeded.
+async function rollbackRestore(screenplayId, compensations) {
+  let complete = true;
+  for (const { step, run } of [...compensations].reverse()) {
+    try {
+      await run();
+    } catch (error) {
+      complete = false;
+      log('error', 'restore_rollback_step_fail', { screenplayId, step, message: error?.message });
+    }
   }
-  return commits.map(c => c.sha);
+  log(complete ? 'info' : 'warn', 'restore_rolled_back', { screenplayId, complete });
+  return complete;
 }
 
-async function updateScreenplayFile(owner, repo, filePath, content, sha, message, token) {
-  const body = {
-    message,
-    content: Buffer.from(content, 'utf8').toString('base64'),
-    sha,
-  };
-  const response = await githubFetch(
-    `/repos/${owner}/${repo}/contents/${encodedPath(filePath)}`,
-    token,
-    {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    },
-  );
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Failed to update screenplay content (${response.status}): ${text}`);
+async function recordRestoreFailure({ screenplayId, restoreJob, userId, revisionSha, failure, rolledBack }) {
+  try {
+    await updateScreenplayMetadata(screenplayId, {
+      pendingRestoreSha: null,
+      restoreError: failure,
+      restoresUpdatedAt: new Date().toISOString(),
+      restoreJobId: restoreJob.id,
+    });
+  } catch (error) {
+    log('error', 'restore_failure_record_fail', { screenplayId, message: error?.message });
   }
-  return response.json();
+  await saveJobState(restoreJob, 'failed', { error: failure });
+  await recordScreenplayActivity({
+    screenplayId,
+    userId,
+    action: 'restore_failed',
+    details: { jobId: restoreJob.id, revisionSha, error: failure, rolledBack },
+  });
 }
 
 export default async function handler(req, res) {
@@ -304,16 +328,10 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
-  }
-
-  const token = authHeader.replace('Bearer ', '').trim();
-  const tokenPayload = decodePocketBaseToken(token);
-  if (!tokenPayload) {
-    log('error', 'token_decode_fail', { endpoint: 'restore-with-lock' });
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'restore-with-lock', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
 
   const {
@@ -323,6 +341,8 @@ export default async function handler(req, res) {
     repoBranch = 'main',
     githubToken,
     screenplayFile = SCREENPLAY_FILE,
+    scenes = null,
+    dryRun = false,
   } = req.body || {};
 
   if (!revisionSha || !repoOwner || !repoName || !githubToken) {
@@ -330,29 +350,33 @@ export default async function handler(req, res) {
       error: 'revisionSha, repoOwner, repoName, and githubToken are required',
     });
   }
+  // `scenes` switches to a partial restore: only those scenes (ids from the diff
+  // endpoint, or heading text) are brought back from revisionSha
+  const partial = scenes !== null;
+  if (
+    partial &&
+    (!Array.isArray(scenes) ||
+      scenes.length === 0 ||
+      scenes.length > MAX_SCENE_SELECTORS ||
+      scenes.some((selector) => typeof selector !== 'string' || !selector.trim()))
+  ) {
+    return res.status(400).json({
+      error: `scenes must be a list of 1 to ${MAX_SCENE_SELECTORS} scene ids or headings`,
+    });
+  }
 
-  let pb;
-  let scriptRecord = null;
   const now = new Date().toISOString();
-  let blockedBy = {
-    userId: tokenPayload?.recordId || tokenPayload?.id || tokenPayload?.sub || null,
-    displayName:
-      tokenPayload?.name || tokenPayload?.username || tokenPayload?.email || 'Collaborator',
-  };
+  const blockedBy = describeUser(auth.user);
+  let restoreJob = null;
 
   try {
-    const PocketBase = await getPocketBaseCtor();
-    pb = new PocketBase(process.env.POCKETBASE_URL);
-    pb.authStore.save(token, null);
-
-    blockedBy = await resolveUserContext(pb, tokenPayload);
-
-    scriptRecord = await getScriptRecord(pb, screenplayId);
-    if (!scriptRecord) {
-      return res.status(404).json({ error: 'Screenplay not found' });
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'restore');
+    if (!access.allowed) {
+      log('warn', 'restore_forbidden', { screenplayId, userId: auth.user.id, role: access.role ?? null });
+      return res.status(access.status).json({ error: access.error, code: access.code });
     }
 
-    const statusRecord = await readScreenplayStatus(screenplayId);
+    const { statusRecord } = access;
     if (statusRecord?.hp_restore_blocked) {
       return res.status(409).json({
         error: 'Restore already in progress',
@@ -361,56 +385,129 @@ export default async function handler(req, res) {
       });
     }
 
+    // The revision never changes, so it is loaded and checked before anyone's
+    // session is interrupted
+    let revisionContent;
+    try {
+      revisionContent = await getFileContentAtRef(
+        repoOwner,
+        repoName,
+        screenplayFile,
+        revisionSha,
+        githubToken,
+      );
+    } catch (error) {
+      if (error?.status === 404) {
+        return res.status(404).json({ error: `${screenplayFile} not found at ${revisionSha}` });
+      }
+      throw error;
+    }
+    if (partial) {
+      const { unmatched } = findScenes(revisionContent, scenes);
+      if (unmatched.length) {
+        return res.status(400).json({
+          error: 'Some scenes were not found in the revision',
+          unmatched,
+        });
+      }
+    }
+
+    if (dryRun === true) {
+      return await previewRestore(res, {
+        screenplayId,
+        repoOwner,
+        repoName,
+        repoBranch,
+        screenplayFile,
+        revisionSha,
+        githubToken,
+        scenes: partial ? scenes : null,
+        revisionContent,
+      });
+    }
+
+    restoreJob = await createRestoreJob({
+      screenplayId,
+      requestedBy: blockedBy.userId,
+      revisionSha,
+      repoOwner,
+      repoName,
+      branch: repoBranch,
+      filePath: screenplayFile,
+      scenes: partial ? scenes : null,
+      githubToken,
+    });
+
+    // Undo steps for everything below that changes shared state, run in reverse if a
+    // later step throws so a failed restore never leaves the room locked
+    const compensations = [];
+
+    // restoreJobId ties the block to this job, so resumeRestoreJobs only ever lifts
+    // the block of the job it is cleaning up after
     await setScreenplayLock(screenplayId, {
       hp_restore_blocked: true,
       hp_restore_blocked_at: now,
       hp_restore_blocked_by: blockedBy,
+      restoreJobId: restoreJob.id,
     });
+    compensations.push(clearBlockStep(screenplayId));
 
     const roomName = buildRoomName(screenplayId);
 
-    await destroyHpSessions(roomName, {
-      actor: blockedBy.displayName,
-      reason: 'restore',
-    });
+    // Registered before the call: a destroy that fails halfway may still have closed
+    // some sessions
+    compensations.push(unblockSessionsStep(screenplayId, blockedBy.displayName));
 
     let commitResult = null;
+    let restoredScenes = null;
     try {
-      const targetContent = await getFileContentAtRef(
-        repoOwner,
-        repoName,
-        screenplayFile,
-        revisionSha,
-        githubToken,
-      );
+      await destroyHpSessions(roomName, {
+        actor: blockedBy.displayName,
+        reason: 'restore',
+      });
+
+      restoreJob = await saveJobState(restoreJob, 'committing');
+
       const headFile = await getCurrentFileMetadata(
         repoOwner,
         repoName,
         screenplayFile,
         githubToken,
       );
-      const shortSha = String(revisionSha).slice(0, 7);
-      const message = `Restore screenplay to ${shortSha}`;
+      // A partial restore merges into HEAD as it stands now that the sessions are gone
+      const headContent = partial
+        ? await readHeadContent(headFile, { repoOwner, repoName, screenplayFile, repoBranch, githubToken })
+        : null;
+      const planned = planRestoreCommit({
+        revisionSha,
+        revisionContent,
+        headContent,
+        scenes: partial ? scenes : null,
+      });
+      restoredScenes = planned.restoredScenes;
       commitResult = await updateScreenplayFile(
         repoOwner,
         repoName,
         screenplayFile,
-        targetContent,
+        planned.content,
         headFile?.sha,
-        message,
+        planned.message,
         githubToken,
       );
     } catch (error) {
-      log('error', 'restore_github_error', {
+      const failure = error?.message || 'GitHub restore failed';
+      log('error', 'restore_github_error', { screenplayId, message: error?.message });
+
+      const rolledBack = await rollbackRestore(screenplayId, compensations);
+      await recordRestoreFailure({
         screenplayId,
-        message: error?.message,
-      });
-      await updateScreenplayMetadata(screenplayId, {
-        pendingRestoreSha: null,
-        restoreError: error?.message || 'GitHub restore failed',
-        restoresUpdatedAt: new Date().toISOString(),
+        restoreJob,
+        userId: blockedBy.userId,
+        revisionSha,
+        failure,
+        rolledBack,
       });
-      throw error;
+      return res.status(500).json({ error: failure, jobId: restoreJob.id, rolledBack });
     }
 
     const latestCommitSha = commitResult?.commit?.sha || null;
@@ -418,50 +515,230 @@ export default async function handler(req, res) {
       screenplayId,
       latestCommitSha,
       commitMessage: commitResult?.commit?.message ?? null,
+      restoredScenes: restoredScenes?.length ?? null,
     });
     const restoreCompletedAt = new Date().toISOString();
 
-    await updateScreenplayMetadata(screenplayId, {
+    // The restore is on GitHub now. Rolling back would leave clients writing over it,
+    // so a step failing from here on is reported and the restore carried on with.
+    const incompleteSteps = [];
+    const finishStep = async (step, run) => {
+      try {
+        await run();
+      } catch (error) {
+        incompleteSteps.push(step);
+        log('error', 'restore_finish_step_fail', { screenplayId, step, message: error?.message });
+      }
+    };
+
+    await finishStep('update_status', () => updateScreenplayMetadata(screenplayId, {
       hp_restore_blocked: false,
       hp_restore_blocked_at: null,
       hp_restore_blocked_by: null,
       lastRestoredAt: restoreCompletedAt,
       lastRestoredBy: blockedBy.userId,
       restoredFrom: revisionSha,
+      restoredScenes: restoredScenes ? restoredScenes.map((scene) => scene.id) : null,
       latestRestoredCommitSha: latestCommitSha,
       latestRestoredCommitSetAt: latestCommitSha ? restoreCompletedAt : null,
       pendingRestoreSha: latestCommitSha,
       restoreError: null,
       restoresUpdatedAt: restoreCompletedAt,
-    });
+      restoreJobId: restoreJob.id,
+    }));
+    await finishStep('unblock_sessions', () => unblockHpSessions(roomName, {
+      actor: blockedBy.displayName,
+      reason: 'restore_complete',
+    }));
 
+    const finishError = incompleteSteps.length
+      ? `Restore committed, but these steps failed: ${incompleteSteps.join(', ')}`
+      : null;
     if (latestCommitSha) {
-      scheduleRestoreShaCleanup({
-        screenplayId,
-        repoOwner,
-        repoName,
-        branch: repoBranch,
-        filePath: screenplayFile,
+      restoreJob = await saveJobState(restoreJob, 'polling', {
         commitSha: latestCommitSha,
-        githubToken,
+        restoredScenes,
+        error: finishError,
+      });
+      scheduleRestoreShaCleanup(restoreJob, githubToken);
+    } else {
+      restoreJob = await saveJobState(restoreJob, 'done', { restoredScenes, error: finishError });
+    }
+    if (finishError) {
+      await recordScreenplayActivity({
+        screenplayId,
+        userId: blockedBy.userId,
+        action: 'restore_incomplete',
+        details: { jobId: restoreJob.id, revisionSha, commitSha: latestCommitSha, incompleteSteps },
       });
     }
-
-    await unblockHpSessions(roomName, {
-      actor: blockedBy.displayName,
-      reason: 'restore_complete',
-    });
 
     return res.status(200).json({
-      status: 'ok',
+      status: finishError ? 'partial' : 'ok',
       screenplayId,
       commit: commitResult?.commit ?? null,
       latestRestoredCommitSha: latestCommitSha,
+      restoredScenes,
+      incompleteSteps,
+      jobId: restoreJob.id,
+      jobState: restoreJob.state,
     });
   } catch (error) {
     log('error', 'restore_lock_error', { message: error?.message, screenplayId });
-    return res.status(500).json({ error: error?.message || 'Failed to restore revision' });
-  } finally {
-    pb?.authStore?.clear?.();
+    if (restoreJob) {
+      await saveJobState(restoreJob, 'failed', { error: error?.message || 'Restore failed' });
+    }
+    return res.status(500).json({
+      error: error?.message || 'Failed to restore revision',
+      jobId: restoreJob?.id ?? null,
+    });
+  }
+}
+
+// Lifts the block an interrupted job left behind, unless a newer restore owns it by now
+async function releaseInterruptedRestore(job, error) {
+  try {
+    const status = await readScreenplayStatus(job.screenplayId);
+    if (!status?.hp_restore_blocked || status.restoreJobId !== job.id) return;
+    const rolledBack = await rollbackRestore(job.screenplayId, [
+      clearBlockStep(job.screenplayId),
+      unblockSessionsStep(job.screenplayId, 'system'),
+    ]);
+    await updateScreenplayMetadata(job.screenplayId, {
+      pendingRestoreSha: null,
+      restoreError: error,
+      restoresUpdatedAt: new Date().toISOString(),
+    });
+    await recordScreenplayActivity({
+      screenplayId: job.screenplayId,
+      userId: null,
+      action: 'restore_failed',
+      details: { jobId: job.id, revisionSha: job.revisionSha, error, rolledBack },
+    });
+  } catch (releaseError) {
+    log('error', 'restore_job_release_fail', {
+      screenplayId: job.screenplayId,
+      jobId: job.id,
+      message: releaseError?.message,
+    });
+  }
+}
+
+// The restore commit a job interrupted mid-commit got onto GitHub before the process
+// died, if any: a restore of the job's revision made after it started committing
+async function findLandedRestoreCommit(job, githubToken) {
+  const startedAt = Date.parse(job.timeline?.committing ?? '');
+  try {
+    const { commits } = await listFileCommits(
+      job.repoOwner,
+      job.repoName,
+      job.filePath,
+      job.branch,
+      githubToken,
+      { perPage: 5 },
+    );
+    return commits.find((commit) => {
+      const restoredFrom = parseRestoreCommitMessage(commit.commit?.message);
+      const committedAt = Date.parse(commit.commit?.committer?.date ?? '');
+      return (
+        restoredFrom === String(job.revisionSha).slice(0, 7) &&
+        (!Number.isFinite(startedAt) || committedAt >= startedAt)
+      );
+    }) ?? null;
+  } catch (error) {
+    log('warn', 'restore_job_commit_check_fail', {
+      screenplayId: job.screenplayId,
+      jobId: job.id,
+      message: error?.message,
+    });
+    return null;
+  }
+}
+
+// Finishes a job whose commit landed before a restart the way the handler would have:
+// the block is lifted, sessions come back and the new commit is polled for
+async function finishInterruptedRestore(job, commit, githubToken) {
+  const finishedAt = new Date().toISOString();
+  log('info', 'restore_job_commit_landed', {
+    screenplayId: job.screenplayId,
+    jobId: job.id,
+    commitSha: commit.sha,
+  });
+  try {
+    const status = await readScreenplayStatus(job.screenplayId);
+    if (status?.restoreJobId === job.id) {
+      await updateScreenplayMetadata(job.screenplayId, {
+        hp_restore_blocked: false,
+        hp_restore_blocked_at: null,
+        hp_restore_blocked_by: null,
+        lastRestoredAt: finishedAt,
+        lastRestoredBy: job.requestedBy ?? null,
+        restoredFrom: job.revisionSha,
+        latestRestoredCommitSha: commit.sha,
+        latestRestoredCommitSetAt: finishedAt,
+        pendingRestoreSha: commit.sha,
+        restoreError: null,
+        restoresUpdatedAt: finishedAt,
+      });
+      if (status.hp_restore_blocked) {
+        await unblockHpSessions(buildRoomName(job.screenplayId), {
+          actor: 'system',
+          reason: 'restore_complete',
+        });
+      }
+    }
+    await recordScreenplayActivity({
+      screenplayId: job.screenplayId,
+      userId: null,
+      action: 'restore_resumed',
+      details: { jobId: job.id, revisionSha: job.revisionSha, commitSha: commit.sha },
+    });
+  } catch (error) {
+    log('error', 'restore_job_finish_fail', {
+      screenplayId: job.screenplayId,
+      jobId: job.id,
+      message: error?.message,
+    });
+  }
+  const polling = await saveJobState(job, 'polling', { commitSha: commit.sha, error: null });
+  scheduleRestoreShaCleanup(polling, githubToken);
+}
+
+// Called once at server startup. Jobs still polling are picked back up with their
+// stored token, and so are jobs whose commit landed just before the process died. Jobs
+// that were queued or failed to commit, and jobs whose token is gone, are failed and
+// their restore block lifted.
+export async function resumeRestoreJobs() {
+  let jobs;
+  try {
+    jobs = await listUnfinishedRestoreJobs();
+  } catch (error) {
+    log('error', 'restore_jobs_resume_fail', { message: error?.message });
+    return;
+  }
+
+  for (const job of jobs) {
+    const githubToken = job.state === 'queued' ? null : getJobGithubToken(job);
+    if (job.state === 'committing' && githubToken) {
+      const landed = await findLandedRestoreCommit(job, githubToken);
+      if (landed) {
+        await finishInterruptedRestore(job, landed, githubToken);
+        continue;
+      }
+    }
+    if (job.state !== 'polling' || !githubToken) {
+      const error = job.state === 'polling'
+        ? 'Polling could not resume after a restart; manual refresh required'
+        : `Interrupted by a server restart while ${job.state}`;
+      await saveJobState(job, 'failed', { error });
+      await releaseInterruptedRestore(job, error);
+      continue;
+    }
+    log('info', 'restore_job_resumed', {
+      screenplayId: job.screenplayId,
+      jobId: job.id,
+      attempts: job.attempts,
+    });
+    scheduleRestoreShaCleanup(job, githubToken);
   }
 }
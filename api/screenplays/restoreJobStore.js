@@ -0,0 +1,134 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import { getAdminClient, escapeFilterValue } from '../../lib/pocketbase-admin.js';
+import { log } from '../../logger.js';
+
+// One `restore_jobs` record per restore-with-lock call. A job moves through
+// queued -> committing -> polling -> done, or ends in failed / timed_out, and
+// `timeline` keeps when it entered each state. Jobs outlive the process so polling
+// can resume after a restart (see resumeRestoreJobs in restore-with-lock.js).
+const JOBS_COLLECTION = 'restore_jobs';
+
+export const RESTORE_JOB_STATES = ['queued', 'committing', 'polling', 'done', 'failed', 'timed_out'];
+const FINAL_STATES = new Set(['done', 'failed', 'timed_out']);
+
+// Resuming a poll needs the caller's GitHub token, so it is kept encrypted with
+// RESTORE_JOB_SECRET. Without the secret the token is not stored and such jobs
+// cannot resume after a restart.
+const TOKEN_KEY = process.env.RESTORE_JOB_SECRET
+  ? createHash('sha256').update(process.env.RESTORE_JOB_SECRET).digest()
+  : null;
+
+function encryptToken(token) {
+  if (!token || !TOKEN_KEY) return null;
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', TOKEN_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `v1:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decryptToken(value) {
+  if (!value || !TOKEN_KEY) return null;
+  try {
+    const [version, iv, tag, ciphertext] = value.split(':');
+    if (version !== 'v1') return null;
+    const decipher = createDecipheriv('aes-256-gcm', TOKEN_KEY, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    // Usually a rotated RESTORE_JOB_SECRET
+    log('warn', 'restore_job_token_decrypt_fail', { message: error?.message });
+    return null;
+  }
+}
+
+export function isFinalRestoreState(state) {
+  return FINAL_STATES.has(state);
+}
+
+// The record as API callers see it; the stored token never leaves this module
+export function toPublicRestoreJob(job) {
+  if (!job) return null;
+  const { githubTokenEncrypted, collectionId, collectionName, ...rest } = job;
+  return rest;
+}
+
+export function getJobGithubToken(job) {
+  return decryptToken(job?.githubTokenEncrypted);
+}
+
+export async function createRestoreJob({
+  screenplayId,
+  requestedBy,
+  revisionSha,
+  repoOwner,
+  repoName,
+  branch,
+  filePath,
+  scenes = null,
+  githubToken,
+}) {
+  const pb = await getAdminClient();
+  return pb.collection(JOBS_COLLECTION).create(
+    {
+      screenplayId,
+      state: 'queued',
+      requestedBy: requestedBy || null,
+      revisionSha,
+      repoOwner,
+      repoName,
+      branch,
+      filePath,
+      mode: scenes ? 'scenes' : 'full',
+      scenes,
+      restoredScenes: null,
+      commitSha: null,
+      attempts: 0,
+      error: null,
+      timeline: { queued: new Date().toISOString() },
+      githubTokenEncrypted: encryptToken(githubToken),
+    },
+    { requestKey: null },
+  );
+}
+
+export async function getRestoreJob(screenplayId, jobId) {
+  const pb = await getAdminClient();
+  try {
+    const job = await pb.collection(JOBS_COLLECTION).getOne(jobId, { requestKey: null });
+    // Job ids are only meaningful under their own screenplay
+    return job?.screenplayId === screenplayId ? job : null;
+  } catch (error) {
+    if (error?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function updateRestoreJob(job, patch) {
+  const pb = await getAdminClient();
+  return pb.collection(JOBS_COLLECTION).update(job.id, patch, { requestKey: null });
+}
+
+// Moves a job to `state`, stamping the timeline. Final states drop the stored token.
+export async function transitionRestoreJob(job, state, patch = {}) {
+  const timeline = { ...(job.timeline || {}), [state]: new Date().toISOString() };
+  return updateRestoreJob(job, {
+    ...patch,
+    state,
+    timeline,
+    ...(isFinalRestoreState(state) ? { githubTokenEncrypted: null } : {}),
+  });
+}
+
+export async function listUnfinishedRestoreJobs() {
+  const pb = await getAdminClient();
+  const filter = ['queued', 'committing', 'polling']
+    .map((state) => `state = "${escapeFilterValue(state)}"`)
+    .join(' || ');
+  return pb.collection(JOBS_COLLECTION).getFullList({ filter, sort: 'created', requestKey: null });
+}
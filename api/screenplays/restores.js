@@ -0,0 +1,45 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log } from '../../logger.js';
+import { authorizeScreenplay } from './access.js';
+import { getRestoreJob, toPublicRestoreJob } from './restoreJobStore.js';
+
+// GET /api/screenplays/:id/restores/:jobId reports a restore started by
+// restore-with-lock.js: its state, when it entered each state and any error. Only
+// those who may start a restore may read one.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const screenplayId = String(req.params?.id ?? req.query?.id ?? '').trim();
+  const jobId = String(req.params?.jobId ?? req.query?.jobId ?? '').trim();
+  if (!screenplayId || !jobId) {
+    return res.status(400).json({ error: 'screenplayId and jobId are required' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'restores', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
+  }
+
+  try {
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'restore');
+    if (!access.allowed) {
+      log('warn', 'restore_job_forbidden', { screenplayId, userId: auth.user.id });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    const job = await getRestoreJob(screenplayId, jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Restore job not found' });
+    }
+    return res.status(200).json({ job: toPublicRestoreJob(job) });
+  } catch (error) {
+    log('error', 'restore_job_read_error', { screenplayId, jobId, message: error?.message });
+    return res.status(500).json({ error: 'Failed to load restore job' });
+  }
+}
@@ -0,0 +1,150 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log } from '../../logger.js';
+import { authorizeScreenplay } from './access.js';
+import {
+  SCREENPLAY_FILE,
+  getCommit,
+  getFileSizeAtRef,
+  listFileCommits,
+  parseRestoreCommitMessage,
+} from './github.js';
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 50;
+// Each size is its own GitHub call; a page of them runs a few at a time
+const SIZE_CONCURRENCY = 4;
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function describeRevision(commit) {
+  const message = commit.commit?.message ?? '';
+  const restoredFrom = parseRestoreCommitMessage(message);
+  return {
+    sha: commit.sha,
+    message,
+    author: {
+      name: commit.commit?.author?.name ?? null,
+      email: commit.commit?.author?.email ?? null,
+      login: commit.author?.login ?? null,
+      avatarUrl: commit.author?.avatar_url ?? null,
+    },
+    timestamp: commit.commit?.author?.date ?? commit.commit?.committer?.date ?? null,
+    isRestore: Boolean(restoredFrom),
+    restoredFrom,
+    url: commit.html_url ?? null,
+  };
+}
+
+// One revision with the screenplay's size in bytes at that commit
+async function loadRevision(res, { screenplayId, sha, repoOwner, repoName, screenplayFile, githubToken }) {
+  let commit;
+  try {
+    commit = await getCommit(repoOwner, repoName, sha, githubToken);
+  } catch (error) {
+    if (error?.status === 404 || error?.status === 422) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    throw error;
+  }
+  const size = await getFileSizeAtRef(repoOwner, repoName, screenplayFile, commit.sha, githubToken);
+  return res.status(200).json({ screenplayId, revision: { ...describeRevision(commit), size } });
+}
+
+// GET /api/screenplays/:id/revisions?repoOwner=&repoName=&branch=&page=&perPage=
+// lists the commits touching the screenplay file, newest first, each with the file's
+// size at that commit; GET /api/screenplays/:id/revisions/:sha?repoOwner=&repoName=
+// returns one of them. The GitHub token goes in the X-GitHub-Token header so it never lands in
+// URLs or access logs.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const screenplayId = String(req.params?.id ?? req.query?.id ?? '').trim();
+  if (!screenplayId) {
+    return res.status(400).json({ error: 'screenplayId is required' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'revisions', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
+  }
+
+  const {
+    repoOwner,
+    repoName,
+    branch = 'main',
+    screenplayFile = SCREENPLAY_FILE,
+  } = req.query || {};
+  const githubToken = String(req.headers?.['x-github-token'] ?? '').trim();
+  if (!repoOwner || !repoName || !githubToken) {
+    return res.status(400).json({
+      error: 'repoOwner and repoName query parameters and an X-GitHub-Token header are required',
+    });
+  }
+  // Repeated query parameters arrive as arrays
+  const repeated = Object.entries({ repoOwner, repoName, branch, screenplayFile })
+    .filter(([, value]) => typeof value !== 'string')
+    .map(([name]) => name);
+  if (repeated.length) {
+    return res.status(400).json({ error: `${repeated.join(', ')} must be given once` });
+  }
+  const page = toPositiveInt(req.query?.page, 1);
+  const perPage = Math.min(toPositiveInt(req.query?.perPage, DEFAULT_PER_PAGE), MAX_PER_PAGE);
+
+  try {
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'view');
+    if (!access.allowed) {
+      log('warn', 'revisions_forbidden', { screenplayId, userId: auth.user.id });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    const sha = String(req.params?.sha ?? '').trim();
+    if (sha) {
+      return await loadRevision(res, { screenplayId, sha, repoOwner, repoName, screenplayFile, githubToken });
+    }
+
+    const { commits, hasMore } = await listFileCommits(
+      repoOwner,
+      repoName,
+      screenplayFile,
+      branch,
+      githubToken,
+      { page, perPage },
+    );
+    const revisions = await mapWithLimit(commits, SIZE_CONCURRENCY, async (commit) => ({
+      ...describeRevision(commit),
+      size: await getFileSizeAtRef(repoOwner, repoName, screenplayFile, commit.sha, githubToken),
+    }));
+
+    return res.status(200).json({ screenplayId, revisions, page, perPage, hasMore });
+  } catch (error) {
+    // GitHub answers 404 for an unknown repo or path and 422 for an unknown branch
+    if (error?.status === 404 || error?.status === 422) {
+      return res.status(404).json({ error: 'Repository, branch or screenplay file not found' });
+    }
+    log('error', 'revisions_error', { screenplayId, message: error?.message });
+    return res.status(500).json({ error: 'Failed to load revisions' });
+  }
+}
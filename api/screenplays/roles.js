@@ -0,0 +1,103 @@
+import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { log } from '../../logger.js';
+import { updateRoles } from './statusStore.js';
+import {
+  authorizeScreenplay,
+  getStoredRoles,
+  isValidRole,
+  recordScreenplayActivity,
+  resolveRole,
+} from './access.js';
+
+function listMembers(statusRecord, ownerId) {
+  const userIds = new Set([
+    ownerId,
+    ...Object.keys(getStoredRoles(statusRecord)),
+    ...(Array.isArray(statusRecord?.collaboratorIds) ? statusRecord.collaboratorIds : []),
+  ]);
+  return [...userIds]
+    .filter(Boolean)
+    .map((userId) => ({ userId, role: resolveRole(statusRecord, userId, ownerId) }))
+    .filter((member) => member.role);
+}
+
+// GET /api/screenplays/:id/roles lists everyone with access and their role.
+// PUT with { userId, role } lets the owner grant viewer, commenter or editor;
+// role: null drops the explicit role, leaving validated collaborators as editors.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  if (!applyCORS(req, res)) return;
+
+  if (!['GET', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const screenplayId = String(req.params?.id ?? req.query?.id ?? '').trim();
+  if (!screenplayId) {
+    return res.status(400).json({ error: 'screenplayId is required' });
+  }
+
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'roles', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
+  }
+
+  try {
+    const action = req.method === 'GET' ? 'view' : 'manage_roles';
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, action);
+    if (!access.allowed) {
+      log('warn', 'roles_forbidden', { screenplayId, userId: auth.user.id, method: req.method });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        screenplayId,
+        role: access.role,
+        members: listMembers(access.statusRecord, access.ownerId),
+      });
+    }
+
+    const { userId, role = null } = req.body || {};
+    const targetId = String(userId ?? '').trim();
+    if (!targetId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    if (targetId === access.ownerId) {
+      return res.status(400).json({ error: 'The owner role cannot be changed' });
+    }
+    if (role !== null && (!isValidRole(role) || role === 'owner')) {
+      return res.status(400).json({ error: 'role must be viewer, commenter, editor or null' });
+    }
+
+    const roles = { ...getStoredRoles(access.statusRecord) };
+    const previousRole = resolveRole(access.statusRecord, targetId, access.ownerId);
+    if (role) {
+      roles[targetId] = role;
+    } else {
+      delete roles[targetId];
+    }
+
+    const updated = await updateRoles(screenplayId, roles);
+    await recordScreenplayActivity({
+      screenplayId,
+      userId: auth.user.id,
+      action: 'role_changed',
+      details: { targetUserId: targetId, previousRole, role },
+    });
+    log('info', 'screenplay_role_changed', { screenplayId, targetUserId: targetId, role });
+
+    const statusRecord = { ...access.statusRecord, ...updated };
+    return res.status(200).json({
+      screenplayId,
+      userId: targetId,
+      role: resolveRole(statusRecord, targetId, access.ownerId),
+      members: listMembers(statusRecord, access.ownerId),
+    });
+  } catch (error) {
+    log('error', 'roles_error', { screenplayId, message: error?.message });
+    return res.status(500).json({ error: 'Failed to update screenplay roles' });
+  }
+}
@@ -1,43 +1,40 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
+import { readJsonEnv } from '../../utils/env.js';
 import {
   getPocketBaseCtor,
-  decodePocketBaseToken,
-  getScriptRecord,
+  describeUser,
 } from './helpers.js';
-import { updateCollaboratorIds, readScreenplayStatus } from './statusStore.js';
-
-const LOCK_EXPIRY_MS = 15_000;
+import {
+  updateCollaboratorIds,
+  readScreenplayStatus,
+  updateScreenplayMetadata,
+  nextSaveLockFence,
+} from './statusStore.js';
+import { lockKey, acquireLock, releaseLock, renewLock } from './lockStore.js';
+import { authorizeScreenplay, isGithubCollaborator, recordScreenplayActivity } from './access.js';
+
+// Lock TTL per lockType; SAVE_LOCK_TTLS may hold JSON overriding any of these,
+// e.g. {"manual": 15000, "autosave": 30000}. Unknown types get `default`.
+const DEFAULT_LOCK_TTLS_MS = {
+  default: 15_000,
+  manual: 15_000,
+};
+// Renewals never keep one lock alive longer than this after it was acquired
+const MAX_HOLD_MS = Number(process.env.SAVE_LOCK_MAX_HOLD_MS) || 5 * 60_000;
+
+const LOCK_TTLS_MS = { ...DEFAULT_LOCK_TTLS_MS, ...readJsonEnv('SAVE_LOCK_TTLS', 'save_lock_config_invalid') };
+
+function lockTtlMs(lockType) {
+  const ttl = Number(LOCK_TTLS_MS[lockType] ?? LOCK_TTLS_MS.default);
+  return Math.min(ttl > 0 ? ttl : DEFAULT_LOCK_TTLS_MS.default, MAX_HOLD_MS);
+}
 
 function buildStatusFilter(screenplayId) {
   return `screenplayId = "${screenplayId.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
 }
 
-async function resolveUserContext(pb, tokenPayload) {
-  const userId = tokenPayload?.recordId || tokenPayload?.id || tokenPayload?.sub || null;
-  let userRecord = null;
-  if (userId && pb) {
-    try {
-      userRecord = await pb.collection('users').getOne(userId);
-    } catch (error) {
-      log('warn', 'save_lock_fetch_user_failed', {
-        userId,
-        message: error?.message,
-      });
-    }
-  }
-
-  const displayName =
-    (userRecord?.name || '').trim() ||
-    userRecord?.username ||
-    tokenPayload?.name ||
-    tokenPayload?.username ||
-    tokenPayload?.email ||
-    'User';
-
-  return { userId, displayName };
-}
-
 async function fetchScreenplayStatus(pb, screenplayId) {
   // Prefer admin-backed read to ensure we get the record even if user lacks direct read
   try {
@@ -56,22 +53,6 @@ async function fetchScreenplayStatus(pb, screenplayId) {
   }
 }
 
-function isUserCollaborator(statusRecord, userId) {
-  if (!statusRecord || !userId) return false;
-  const collaboratorIds = Array.isArray(statusRecord.collaboratorIds)
-    ? statusRecord.collaboratorIds
-    : Array.isArray(statusRecord.collaboratorsId)
-      ? statusRecord.collaboratorsId
-      : [];
-  if (collaboratorIds.includes(userId)) {
-    return true;
-  }
-  const detailedCollaborators = Array.isArray(statusRecord.collaborators)
-    ? statusRecord.collaborators
-    : [];
-  return detailedCollaborators.some((entry) => entry?.id === userId);
-}
-
 async function validateGithubToken(githubToken) {
   if (!githubToken) return null;
   try {
@@ -99,15 +80,7 @@ async function maybeAddCollaboratorFromToken(statusRecord, userId, githubToken)
   if (!githubUser?.id) {
     return statusRecord;
   }
-  const githubId = String(githubUser.id);
-  const collaboratorList = Array.isArray(statusRecord.collaborators)
-    ? statusRecord.collaborators
-    : [];
-  const isGithubCollaborator = collaboratorList.some((entry) => {
-    const entryId = entry?.githubId ?? entry?.id;
-    return entryId && String(entryId) === githubId;
-  });
-  if (!isGithubCollaborator) {
+  if (!isGithubCollaborator(statusRecord, githubUser.id)) {
     return statusRecord;
   }
 
@@ -138,17 +111,12 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
-  }
-
-  const token = authHeader.replace('Bearer ', '').trim();
-  const tokenPayload = decodePocketBaseToken(token);
-  if (!tokenPayload) {
-    log('error', 'token_decode_fail', { endpoint: 'save-lock' });
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'save-lock', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
+  const { token } = auth;
 
   let pb;
   try {
@@ -156,41 +124,39 @@ export default async function handler(req, res) {
     pb = new PocketBase(process.env.POCKETBASE_URL);
     pb.authStore.save(token, null);
 
-    const scriptRecord = await getScriptRecord(pb, screenplayId);
-    if (!scriptRecord) {
-      return res.status(404).json({ error: 'Screenplay not found' });
-    }
-
-    const { userId, displayName } = await resolveUserContext(pb, tokenPayload);
-    if (!userId) {
-      log('warn', 'save_lock_missing_user_id', { screenplayId });
-      return res.status(401).json({ error: 'Invalid user context' });
-    }
+    const { userId, displayName } = describeUser(auth.user, 'User');
 
     let statusRecord = await fetchScreenplayStatus(pb, screenplayId);
     if (!statusRecord) {
       return res.status(404).json({ error: 'Screenplay status not found' });
     }
 
+    let access = await authorizeScreenplay(screenplayId, userId, 'save', { statusRecord });
+
     // Optional: allow token-based proof to add caller to collaboratorIds before enforcing
     const githubTokenFromBody = req.body?.githubToken || req.body?.github_token || null;
-    if (!isUserCollaborator(statusRecord, userId)) {
+    if (access.code === 'not_collaborator' && githubTokenFromBody) {
       statusRecord = await maybeAddCollaboratorFromToken(statusRecord, userId, githubTokenFromBody);
+      access = await authorizeScreenplay(screenplayId, userId, 'save', { statusRecord });
     }
 
-    if (!isUserCollaborator(statusRecord, userId)) {
-      log('warn', 'save_lock_not_collaborator', {
+    if (!access.allowed) {
+      log('warn', 'save_lock_forbidden', {
         screenplayId,
         userId,
+        role: access.role ?? null,
       });
-      return res.status(403).json({ error: 'not_collaborator' });
+      return res.status(access.status).json({ error: access.code, message: access.error });
     }
 
     if (req.method === 'POST') {
-      return await handleAcquireLock(pb, statusRecord, userId, displayName, req, res);
+      return await handleAcquireLock(statusRecord, userId, displayName, req, res);
     }
     if (req.method === 'DELETE') {
-      return await handleReleaseLock(pb, statusRecord, userId, res);
+      return await handleReleaseLock(statusRecord, userId, res);
+    }
+    if (req.method === 'PATCH') {
+      return await handleRenewLock(statusRecord, userId, res);
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
@@ -202,64 +168,158 @@ export default async function handler(req, res) {
   }
 }
 
-async function handleAcquireLock(pb, statusRecord, userId, displayName, req, res) {
-  const { lockType = 'manual' } = req.body || {};
+// screenplay_status.saveLock mirrors the lock (with its fence) for clients watching the
+// status record; the lock store stays authoritative.
+async function mirrorSaveLock(screenplayId, lock) {
+  try {
+    await updateScreenplayMetadata(screenplayId, {
+      saveLock: lock
+        ? {
+            userId: lock.holderId,
+            userName: lock.holderName,
+            lockedAt: lock.acquiredAt,
+            lockType: lock.metadata?.lockType ?? 'manual',
+            lockExpiry: lock.expiresAt,
+            fence: lock.fence ?? null,
+          }
+        : null,
+    });
+  } catch (error) {
+    log('warn', 'save_lock_mirror_failed', { screenplayId, message: error?.message });
+  }
+}
 
-  const now = new Date();
-  const currentLock = statusRecord.saveLock;
+async function handleAcquireLock(statusRecord, userId, displayName, req, res) {
+  const { lockType = 'manual' } = req.body || {};
+  const { screenplayId } = statusRecord;
+
+  // Every acquire gets a larger fence than the last, so a holder whose lock expired
+  // and was taken over can be told apart from the current one (see status-init.js).
+  // It is drawn before the lock and stored on it, so racing acquires cannot swap fences.
+  const fence = await nextSaveLockFence(screenplayId);
+  const result = await acquireLock(lockKey('save', screenplayId), {
+    screenplayId,
+    lockType: 'save',
+    holderId: userId,
+    holderName: displayName,
+    ttlMs: lockTtlMs(lockType),
+    fence,
+    metadata: { lockType },
+  });
 
-  if (currentLock && new Date(currentLock.lockExpiry) > now) {
+  if (!result.acquired) {
     log('info', 'save_lock_conflict', {
-      screenplayId: statusRecord.screenplayId,
+      screenplayId,
       requestedBy: userId,
-      heldBy: currentLock.userId,
+      heldBy: result.lock?.holderId,
     });
     return res.status(409).json({
       success: false,
       error: 'lock_conflict',
-      lockedBy: currentLock.userName,
-      lockExpiry: currentLock.lockExpiry,
+      lockedBy: result.lock?.holderName ?? null,
+      lockExpiry: result.lock?.expiresAt ?? null,
       message: 'Another user is currently saving',
     });
   }
 
-  const expiry = new Date(now.getTime() + LOCK_EXPIRY_MS);
-  const newLock = {
+  await mirrorSaveLock(screenplayId, result.lock);
+
+  log('info', 'save_lock_acquired', {
+    screenplayId,
     userId,
-    userName: displayName,
-    lockedAt: now.toISOString(),
     lockType,
-    lockExpiry: expiry.toISOString(),
-  };
+    fence,
+  });
+  await recordScreenplayActivity({
+    screenplayId,
+    userId,
+    action: 'save_lock_acquired',
+    details: { lockType, fence, lockExpiry: result.lock.expiresAt },
+  });
 
-  await pb.collection('screenplay_status').update(statusRecord.id, {
-    saveLock: newLock,
+  return res.status(200).json({
+    success: true,
+    lockExpiry: result.lock.expiresAt,
+    fence,
   });
+}
 
-  log('info', 'save_lock_acquired', {
-    screenplayId: statusRecord.screenplayId,
+// Heartbeat for long saves: pushes the expiry out by the lock type's TTL again,
+// up to MAX_HOLD_MS after the lock was acquired. Only the holder may renew.
+async function handleRenewLock(statusRecord, userId, res) {
+  const { screenplayId } = statusRecord;
+  const result = await renewLock(lockKey('save', screenplayId), userId, {
+    ttlMs: (lock) => lockTtlMs(lock.metadata?.lockType ?? 'manual'),
+    maxHoldMs: MAX_HOLD_MS,
+  });
+  const lockType = result.lock?.metadata?.lockType ?? 'manual';
+
+  if (!result.renewed) {
+    log('warn', 'save_lock_renew_refused', {
+      screenplayId,
+      requestedBy: userId,
+      reason: result.reason,
+      heldBy: result.lock?.holderId ?? null,
+    });
+    if (result.reason === 'max_hold_exceeded') {
+      await recordScreenplayActivity({
+        screenplayId,
+        userId,
+        action: 'save_lock_max_hold_reached',
+        details: { lockType, lockedAt: result.lock.acquiredAt },
+      });
+      return res.status(409).json({
+        error: 'max_hold_exceeded',
+        message: 'Lock has reached its maximum hold time; release and acquire it again',
+        lockExpiry: result.lock.expiresAt,
+      });
+    }
+    if (result.reason === 'not_holder') {
+      return res.status(403).json({
+        error: 'not_lock_owner',
+        message: 'Cannot renew lock owned by another user',
+      });
+    }
+    return res.status(409).json({
+      error: 'lock_not_held',
+      message: 'Lock has expired or was released; acquire it again',
+    });
+  }
+
+  // The fence belongs to the acquire; renewing keeps the lock's own
+  const fence = result.lock.fence ?? null;
+  await mirrorSaveLock(screenplayId, result.lock);
+
+  log('info', 'save_lock_renewed', {
+    screenplayId,
     userId,
     lockType,
+    lockExpiry: result.lock.expiresAt,
+  });
+  await recordScreenplayActivity({
+    screenplayId,
+    userId,
+    action: 'save_lock_renewed',
+    details: { lockType, fence, lockExpiry: result.lock.expiresAt },
   });
 
   return res.status(200).json({
     success: true,
-    lockExpiry: newLock.lockExpiry,
+    lockExpiry: result.lock.expiresAt,
+    maxHoldUntil: new Date(result.holdLimit).toISOString(),
+    fence,
   });
 }
 
-async function handleReleaseLock(pb, statusRecord, userId, res) {
-  const currentLock = statusRecord.saveLock;
+async function handleReleaseLock(statusRecord, userId, res) {
+  const { screenplayId } = statusRecord;
+  const result = await releaseLock(lockKey('save', screenplayId), userId);
 
-  if (!currentLock) {
-    return res.status(200).json({ success: true });
-  }
-
-  if (currentLock.userId !== userId) {
+  if (!result.released) {
     log('warn', 'save_lock_release_not_owner', {
-      screenplayId: statusRecord.screenplayId,
+      screenplayId,
       requestedBy: userId,
-      ownedBy: currentLock.userId,
+      ownedBy: result.lock?.holderId,
     });
     return res.status(400).json({
       error: 'not_lock_owner',
@@ -267,14 +327,18 @@ async function handleReleaseLock(pb, statusRecord, userId, res) {
     });
   }
 
-  await pb.collection('screenplay_status').update(statusRecord.id, {
-    saveLock: null,
-  });
-
-  log('info', 'save_lock_released', {
-    screenplayId: statusRecord.screenplayId,
-    userId,
-  });
+  if (result.lock) {
+    await mirrorSaveLock(screenplayId, null);
+    log('info', 'save_lock_released', {
+      screenplayId,
+      userId,
+    });
+    await recordScreenplayActivity({
+      screenplayId,
+      userId,
+      action: 'save_lock_released',
+    });
+  }
 
   return res.status(200).json({ success: true });
 }
@@ -1,7 +1,9 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
-import { decodePocketBaseToken } from './helpers.js';
 import { updateLatestCommitSha } from './statusStore.js';
+import { authorizeScreenplay, recordScreenplayActivity } from './access.js';
+import { lockKey, readLock } from './lockStore.js';
 
 export default async function handler(req, res) {
   if (handlePreflight(req, res)) return;
@@ -17,32 +19,68 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const { commitSha, fountainSha } = req.body || {};
+  const { commitSha, fountainSha, fence } = req.body || {};
   const effectiveSha = commitSha || fountainSha || null;
   if (!effectiveSha || typeof effectiveSha !== 'string') {
     return res.status(400).json({ error: 'commitSha is required' });
   }
-
-  const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
+  if (fence !== undefined && fence !== null && !Number.isInteger(fence)) {
+    return res.status(400).json({ error: 'fence must be an integer' });
   }
 
-  const token = authHeader.replace('Bearer ', '').trim();
-  const tokenPayload = decodePocketBaseToken(token);
-  if (!tokenPayload) {
-    log('error', 'status_init_token_decode_fail', { screenplayId });
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'status-init', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
 
   try {
     log('info', 'status_init_request', {
       screenplayId,
       method: req.method,
-      hasToken: Boolean(token),
+      userId: auth.user.id,
     });
 
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'update_status');
+    if (!access.allowed) {
+      log('warn', 'status_init_forbidden', { screenplayId, userId: auth.user.id });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    // A save made under a save lock carries that lock's fence. While a lock is live only
+    // its holder, quoting its fence, may write. Once it has gone, a higher stored fence
+    // means a newer lock was granted (or this one broken) since, so the write is stale.
+    // The lock store decides; screenplay_status.saveLock is only a mirror and may lag.
+    const saveLock = await readLock(lockKey('save', screenplayId));
+    const currentFence = saveLock ? Number(saveLock.fence) || 0 : Number(access.statusRecord?.saveLockFence) || 0;
+    if (!Number.isInteger(fence) && saveLock) {
+      return res.status(400).json({ error: 'fence is required while a save lock is held' });
+    }
+    const stale = saveLock
+      ? fence !== currentFence || saveLock.holderId !== auth.user.id
+      : Number.isInteger(fence) && fence < currentFence;
+    if (stale) {
+      log('warn', 'status_init_stale_fence', {
+        screenplayId,
+        userId: auth.user.id,
+        fence,
+        currentFence,
+      });
+      return res.status(409).json({ error: 'stale_fence', fence, currentFence });
+    }
+
     await updateLatestCommitSha(screenplayId, effectiveSha);
+    await recordScreenplayActivity({
+      screenplayId,
+      userId: auth.user.id,
+      action: 'status_init',
+      details: {
+        role: access.role,
+        latestCommitSha: effectiveSha,
+        previousCommitSha: access.statusRecord?.latestCommitSha ?? null,
+        fence: fence ?? null,
+      },
+    });
 
     log('info', 'status_init_seeded_sha', {
       screenplayId,
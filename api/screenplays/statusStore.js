@@ -1,34 +1,7 @@
-import PocketBase from 'pocketbase';
+import { getAdminClient, escapeFilterValue } from '../../lib/pocketbase-admin.js';
 
 const STATUS_COLLECTION = 'screenplay_status';
 
-let adminClient = null;
-
-function escapeFilterValue(value) {
-  return String(value ?? '')
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"');
-}
-
-async function getAdminClient() {
-  if (adminClient && adminClient.authStore?.isValid) {
-    return adminClient;
-  }
-
-  const baseUrl = process.env.POCKETBASE_URL;
-  const email = process.env.POCKETBASE_ADMIN_EMAIL;
-  const password = process.env.POCKETBASE_ADMIN_PASSWORD;
-
-  if (!baseUrl || !email || !password) {
-    throw new Error('PocketBase admin credentials are not configured.');
-  }
-
-  adminClient = new PocketBase(baseUrl);
-  adminClient.autoCancellation?.(false);
-  await adminClient.admins.authWithPassword(email, password);
-  return adminClient;
-}
-
 export function buildRoomName(screenplayId) {
   const raw = String(screenplayId ?? '')
     .trim()
@@ -76,6 +49,7 @@ async function ensureStatusRecord(screenplayId) {
       restoresUpdatedAt: null,
       restoreError: null,
       collaboratorIds: null,
+      roles: null,
     seedLock: null,
     });
     return record;
@@ -99,7 +73,10 @@ export async function readScreenplayStatus(screenplayId) {
       restoresUpdatedAt: null,
       restoreError: null,
       collaboratorIds: null,
+      roles: null,
       seedLock: null,
+      repoOwner: null,
+      repoName: null,
     };
   }
   return record;
@@ -120,6 +97,12 @@ export async function updateLatestCommitSha(screenplayId, sha, setAt = null) {
   });
 }
 
+// Atomic increment, so each save lock gets a larger fence than every lock before it
+export async function nextSaveLockFence(screenplayId) {
+  const record = await applyStatusUpdate(screenplayId, { 'saveLockFence+': 1 });
+  return Number(record?.saveLockFence) || 0;
+}
+
 export async function setScreenplayLock(screenplayId, lockPayload) {
   return applyStatusUpdate(screenplayId, lockPayload);
 }
@@ -167,6 +150,13 @@ export async function updateCollaboratorIds(screenplayId, collaboratorIds) {
   });
 }
 
+export async function updateRoles(screenplayId, roles) {
+  return applyStatusUpdate(screenplayId, {
+    roles: roles && Object.keys(roles).length ? roles : null,
+    rolesUpdatedAt: new Date().toISOString(),
+  });
+}
+
 export async function findAllUsersByGithubId(githubId) {
   if (!githubId) return [];
   const pb = await getAdminClient();
@@ -1,10 +1,12 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
-import { decodePocketBaseToken } from './helpers.js';
 import {
   readScreenplayStatus,
   updateCollaborators,
+  updateScreenplayMetadata,
 } from './statusStore.js';
+import { authorizeScreenplay, recordScreenplayActivity } from './access.js';
 
 const GITHUB_PER_PAGE = 100;
 const GITHUB_MAX_PAGES = 10;
@@ -117,6 +119,22 @@ async function buildCollaboratorsPayload(screenplayId, githubMembers, existingSt
   return results;
 }
 
+function namedRepo(body) {
+  const repoOwner = typeof body?.repoOwner === 'string' ? body.repoOwner.trim() : '';
+  const repoName = typeof body?.repoName === 'string' ? body.repoName.trim() : '';
+  return repoOwner && repoName ? { repoOwner, repoName } : null;
+}
+
+function sameRepo(a, b) {
+  return (
+    String(a.repoOwner).toLowerCase() === String(b.repoOwner).toLowerCase() &&
+    String(a.repoName).toLowerCase() === String(b.repoName).toLowerCase()
+  );
+}
+
+// POST /api/screenplays/:id/sync-collaborators with { githubToken, repoOwner?, repoName? }.
+// The repository comes from the screenplay record. The first sync links one, named in
+// the body; after that the body may only repeat it.
 export default async function handler(req, res) {
   if (handlePreflight(req, res)) return;
   if (!applyCORS(req, res)) return;
@@ -130,31 +148,41 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const { repoOwner, repoName, githubToken } = req.body || {};
-  if (!repoOwner || !repoName || !githubToken) {
-    return res
-      .status(400)
-      .json({ error: 'repoOwner, repoName, and githubToken are required' });
-  }
-
-  const authHeader = String(req.headers?.authorization ?? '');
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
+  const { githubToken } = req.body || {};
+  if (!githubToken) {
+    return res.status(400).json({ error: 'githubToken is required' });
   }
 
-  const token = authHeader.replace('Bearer ', '').trim();
-  if (!token) {
-    return res.status(401).json({ error: 'Missing authentication token' });
-  }
-
-  const tokenPayload = decodePocketBaseToken(token);
-  if (!tokenPayload) {
-    log('error', 'sync_collaborators_token_decode_fail', { screenplayId });
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'sync-collaborators', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
 
+  let repoOwner = null;
+  let repoName = null;
   try {
-    const existingStatus = await readScreenplayStatus(screenplayId);
+    const access = await authorizeScreenplay(screenplayId, auth.user.id, 'sync_collaborators');
+    if (!access.allowed) {
+      log('warn', 'sync_collaborators_forbidden', { screenplayId, userId: auth.user.id });
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+    const existingStatus = access.statusRecord;
+
+    const linked = existingStatus?.repoOwner && existingStatus?.repoName
+      ? { repoOwner: existingStatus.repoOwner, repoName: existingStatus.repoName }
+      : null;
+    const named = namedRepo(req.body);
+    if (!linked && !named) {
+      return res.status(400).json({ error: 'repoOwner and repoName are required to link a repository' });
+    }
+    if (linked && named && !sameRepo(linked, named)) {
+      log('warn', 'sync_collaborators_repo_mismatch', { screenplayId, userId: auth.user.id });
+      return res.status(409).json({
+        error: `This screenplay is linked to ${linked.repoOwner}/${linked.repoName}`,
+      });
+    }
+    ({ repoOwner, repoName } = linked ?? named);
 
     const githubMembers = await fetchGitHubCollaborators({
       repoOwner,
@@ -176,14 +204,29 @@ export default async function handler(req, res) {
         : [];
 
     await updateCollaborators(screenplayId, collaborators, existingCollaboratorIds);
+    if (!linked) {
+      // Linked only once GitHub has confirmed the token can read the repository
+      await updateScreenplayMetadata(screenplayId, { repoOwner, repoName });
+    }
+    await recordScreenplayActivity({
+      screenplayId,
+      userId: auth.user.id,
+      action: 'collaborators_synced',
+      details: {
+        role: access.role,
+        repo: `${repoOwner}/${repoName}`,
+        collaborators: collaborators.map((entry) => entry.githubUsername || entry.id),
+        previousCount: Array.isArray(existingStatus?.collaborators)
+          ? existingStatus.collaborators.length
+          : 0,
+      },
+    });
 
-    const userId =
-      tokenPayload?.user?.id ?? tokenPayload?.sub ?? tokenPayload?.aud ?? null;
     log('info', 'collaborators_synced', {
       screenplayId,
       repo: `${repoOwner}/${repoName}`,
       workers: collaborators.length,
-      user: userId,
+      user: auth.user.id,
     });
 
     return res.status(200).json({ screenplayId, collaborators });
@@ -1,10 +1,11 @@
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log } from '../../logger.js';
-import { decodePocketBaseToken } from './helpers.js';
 import {
   readScreenplayStatus,
   updateCollaboratorIds,
 } from './statusStore.js';
+import { isGithubCollaborator } from './access.js';
 
 async function validateGitHubToken(githubToken) {
   if (!githubToken) {
@@ -47,26 +48,12 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'screenplayId is required' });
   }
 
-  const authHeader = String(req.headers?.authorization ?? '');
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing Authorization bearer token' });
-  }
-
-  const pbToken = authHeader.replace('Bearer ', '').trim();
-  const tokenPayload = decodePocketBaseToken(pbToken);
-  if (!tokenPayload) {
-    return res.status(401).json({ error: 'Invalid authentication token' });
-  }
-
-  const pbUserId =
-    tokenPayload?.recordId ||
-    tokenPayload?.id ||
-    tokenPayload?.sub ||
-    tokenPayload?.userId ||
-    null;
-  if (!pbUserId) {
-    return res.status(401).json({ error: 'Could not determine user ID' });
+  const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'auth_fail', { endpoint: 'validate-collaborator', reason: auth.error });
+    return res.status(auth.status).json({ error: auth.message });
   }
+  const pbUserId = auth.user.id;
 
   const { githubToken } = req.body || {};
   if (!githubToken) {
@@ -81,14 +68,7 @@ export default async function handler(req, res) {
     }
 
     const statusRecord = await readScreenplayStatus(screenplayId);
-    const collaborators = Array.isArray(statusRecord?.collaborators)
-      ? statusRecord.collaborators
-      : [];
-
-    const isCollaborator = collaborators.some(
-      (c) => String(c?.id ?? c?.githubId ?? '').trim() === githubId
-    );
-    if (!isCollaborator) {
+    if (!isGithubCollaborator(statusRecord, githubId)) {
       log('warn', 'validate_collaborator_not_found', {
         screenplayId,
         githubId,
@@ -1,5 +1,6 @@
 import { getStripe, resolvePriceId } from '../../lib/stripe-config.js';
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
 import { log, logSuccessSampled, randomUUID } from '../../logger.js';
 
 let cachedPb;
@@ -12,17 +13,6 @@ async function getPocketBase() {
   return cachedPb;
 }
 
-function decodePocketBaseToken(token) {
-  try {
-    const [, payload] = token.split('.');
-    if (!payload) return null;
-    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
-  } catch (error) {
-    log('error', 'checkout_decode_token_fail', { message: error?.message });
-    return null;
-  }
-}
-
 export default async function handler(req, res) {
   const requestId = randomUUID();
   const startTime = Date.now();
@@ -46,29 +36,11 @@ export default async function handler(req, res) {
     pb = await getPocketBase();
 
     // Validate PocketBase authentication token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized - missing or invalid token' });
-    }
-
-    const token = authHeader.replace('Bearer ', '').trim();
-    const tokenPayload = decodePocketBaseToken(token);
-
-    if (!tokenPayload) {
-      return res.status(401).json({ error: 'Unauthorized - invalid token format' });
-    }
-
-    const authenticatedUserId =
-      tokenPayload?.recordId ||
-      tokenPayload?.id ||
-      tokenPayload?.sub ||
-      null;
-
-    if (!authenticatedUserId) {
-      return res.status(401).json({ error: 'Unauthorized - invalid token payload' });
+    const auth = await authenticateRequest(req);
+    if (!auth.user) {
+      return res.status(auth.status).json({ error: auth.message });
     }
-
-    pb.authStore.save(token, null);
+    const authenticatedUserId = auth.user.id;
 
     const { userId, plan, successUrl, cancelUrl, skipTrial } = req.body;
 
@@ -81,13 +53,7 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Validate token by making an API call (this will fail with 401 if token is invalid)
-    let user;
-    try {
-      user = await pb.collection('users').getOne(authenticatedUserId);
-    } catch (error) {
-      return res.status(401).json({ error: 'Unauthorized - invalid or expired token' });
-    }
+    const user = auth.user.record;
 
     // Authenticate with PocketBase as admin
     await pb.admins.authWithPassword(
@@ -95,8 +61,6 @@ export default async function handler(req, res) {
       process.env.POCKETBASE_ADMIN_PASSWORD
     );
 
-    // User data already fetched during token validation (variable 'user' from line 87)
-
     // Check if user already has a Stripe customer ID
     let customerId;
     const existingSub = await pb.collection('subscriptions')
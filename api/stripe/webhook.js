@@ -1,6 +1,7 @@
 import crypto from 'node:crypto';
 import { getStripe } from '../../lib/stripe-config.js';
 import { log, logSuccessSampled, randomUUID } from '../../logger.js';
+import { appendLedgerEntry } from '../../lib/token-ledger.js';
 
 let cachedPb;
 async function getPocketBase() {
@@ -34,7 +35,15 @@ async function ensurePocketBaseUser(pb, email) {
     tokensUsed: 0,
   });
 
-
+  // Without this entry the user's first ledgered request writes an opening entry for
+  // the same balance, so the ledger still adds up
+  await appendLedgerEntry({
+    userId: user.id,
+    type: 'grant',
+    amount: user.tokensAvailable ?? 5000,
+    balanceAfter: user.tokensAvailable ?? 5000,
+    reason: 'signup',
+  }).catch(() => null);
 
   return user;
 }
@@ -1,34 +1,9 @@
 import { createPersistentWherebyMeeting } from '../../lib/whereby.js';
 import { applyCORS, handlePreflight } from '../../utils/cors.js';
+import { authenticateRequest } from '../../utils/auth.js';
+import { authorizeScreenplay, roleAllows } from '../screenplays/access.js';
 import { log, logSuccessSampled, randomUUID } from '../../logger.js';
 
-let PocketBaseCtor = null;
-
-async function getPocketBaseCtor() {
-	if (!PocketBaseCtor) {
-		const mod = await import('pocketbase');
-		PocketBaseCtor = mod?.default ?? mod.PocketBase ?? mod;
-	}
-	return PocketBaseCtor;
-}
-
-function decodePocketBaseToken(token) {
-	try {
-		const [, payload] = token.split('.');
-		if (!payload) return null;
-		return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
-  } catch (error) {
-    log('error', 'voice_decode_token_fail', { message: error?.message });
-    return null;
-  }
-}
-
-function escapeFilterValue(value) {
-	return String(value ?? '')
-		.replace(/\\/g, '\\\\')
-		.replace(/"/g, '\\"');
-}
-
 function respond(res, status, payload) {
 	return res.status(status).json(payload);
 }
@@ -53,30 +28,15 @@ export default async function handler(req, res) {
     });
   }
 
-	const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Bearer ')) {
-    log('error', 'voice_auth_fail', { request_id: requestId, reason: 'missing_bearer' });
-    return respond(res, 401, {
-      success: false,
-      error: 'Missing Authorization bearer token'
-    });
-  }
-
-	const token = authHeader.replace('Bearer ', '').trim();
-	const tokenPayload = decodePocketBaseToken(token);
-	const userId =
-		tokenPayload?.recordId ||
-		tokenPayload?.id ||
-		tokenPayload?.sub ||
-		null;
-
-  if (!userId) {
-    log('error', 'voice_auth_fail', { request_id: requestId, reason: 'invalid_token' });
-    return respond(res, 401, {
+	const auth = await authenticateRequest(req);
+  if (!auth.user) {
+    log('error', 'voice_auth_fail', { request_id: requestId, reason: auth.error });
+    return respond(res, auth.status, {
       success: false,
-      error: 'Invalid authentication token'
+      error: auth.message
     });
   }
+	const userId = auth.user.id;
 
   if (!process.env.WHEREBY_API_KEY) {
     log('error', 'voice_config_missing', { key: 'WHEREBY_API_KEY' });
@@ -95,45 +55,32 @@ export default async function handler(req, res) {
 		});
 	}
 
-	let pb;
 	try {
-		const PocketBase = await getPocketBaseCtor();
-		pb = new PocketBase(process.env.POCKETBASE_URL);
-		pb.authStore.save(token, null);
-
-		let scriptRecord = null;
-		try {
-			const filter = `screenplayId = "${escapeFilterValue(normalizedId)}"`;
-			scriptRecord = await pb.collection('scripts').getFirstListItem(filter);
-		} catch (error) {
-			if (error?.status === 404) {
-				scriptRecord = null;
-			} else {
-				throw error;
-			}
-		}
-
-    if (scriptRecord?.userId && scriptRecord.userId !== userId) {
-      return respond(res, 403, {
+    // Viewers may join the room; see api/screenplays/access.js for the role ladder
+    const access = await authorizeScreenplay(normalizedId, userId, 'join_voice');
+    if (!access.allowed) {
+      return respond(res, access.status, {
         success: false,
-        error: 'You do not have permission to manage this screenplay'
+        error: access.error
       });
     }
 
 		const meeting = await createPersistentWherebyMeeting(normalizedId);
 		const issuedAt = new Date().toISOString();
+    // The host link carries moderator rights, so it stays with the owner
+    const canHost = roleAllows(access.role, 'host_voice');
 
     const responsePayload = {
       success: true,
       provider: 'whereby',
       url: meeting.roomUrl,
-      hostUrl: meeting.hostRoomUrl,
+      hostUrl: canHost ? meeting.hostRoomUrl : null,
       roomName: meeting.roomName,
       meetingId: meeting.meetingId,
       startDate: meeting.startDate,
       endDate: meeting.endDate,
       createdAt: issuedAt,
-      raw: meeting.raw
+      raw: canHost ? meeting.raw : null
     };
     const durationMs = Date.now() - startTime;
     logSuccessSampled('voice_ok', { request_id: requestId, screenplay_id: normalizedId, duration_ms: durationMs });
@@ -147,9 +94,5 @@ export default async function handler(req, res) {
         error?.message ||
         'Failed to create voice room'
     });
-  } finally {
-		if (pb) {
-			pb.authStore?.clear?.();
-		}
-	}
+  }
 }
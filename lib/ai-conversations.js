@@ -0,0 +1,61 @@
+import { log } from '../logger.js';
+import { getAdminClient } from './pocketbase-admin.js';
+
+// "Script doctor" chat threads, optionally tied to a screenplay. Each record keeps the
+// full turn list so a client only has to send the newest message.
+const CONVERSATIONS_COLLECTION = 'ai_conversations';
+const MAX_STORED_MESSAGES = Math.max(2, Number(process.env.AI_CONVERSATION_MAX_STORED_MESSAGES || 200));
+
+function titleFrom(messages) {
+  const first = messages.find((message) => message.role === 'user')?.content || '';
+  const line = first.split('\n')[0].trim();
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
+
+export async function loadConversation(threadId, userId) {
+  const pb = await getAdminClient();
+  let record;
+  try {
+    record = await pb.collection(CONVERSATIONS_COLLECTION).getOne(threadId, { requestKey: null });
+  } catch (error) {
+    if (error?.status === 404) return null;
+    throw error;
+  }
+  // Threads are private to their author; treat foreign ids as missing
+  if (record?.userId !== userId) return null;
+  return {
+    ...record,
+    messages: Array.isArray(record.messages) ? record.messages : [],
+  };
+}
+
+export async function saveConversationTurn({ thread, userId, screenplayId, messages, reply, provider, model }) {
+  const pb = await getAdminClient();
+  const stored = [
+    ...messages.map((message) => ({ role: message.role, content: message.content })),
+    { role: 'assistant', content: reply },
+  ].slice(-MAX_STORED_MESSAGES);
+
+  const patch = {
+    messages: stored,
+    messageCount: stored.length,
+    lastProvider: provider ?? null,
+    lastModel: model ?? null,
+  };
+
+  if (thread?.id) {
+    return pb.collection(CONVERSATIONS_COLLECTION).update(thread.id, patch, { requestKey: null });
+  }
+
+  const record = await pb.collection(CONVERSATIONS_COLLECTION).create(
+    {
+      ...patch,
+      userId,
+      screenplayId: screenplayId || null,
+      title: titleFrom(stored),
+    },
+    { requestKey: null },
+  );
+  log('info', 'ai_conversation_created', { thread_id: record.id, screenplayId: screenplayId || null });
+  return record;
+}
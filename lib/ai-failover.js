@@ -0,0 +1,144 @@
+import { log } from '../logger.js';
+
+// Provider failover for /api/ai. A chain such as `anthropic -> openai -> deepseek` is
+// tried in order; each provider gets a few retries with exponential backoff on
+// 429/5xx/timeouts before the next one is asked.
+const DEFAULT_CHAIN = process.env.AI_FAILOVER_CHAIN || '';
+const MAX_RETRIES = Math.max(0, Number(process.env.AI_FAILOVER_MAX_RETRIES ?? 1) || 0);
+const BACKOFF_BASE_MS = Math.max(0, Number(process.env.AI_FAILOVER_BACKOFF_MS ?? 500) || 0);
+const BACKOFF_MAX_MS = Math.max(BACKOFF_BASE_MS, Number(process.env.AI_FAILOVER_BACKOFF_MAX_MS ?? 8000) || 0);
+const PROVIDER_TIMEOUT_MS = Math.max(1000, Number(process.env.AI_PROVIDER_TIMEOUT_MS ?? 120000) || 120000);
+
+export function parseChain(value) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => String(entry ?? '').trim().toLowerCase()).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    return value
+      .split(/->|,|>/)
+      .map((entry) => entry.trim().toLowerCase())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// Providers that may point at a self-hosted endpoint. Prompts only reach them, or leave
+// them for a public provider, when the caller names them in an explicit chain.
+const PRIVATE_PROVIDERS = new Set(['openai-compatible']);
+
+// A per-request `failover` chain is used as given; `failover: false` pins the request
+// to `provider`. Otherwise the configured chain follows the requested provider.
+// Returns `{ chain }`, or `{ status, error }` for a provider this deployment cannot serve.
+export function resolveProviderChain({ provider, failover, registry }) {
+  const known = (name) => Object.prototype.hasOwnProperty.call(registry, name);
+  if (typeof provider !== 'string' || !known(provider)) {
+    return { status: 400, error: `Unknown AI provider: ${provider}` };
+  }
+  if (failover === false) {
+    return { chain: [provider] };
+  }
+
+  const requested = parseChain(failover);
+  if (requested.length) {
+    const unknown = requested.filter((name) => !known(name));
+    if (unknown.length) {
+      return { status: 400, error: `Unknown AI provider in failover: ${unknown.join(', ')}` };
+    }
+    return { chain: [...new Set(requested)] };
+  }
+
+  if (PRIVATE_PROVIDERS.has(provider)) {
+    return { chain: [provider] };
+  }
+  const fallbacks = parseChain(DEFAULT_CHAIN).filter((name) => known(name) && !PRIVATE_PROVIDERS.has(name));
+  return { chain: [...new Set([provider, ...fallbacks])] };
+}
+
+function isTimeout(error) {
+  return error?.code === 'ETIMEDOUT' || error?.name === 'APIConnectionTimeoutError';
+}
+
+export function isRetryableError(error) {
+  if (isTimeout(error)) return true;
+  const status = Number(error?.status);
+  if (status === 429 || status >= 500) return true;
+  // Network-level failures from fetch / the OpenAI SDK carry no status
+  return !status && (error?.name === 'APIConnectionError' || error?.message === 'fetch failed');
+}
+
+function backoffDelay(attempt, error) {
+  const retryAfterSeconds = Number(error?.retryAfter ?? error?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    return Math.min(BACKOFF_MAX_MS, retryAfterSeconds * 1000);
+  }
+  const exponential = BACKOFF_BASE_MS * 2 ** attempt;
+  const jitter = Math.random() * BACKOFF_BASE_MS;
+  return Math.min(BACKOFF_MAX_MS, exponential + jitter);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `call(providerModule, providerName, { signal, markStarted })` against each
+// provider in turn. Once `markStarted()` has been called (e.g. streamed text has
+// reached the client) the attempt is committed: no timeout, retry or failover.
+// Errors flagged `failover: false` are final as well.
+export async function runWithFailover({ chain, registry, call, requestId, timeoutMs = PROVIDER_TIMEOUT_MS }) {
+  const attempts = [];
+  let lastError = null;
+
+  for (const providerName of chain) {
+    const providerModule = registry[providerName];
+    for (let retry = 0; retry <= MAX_RETRIES; retry += 1) {
+      const controller = new AbortController();
+      const startedAt = Date.now();
+      let started = false;
+      let timer = setTimeout(() => {
+        const timeoutError = new Error(`${providerName} did not respond within ${timeoutMs}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        controller.abort(timeoutError);
+      }, timeoutMs);
+      const markStarted = () => {
+        started = true;
+        clearTimeout(timer);
+        timer = null;
+      };
+
+      try {
+        const result = await call(providerModule, providerName, { signal: controller.signal, markStarted });
+        attempts.push({ provider: providerName, ok: true, durationMs: Date.now() - startedAt });
+        return { result, providerName, providerModule, attempts };
+      } catch (caught) {
+        const error = controller.signal.aborted && controller.signal.reason ? controller.signal.reason : caught;
+        lastError = error;
+        attempts.push({
+          provider: providerName,
+          ok: false,
+          status: error?.status ?? null,
+          error: error?.message || 'Unknown provider error',
+          durationMs: Date.now() - startedAt,
+        });
+        log('warn', 'ai_provider_attempt_failed', {
+          request_id: requestId,
+          provider: providerName,
+          retry,
+          status: error?.status,
+          message: error?.message,
+        });
+        if (started || error?.failover === false) {
+          error.attempts = attempts;
+          throw error;
+        }
+        if (!isRetryableError(error) || retry === MAX_RETRIES) break;
+        await sleep(backoffDelay(retry, error));
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    }
+  }
+
+  const err = new Error(lastError?.message || 'All AI providers failed');
+  err.status = isRetryableError(lastError) ? 503 : 502;
+  err.raw = lastError?.raw ?? null;
+  err.attempts = attempts;
+  throw err;
+}
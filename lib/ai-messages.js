@@ -0,0 +1,50 @@
+// Conversation helpers shared by the provider adapters. A conversation is a list of
+// { role: 'user' | 'assistant', content } turns that always ends with a user turn.
+const ROLES = new Set(['user', 'assistant']);
+const MAX_MESSAGES = Math.max(1, Number(process.env.AI_MAX_CONVERSATION_MESSAGES || 100));
+
+export function validateMessages(messages) {
+  if (messages === undefined || messages === null) return null;
+  if (!Array.isArray(messages)) return 'messages must be an array';
+  if (messages.length > MAX_MESSAGES) return `messages may contain at most ${MAX_MESSAGES} entries`;
+  for (const [index, message] of messages.entries()) {
+    if (!message || !ROLES.has(message.role)) {
+      return `messages[${index}].role must be "user" or "assistant"`;
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      return `messages[${index}].content must be a non-empty string`;
+    }
+  }
+  return null;
+}
+
+// Merges history, new messages and an optional trailing prompt into alternating turns.
+export function buildConversation({ prompt, messages } = {}) {
+  const turns = [];
+  const push = (role, content) => {
+    const text = String(content ?? '').trim();
+    if (!text || !ROLES.has(role)) return;
+    const last = turns[turns.length - 1];
+    // Anthropic and Gemini reject consecutive turns from the same role
+    if (last && last.role === role) {
+      last.content = `${last.content}\n\n${text}`;
+    } else {
+      turns.push({ role, content: text });
+    }
+  };
+
+  for (const message of Array.isArray(messages) ? messages : []) {
+    push(message?.role, message?.content);
+  }
+  if (typeof prompt === 'string') push('user', prompt);
+
+  while (turns.length && turns[0].role !== 'user') turns.shift();
+  if (!turns.length || turns[turns.length - 1].role !== 'user') {
+    throw Object.assign(new Error('Conversation must end with a user message'), { status: 400 });
+  }
+  return turns;
+}
+
+export function conversationBytes(conversation) {
+  return conversation.reduce((sum, turn) => sum + Buffer.byteLength(turn.content, 'utf8'), 0);
+}
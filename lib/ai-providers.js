@@ -0,0 +1,22 @@
+// Dynamic import for providers to avoid ESM/CJS issues
+export async function getProviderRegistry() {
+  const openaiProvider = await import('./providers/openai.js');
+  const deepseekProvider = await import('./providers/deepseek.js');
+  const geminiProvider = await import('./providers/gemini.js');
+  const anthropicProvider = await import('./providers/anthropic.js');
+  const registry = {
+    openai: openaiProvider,
+    deepseek: deepseekProvider,
+    gemini: geminiProvider,
+    anthropic: anthropicProvider,
+  };
+  // Self-hosted endpoint; without a base URL there is nothing to call
+  if (process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    registry['openai-compatible'] = await import('./providers/openai-compatible.js');
+  }
+  // Offline provider for local development and CI; never reachable in production
+  if (process.env.NODE_ENV !== 'production') {
+    registry.mock = await import('./providers/mock.js');
+  }
+  return registry;
+}
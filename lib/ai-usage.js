@@ -0,0 +1,161 @@
+import { log } from '../logger.js';
+import { getAdminClient, escapeFilterValue } from './pocketbase-admin.js';
+
+// One `ai_usage` record per billed /api/ai call, so users can see where their tokens
+// went. The ledger (lib/token-ledger.js) stays the source of truth for balances; these
+// records carry the request detail a dashboard needs.
+const USAGE_COLLECTION = 'ai_usage';
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Summaries read the range page by page and stop after MAX_SUMMARY_RECORDS
+const SUMMARY_PAGE_SIZE = 500;
+const MAX_SUMMARY_RECORDS = Math.max(SUMMARY_PAGE_SIZE, Number(process.env.AI_USAGE_SUMMARY_MAX_RECORDS) || 20000);
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cachedInputTokens', 'reasoningTokens', 'totalTokens', 'tokenCost', 'costUsd'];
+
+export async function recordUsage(entry) {
+  const record = {
+    userId: entry.userId,
+    requestId: entry.requestId ?? null,
+    provider: entry.provider ?? null,
+    model: entry.model ?? null,
+    feature: entry.feature || 'general',
+    screenplayId: entry.screenplayId || null,
+    threadId: entry.threadId || null,
+    inputTokens: Number(entry.inputTokens) || 0,
+    outputTokens: Number(entry.outputTokens) || 0,
+    cachedInputTokens: Number(entry.cachedInputTokens) || 0,
+    reasoningTokens: Number(entry.reasoningTokens) || 0,
+    totalTokens: Number(entry.totalTokens) || 0,
+    tokenCost: Number(entry.tokenCost) || 0,
+    costUsd: Number(entry.costUsd) || 0,
+    cached: Boolean(entry.cached),
+    streamed: Boolean(entry.streamed),
+    outcome: entry.outcome || 'ok',
+  };
+  try {
+    const pb = await getAdminClient();
+    return await pb.collection(USAGE_COLLECTION).create(record, { requestKey: null });
+  } catch (error) {
+    log('error', 'ai_usage_record_fail', { message: error?.message, request_id: record.requestId });
+    return null;
+  }
+}
+
+// Accepts ISO dates or datetimes. A bare `to` date covers that whole (UTC) day.
+export function parseUsageRange({ from, to } = {}) {
+  const parse = (value, endOfDay) => {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00.000Z` : text);
+    if (Number.isNaN(date.getTime())) return undefined;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) return new Date(date.getTime() + DAY_MS - 1);
+    return date;
+  };
+
+  const end = parse(to, true);
+  const start = parse(from, false);
+  if (end === undefined || start === undefined) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  const rangeEnd = end ?? new Date();
+  const rangeStart = start ?? new Date(rangeEnd.getTime() - 30 * DAY_MS);
+  if (rangeStart > rangeEnd) {
+    return { error: 'from must be before to' };
+  }
+  if (rangeEnd - rangeStart > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range may span at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: rangeStart, to: rangeEnd };
+}
+
+// PocketBase stores datetimes as "YYYY-MM-DD HH:MM:SS.sssZ"
+function toPocketBaseDate(date) {
+  return date.toISOString().replace('T', ' ');
+}
+
+function buildFilter({ userId, from, to, feature, screenplayId }) {
+  const clauses = [
+    `userId = "${escapeFilterValue(userId)}"`,
+    `created >= "${toPocketBaseDate(from)}"`,
+    `created <= "${toPocketBaseDate(to)}"`,
+  ];
+  if (feature) clauses.push(`feature = "${escapeFilterValue(feature)}"`);
+  if (screenplayId) clauses.push(`screenplayId = "${escapeFilterValue(screenplayId)}"`);
+  return clauses.join(' && ');
+}
+
+function emptyTotals() {
+  return Object.fromEntries([['requests', 0], ...USAGE_FIELDS.map((field) => [field, 0])]);
+}
+
+function addTo(totals, record) {
+  totals.requests += 1;
+  for (const field of USAGE_FIELDS) {
+    totals[field] += Number(record[field]) || 0;
+  }
+}
+
+function periodOf(created, groupBy) {
+  const iso = new Date(String(created).replace(' ', 'T')).toISOString();
+  return groupBy === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function addToGroup(groups, key, record) {
+  if (!groups.has(key)) groups.set(key, emptyTotals());
+  addTo(groups.get(key), record);
+}
+
+// `groupBy` is `day` or `month` (UTC periods). Totals are also broken down by feature
+// and by provider:model so the dashboard can show where tokens went. `truncated` is set
+// when the range held more than MAX_SUMMARY_RECORDS records; only the oldest were counted.
+export async function summarizeUsage({ userId, from, to, feature, screenplayId, groupBy = 'day' }) {
+  const pb = await getAdminClient();
+  const totals = emptyTotals();
+  const periods = new Map();
+  const byFeature = new Map();
+  const byModel = new Map();
+  let truncated = false;
+
+  for (let page = 1; ; page += 1) {
+    const { items } = await pb.collection(USAGE_COLLECTION).getList(page, SUMMARY_PAGE_SIZE, {
+      filter: buildFilter({ userId, from, to, feature, screenplayId }),
+      sort: 'created,id',
+      fields: ['created', 'feature', 'provider', 'model', ...USAGE_FIELDS].join(','),
+      skipTotal: true,
+      requestKey: null,
+    });
+    for (const record of items) {
+      addTo(totals, record);
+      addToGroup(periods, periodOf(record.created, groupBy), record);
+      addToGroup(byFeature, record.feature || 'general', record);
+      addToGroup(byModel, `${record.provider}:${record.model}`, record);
+    }
+    if (items.length < SUMMARY_PAGE_SIZE) break;
+    if (totals.requests >= MAX_SUMMARY_RECORDS) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const toList = (groups, keyName) =>
+    [...groups.entries()].map(([key, values]) => ({ [keyName]: key, ...values }));
+
+  return {
+    totals,
+    periods: toList(periods, 'period'),
+    byFeature: toList(byFeature, 'feature'),
+    byModel: toList(byModel, 'model'),
+    truncated,
+  };
+}
+
+export async function listUsage({ userId, from, to, feature, screenplayId, page = 1, perPage = 50 }) {
+  const pb = await getAdminClient();
+  return pb.collection(USAGE_COLLECTION).getList(page, perPage, {
+    filter: buildFilter({ userId, from, to, feature, screenplayId }),
+    sort: '-created',
+    requestKey: null,
+  });
+}
@@ -0,0 +1,214 @@
+import { normalizeHeading, parseFountain } from './fountain.js';
+
+// Structural diff between two Fountain screenplays (see lib/fountain.js). Scenes are
+// matched by id, so the nth "INT. KITCHEN - DAY" in one version pairs with the nth
+// in the other; an unmatched scene whose content is unchanged is reported as a
+// heading change rather than a removal plus an addition. Matched scenes that are out
+// of order relative to the rest are reported as moved. Inside each matched scene,
+// dialogue is compared per character and action paragraphs in order.
+
+// Sequence diffs are quadratic; past this many cells a scene is reported as fully
+// replaced instead of diffed line by line
+const MAX_DIFF_CELLS = 1_000_000;
+
+function sceneFingerprint(scene) {
+  return JSON.stringify(scene.elements);
+}
+
+// Edit script turning `before` into `after`: equal/removed/added runs, with a removal
+// directly followed by an addition folded into a single `changed` entry.
+function diffSequences(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  if (rows * cols > MAX_DIFF_CELLS) {
+    return [
+      ...before.map((text) => ({ type: 'removed', text })),
+      ...after.map((text) => ({ type: 'added', text })),
+    ];
+  }
+
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && before[i] === after[j]) {
+      i += 1;
+      j += 1;
+      ops.push({ type: 'equal' });
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', text: before[i] });
+      i += 1;
+    } else {
+      ops.push({ type: 'added', text: after[j] });
+      j += 1;
+    }
+  }
+
+  const changes = [];
+  for (let k = 0; k < ops.length; k += 1) {
+    const op = ops[k];
+    if (op.type === 'equal') continue;
+    const next = ops[k + 1];
+    if (op.type === 'removed' && next?.type === 'added') {
+      changes.push({ type: 'changed', from: op.text, to: next.text });
+      k += 1;
+    } else {
+      changes.push(op);
+    }
+  }
+  return changes;
+}
+
+function dialogueByCharacter(scene) {
+  const lines = new Map();
+  for (const element of scene.elements) {
+    if (element.type !== 'dialogue') continue;
+    if (!lines.has(element.character)) lines.set(element.character, []);
+    lines.get(element.character).push(element.text);
+  }
+  return lines;
+}
+
+function textsOfType(scene, type) {
+  return scene.elements.filter((element) => element.type === type).map((element) => element.text);
+}
+
+function diffScene(before, after) {
+  const beforeDialogue = dialogueByCharacter(before);
+  const afterDialogue = dialogueByCharacter(after);
+  const characters = [...new Set([...beforeDialogue.keys(), ...afterDialogue.keys()])];
+  const dialogue = characters
+    .map((character) => ({
+      character,
+      changes: diffSequences(beforeDialogue.get(character) || [], afterDialogue.get(character) || []),
+    }))
+    .filter((entry) => entry.changes.length);
+
+  return {
+    dialogue,
+    action: diffSequences(textsOfType(before, 'action'), textsOfType(after, 'action')),
+    transitions: diffSequences(textsOfType(before, 'transition'), textsOfType(after, 'transition')),
+  };
+}
+
+// Indices (into `values`) of one longest strictly increasing subsequence
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  for (let i = 0; i < values.length; i += 1) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < values[i]) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  }
+  const run = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i !== -1; i = previous[i]) run.add(i);
+  return run;
+}
+
+function summarizeScene(scene) {
+  return { id: scene.id, heading: scene.heading, index: scene.index };
+}
+
+export function diffScreenplays(beforeSource, afterSource) {
+  const before = parseFountain(beforeSource);
+  const after = parseFountain(afterSource);
+
+  const afterIndexById = new Map(after.scenes.map((scene) => [scene.id, scene.index]));
+
+  // [beforeIndex, afterIndex] for every matched scene, ordered by position in `before`
+  const pairs = [];
+  const matchedAfter = new Set();
+  before.scenes.forEach(({ id }, beforeIndex) => {
+    const afterIndex = afterIndexById.get(id);
+    if (afterIndex !== undefined) {
+      pairs.push([beforeIndex, afterIndex]);
+      matchedAfter.add(afterIndex);
+    }
+  });
+  const matchedBefore = new Set(pairs.map(([beforeIndex]) => beforeIndex));
+
+  // Renamed headings: unmatched scenes with identical content pair up
+  const unmatchedAfterByFingerprint = new Map();
+  after.scenes.forEach((scene, index) => {
+    if (matchedAfter.has(index) || !scene.elements.length) return;
+    const fingerprint = sceneFingerprint(scene);
+    if (!unmatchedAfterByFingerprint.has(fingerprint)) unmatchedAfterByFingerprint.set(fingerprint, []);
+    unmatchedAfterByFingerprint.get(fingerprint).push(index);
+  });
+  before.scenes.forEach((scene, beforeIndex) => {
+    if (matchedBefore.has(beforeIndex)) return;
+    const candidates = unmatchedAfterByFingerprint.get(sceneFingerprint(scene));
+    if (!candidates?.length) return;
+    const afterIndex = candidates.shift();
+    pairs.push([beforeIndex, afterIndex]);
+    matchedBefore.add(beforeIndex);
+    matchedAfter.add(afterIndex);
+  });
+  pairs.sort((a, b) => a[0] - b[0]);
+
+  const inOrder = longestIncreasingRun(pairs.map(([, afterIndex]) => afterIndex));
+  const moved = [];
+  const modified = [];
+  pairs.forEach(([beforeIndex, afterIndex], pairIndex) => {
+    const beforeScene = before.scenes[beforeIndex];
+    const afterScene = after.scenes[afterIndex];
+    if (!inOrder.has(pairIndex)) {
+      moved.push({ id: afterScene.id, heading: afterScene.heading, fromIndex: beforeIndex, toIndex: afterIndex });
+    }
+    const headingChanged = normalizeHeading(beforeScene.heading) !== normalizeHeading(afterScene.heading);
+    const changes = diffScene(beforeScene, afterScene);
+    if (headingChanged || changes.dialogue.length || changes.action.length || changes.transitions.length) {
+      modified.push({
+        id: afterScene.id,
+        heading: afterScene.heading,
+        ...(headingChanged ? { previousHeading: beforeScene.heading } : {}),
+        fromIndex: beforeIndex,
+        toIndex: afterIndex,
+        ...changes,
+      });
+    }
+  });
+
+  const added = after.scenes.filter((scene) => !matchedAfter.has(scene.index)).map(summarizeScene);
+  const removed = before.scenes.filter((scene) => !matchedBefore.has(scene.index)).map(summarizeScene);
+
+  const dialogueByCharacterSummary = {};
+  for (const scene of modified) {
+    for (const { character, changes } of scene.dialogue) {
+      dialogueByCharacterSummary[character] = (dialogueByCharacterSummary[character] || 0) + changes.length;
+    }
+  }
+
+  return {
+    summary: {
+      scenesBefore: before.scenes.length,
+      scenesAfter: after.scenes.length,
+      scenesAdded: added.length,
+      scenesRemoved: removed.length,
+      scenesMoved: moved.length,
+      scenesModified: modified.length,
+      dialogueChanges: modified.reduce(
+        (total, scene) => total + scene.dialogue.reduce((sum, entry) => sum + entry.changes.length, 0),
+        0,
+      ),
+      actionChanges: modified.reduce((total, scene) => total + scene.action.length, 0),
+      dialogueChangesByCharacter: dialogueByCharacterSummary,
+    },
+    scenes: { added, removed, moved, modified },
+  };
+}
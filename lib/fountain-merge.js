@@ -0,0 +1,78 @@
+import { splitFountainScenes } from './fountain.js';
+
+// Brings selected scenes from an old revision of a Fountain screenplay into the current
+// text, leaving everything else untouched. A selector is a scene id as reported by the
+// diff ("INT. KITCHEN - DAY#2") or, failing that, a case-insensitive piece of the
+// heading matching every scene that contains it. A selected scene that still exists
+// is replaced in place; one that was deleted since goes back after the nearest scene
+// that preceded it in the revision, or at the top when none of those survive.
+
+function selectScenes(scenes, selectors) {
+  const selected = new Set();
+  const unmatched = [];
+  for (const selector of selectors) {
+    const value = String(selector ?? '').trim();
+    const byId = scenes.filter((scene) => scene.id === value);
+    const matches = byId.length
+      ? byId
+      : scenes.filter((scene) => value && scene.heading.toLowerCase().includes(value.toLowerCase()));
+    if (!matches.length) unmatched.push(selector);
+    matches.forEach((scene) => selected.add(scene.index));
+  }
+  return {
+    scenes: scenes.filter((scene) => selected.has(scene.index)),
+    unmatched,
+  };
+}
+
+// Which scenes of `source` the selectors pick, and the selectors that matched nothing
+export function findScenes(source, selectors) {
+  return selectScenes(splitFountainScenes(source).scenes, selectors);
+}
+
+// A heading only counts as one after a blank line, so every chunk followed by another
+// must end in one
+function joinChunks(chunks) {
+  return chunks
+    .filter(Boolean)
+    .map((text, i, all) => {
+      if (i === all.length - 1) return text;
+      if (text.endsWith('\n\n')) return text;
+      return text.endsWith('\n') ? `${text}\n` : `${text}\n\n`;
+    })
+    .join('');
+}
+
+export function mergeScenes(currentSource, revisionSource, selectors) {
+  const current = splitFountainScenes(currentSource);
+  const revision = splitFountainScenes(revisionSource);
+  const { scenes: picked, unmatched } = selectScenes(revision.scenes, selectors);
+
+  const merged = current.scenes.map(({ id, text }) => ({ id, text }));
+  const restored = [];
+  for (const scene of picked) {
+    const existing = merged.findIndex((chunk) => chunk.id === scene.id);
+    if (existing !== -1) {
+      merged[existing] = { id: scene.id, text: scene.text };
+      restored.push({ id: scene.id, heading: scene.heading, mode: 'replaced' });
+      continue;
+    }
+
+    let insertAt = 0;
+    for (let i = scene.index - 1; i >= 0; i -= 1) {
+      const anchor = merged.findIndex((chunk) => chunk.id === revision.scenes[i].id);
+      if (anchor !== -1) {
+        insertAt = anchor + 1;
+        break;
+      }
+    }
+    merged.splice(insertAt, 0, { id: scene.id, text: scene.text });
+    restored.push({ id: scene.id, heading: scene.heading, mode: 'inserted' });
+  }
+
+  return {
+    content: joinChunks([current.preamble, ...merged.map((chunk) => chunk.text)]),
+    restored,
+    unmatched,
+  };
+}
@@ -0,0 +1,203 @@
+// Minimal Fountain (https://fountain.io/syntax) parser: enough structure to compare two
+// versions of a screenplay. The script becomes a list of scenes, each holding its
+// action paragraphs, dialogue blocks and transitions in order. Formatting (emphasis,
+// page breaks, sections, synopses, notes and boneyard) is dropped; anything before the
+// first scene heading is kept as a scene with a null heading.
+//
+// Scene ids are the normalized heading plus its occurrence ("INT. KITCHEN - DAY#2" is
+// the second kitchen scene), so the same scene gets the same id in two versions of a
+// script as long as its heading and the order of same-named scenes hold.
+const SCENE_HEADING = /^(?:INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i;
+const TITLE_KEY = /^[A-Za-z][A-Za-z ]*:/;
+const SCENE_NUMBER = /\s*#[^#]+#\s*$/;
+const CHARACTER_EXTENSION = /\s*\([^)]*\)\s*/g;
+
+export function normalizeHeading(heading) {
+  return String(heading ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+function assignSceneIds(scenes) {
+  const seen = new Map();
+  return scenes.map((scene, index) => {
+    if (scene.heading === null) return { index, id: 'preamble', ...scene };
+    const heading = normalizeHeading(scene.heading);
+    const occurrence = (seen.get(heading) || 0) + 1;
+    seen.set(heading, occurrence);
+    return { index, id: `${heading}#${occurrence}`, ...scene };
+  });
+}
+
+const blankOut = (span) => span.replace(/[^\n]/g, '');
+
+// The source's lines with boneyard and notes blanked out. Newlines inside them are
+// kept, so line numbers still point into the source.
+function visibleLines(source) {
+  return String(source ?? '')
+    .replace(/\/\*[\s\S]*?\*\//g, blankOut)
+    .replace(/\[\[[\s\S]*?\]\]/g, blankOut)
+    .split('\n')
+    .map((line) => line.replace(/\r$/, ''));
+}
+
+function isBlank(line) {
+  return line === undefined || line.trim() === '';
+}
+
+function splitTitlePage(lines) {
+  if (!TITLE_KEY.test(lines[0] ?? '')) return { titlePage: {}, bodyStart: 0 };
+  const end = lines.findIndex(isBlank);
+  const titleLines = end === -1 ? lines : lines.slice(0, end);
+  const titlePage = {};
+  let key = null;
+  for (const line of titleLines) {
+    const match = line.match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/);
+    if (match) {
+      key = match[1].trim().toLowerCase();
+      titlePage[key] = match[2].trim();
+    } else if (key) {
+      titlePage[key] = [titlePage[key], line.trim()].filter(Boolean).join('\n');
+    }
+  }
+  return { titlePage, bodyStart: end === -1 ? lines.length : end + 1 };
+}
+
+function sceneHeading(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('.') && !trimmed.startsWith('..')) {
+    return trimmed.slice(1).replace(SCENE_NUMBER, '').trim();
+  }
+  return SCENE_HEADING.test(trimmed) ? trimmed.replace(SCENE_NUMBER, '').trim() : null;
+}
+
+function isTransition(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('>') && !trimmed.endsWith('<')) return true;
+  return trimmed === trimmed.toUpperCase() && /TO:$/.test(trimmed);
+}
+
+// A character cue is an all-caps line (or one forced with `@`) directly followed by text
+function characterName(line, nextLine) {
+  if (isBlank(nextLine)) return null;
+  const trimmed = line.trim();
+  if (trimmed.startsWith('@')) {
+    return trimmed.slice(1).replace(CHARACTER_EXTENSION, ' ').replace(/\^$/, '').trim() || null;
+  }
+  if (trimmed.startsWith('!')) return null;
+  const name = trimmed.replace(CHARACTER_EXTENSION, ' ').replace(/\^$/, '').trim();
+  if (!/[A-Z]/.test(name) || name !== name.toUpperCase()) return null;
+  return name;
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/[*_]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .trim();
+}
+
+function parseBlock(blockLines, scene) {
+  const first = blockLines[0].trim();
+  if (first.startsWith('#') || first.startsWith('=')) {
+    // Sections, synopses and page breaks (===) carry no screenplay content
+    return;
+  }
+
+  const character = blockLines.length > 1 ? characterName(blockLines[0], blockLines[1]) : null;
+  if (character) {
+    const parentheticals = [];
+    const dialogue = [];
+    for (const line of blockLines.slice(1)) {
+      const trimmed = line.trim();
+      if (/^\(.*\)$/.test(trimmed)) {
+        parentheticals.push(trimmed);
+      } else {
+        dialogue.push(trimmed);
+      }
+    }
+    scene.elements.push({
+      type: 'dialogue',
+      character,
+      parentheticals,
+      text: normalizeText(dialogue.join('\n')),
+    });
+    return;
+  }
+
+  if (blockLines.length === 1 && isTransition(first)) {
+    scene.elements.push({ type: 'transition', text: first.replace(/^>\s*/, '') });
+    return;
+  }
+
+  const text = normalizeText(
+    blockLines
+      .map((line) => line.trim().replace(/^!/, '').replace(/^>\s*(.*?)\s*<$/, '$1'))
+      .join('\n'),
+  );
+  if (text) {
+    scene.elements.push({ type: 'action', text });
+  }
+}
+
+// Where each scene starts. parseFountain and splitFountainScenes both cut the script
+// here, so a scene id names the same text in either.
+function scanScenes(source) {
+  const lines = visibleLines(source);
+  const { titlePage, bodyStart } = splitTitlePage(lines);
+  const starts = [];
+  for (let i = bodyStart; i < lines.length; i += 1) {
+    if (isBlank(lines[i]) || (i > bodyStart && !isBlank(lines[i - 1]))) continue;
+    const heading = sceneHeading(lines[i]);
+    if (heading) starts.push({ line: i, heading });
+  }
+  return { lines, titlePage, bodyStart, starts };
+}
+
+function parseElements(lines) {
+  const scene = { elements: [] };
+  let block = [];
+  for (const line of [...lines, '']) {
+    if (!isBlank(line)) {
+      block.push(line);
+      continue;
+    }
+    if (block.length) parseBlock(block, scene);
+    block = [];
+  }
+  return scene.elements;
+}
+
+export function parseFountain(source) {
+  const { lines, titlePage, bodyStart, starts } = scanScenes(source);
+  const scenes = [];
+  const preamble = parseElements(lines.slice(bodyStart, starts[0]?.line ?? lines.length));
+  if (preamble.length) scenes.push({ heading: null, elements: preamble });
+  starts.forEach((start, i) => {
+    scenes.push({
+      heading: start.heading,
+      elements: parseElements(lines.slice(start.line + 1, starts[i + 1]?.line ?? lines.length)),
+    });
+  });
+  return { titlePage, scenes: assignSceneIds(scenes) };
+}
+
+// The source cut into scene-sized chunks without any normalization, for editing the
+// text itself: `preamble` (title page and anything before the first heading) followed
+// by each scene's raw text, which together reproduce the source exactly.
+export function splitFountainScenes(source) {
+  const lines = String(source ?? '').split('\n');
+  const { starts } = scanScenes(source);
+
+  const chunk = (from, to) =>
+    from === to ? '' : lines.slice(from, to).join('\n') + (to < lines.length ? '\n' : '');
+  const scenes = starts.map((start, i) => ({
+    heading: start.heading,
+    text: chunk(start.line, starts[i + 1]?.line ?? lines.length),
+  }));
+  return {
+    preamble: chunk(0, starts[0]?.line ?? lines.length),
+    scenes: assignSceneIds(scenes),
+  };
+}
@@ -0,0 +1,129 @@
+import { readJsonEnv } from '../utils/env.js';
+import { getModelPricing } from './pricing.js';
+
+// Server-side list of the models callers may pick per request. Rates come from
+// lib/pricing.js unless an entry carries its own `pricing`. `plans` lists the user
+// plans that may use an entry; each provider's process default (OPENAI_MODEL,
+// ANTHROPIC_MODEL, ...) stays available to every plan.
+// AI_MODEL_CATALOG may hold a JSON array of entries that add to or replace these.
+const ALL_PLANS = ['free', 'subscriber'];
+const SUBSCRIBER_ONLY = ['subscriber'];
+
+const BUILT_IN_MODELS = [
+  { provider: 'openai', model: 'gpt-4o-mini', label: 'GPT-4o mini', contextWindow: 128000, maxOutputTokens: 16384, plans: ALL_PLANS },
+  { provider: 'openai', model: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384, plans: SUBSCRIBER_ONLY },
+  { provider: 'openai', model: 'gpt-5-mini', label: 'GPT-5 mini', contextWindow: 400000, maxOutputTokens: 128000, plans: ALL_PLANS },
+  { provider: 'openai', model: 'gpt-5', label: 'GPT-5', contextWindow: 400000, maxOutputTokens: 128000, plans: SUBSCRIBER_ONLY },
+  { provider: 'anthropic', model: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', contextWindow: 200000, maxOutputTokens: 8192, plans: ALL_PLANS },
+  { provider: 'anthropic', model: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet', contextWindow: 200000, maxOutputTokens: 8192, plans: SUBSCRIBER_ONLY },
+  { provider: 'gemini', model: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', contextWindow: 1048576, maxOutputTokens: 65536, plans: ALL_PLANS },
+  { provider: 'gemini', model: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', contextWindow: 1048576, maxOutputTokens: 65536, plans: SUBSCRIBER_ONLY },
+  { provider: 'deepseek', model: 'deepseek-chat', label: 'DeepSeek Chat', contextWindow: 64000, maxOutputTokens: 8192, plans: ALL_PLANS },
+  { provider: 'deepseek', model: 'deepseek-reasoner', label: 'DeepSeek Reasoner', contextWindow: 64000, maxOutputTokens: 8192, plans: SUBSCRIBER_ONLY },
+];
+
+const CONFIGURED_MODELS = readJsonEnv('AI_MODEL_CATALOG', 'ai_model_catalog_invalid', { expect: 'array' })
+  .filter((entry) => entry?.provider && entry?.model);
+
+function modelId(provider, model) {
+  return `${provider}:${model}`;
+}
+
+function toEntry(entry) {
+  const provider = String(entry.provider).toLowerCase();
+  const plans = Array.isArray(entry.plans) ? entry.plans.filter((plan) => ALL_PLANS.includes(plan)) : ALL_PLANS;
+  return {
+    id: modelId(provider, entry.model),
+    provider,
+    model: String(entry.model),
+    label: entry.label || String(entry.model),
+    contextWindow: Number(entry.contextWindow) || null,
+    maxOutputTokens: Number(entry.maxOutputTokens) || null,
+    pricing: entry.pricing ?? getModelPricing(provider, entry.model),
+    plans,
+    default: false,
+  };
+}
+
+export function planForUser(user) {
+  return user?.hasValidSub ? 'subscriber' : 'free';
+}
+
+// Catalog entries for the providers in `registry`, with each provider's default marked.
+export function getModelCatalog(registry) {
+  const entries = new Map();
+  for (const entry of [...BUILT_IN_MODELS, ...CONFIGURED_MODELS]) {
+    const normalized = toEntry(entry);
+    if (!registry[normalized.provider]) continue;
+    entries.set(normalized.id, normalized);
+  }
+
+  for (const [provider, providerModule] of Object.entries(registry)) {
+    const defaultModel = providerModule.DEFAULT_MODEL;
+    if (!defaultModel) continue;
+    const id = modelId(provider, defaultModel);
+    // A default set through env but missing from the catalog is still usable
+    const entry = entries.get(id) ?? toEntry({ provider, model: defaultModel });
+    entries.set(id, { ...entry, default: true });
+  }
+  return [...entries.values()];
+}
+
+export function isModelAllowed(entry, plan) {
+  return entry.default || entry.plans.includes(plan);
+}
+
+export function listModelsForPlan(catalog, plan) {
+  return catalog.filter((entry) => isModelAllowed(entry, plan));
+}
+
+// Looks up a requested model by id ("provider:model") or by bare model name, preferring
+// the requested provider. Returns { entry } or { status, error }.
+export function selectModel({ catalog, provider, model, plan }) {
+  if (model === undefined || model === null || model === '') {
+    const entry = catalog.find((candidate) => candidate.provider === provider && candidate.default);
+    return { entry: entry ?? null };
+  }
+  if (typeof model !== 'string') {
+    return { status: 400, error: 'model must be a string' };
+  }
+  const entry =
+    catalog.find((candidate) => candidate.id === model) ||
+    catalog.find((candidate) => candidate.model === model && candidate.provider === provider) ||
+    catalog.find((candidate) => candidate.model === model);
+  if (!entry) {
+    return { status: 400, error: `Unknown model: ${model}` };
+  }
+  if (!isModelAllowed(entry, plan)) {
+    return { status: 403, error: `Model ${entry.id} is not available on your plan` };
+  }
+  return { entry };
+}
+
+// The model each provider in a failover chain will be asked for: the selected entry for
+// its own provider, otherwise that provider's default.
+export function modelsForChain({ catalog, chain, selected }) {
+  const models = {};
+  for (const provider of chain) {
+    if (selected?.provider === provider) {
+      models[provider] = selected;
+      continue;
+    }
+    const fallback = catalog.find((entry) => entry.provider === provider && entry.default);
+    if (fallback) models[provider] = fallback;
+  }
+  return models;
+}
+
+export function publicModel(entry) {
+  return {
+    id: entry.id,
+    provider: entry.provider,
+    model: entry.model,
+    label: entry.label,
+    contextWindow: entry.contextWindow,
+    maxOutputTokens: entry.maxOutputTokens,
+    pricing: entry.pricing,
+    default: entry.default,
+  };
+}
@@ -0,0 +1,28 @@
+import PocketBase from 'pocketbase';
+
+let adminClient = null;
+
+export function escapeFilterValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"');
+}
+
+export async function getAdminClient() {
+  if (adminClient && adminClient.authStore?.isValid) {
+    return adminClient;
+  }
+
+  const baseUrl = process.env.POCKETBASE_URL;
+  const email = process.env.POCKETBASE_ADMIN_EMAIL;
+  const password = process.env.POCKETBASE_ADMIN_PASSWORD;
+
+  if (!baseUrl || !email || !password) {
+    throw new Error('PocketBase admin credentials are not configured.');
+  }
+
+  adminClient = new PocketBase(baseUrl);
+  adminClient.autoCancellation?.(false);
+  await adminClient.admins.authWithPassword(email, password);
+  return adminClient;
+}
@@ -0,0 +1,84 @@
+import { log } from '../logger.js';
+import { getAdminClient } from './pocketbase-admin.js';
+
+// The collections and fields this API writes that pb_migrations creates, and the
+// unique indexes the code relies on for atomicity. Fields PocketBase always has (id,
+// created, updated) are left out.
+export const REQUIRED_SCHEMA = {
+  screenplay_locks: {
+    fields: ['key', 'screenplayId', 'lockType', 'holderId', 'holderName', 'acquiredAt', 'expiresAt', 'fence', 'metadata'],
+    unique: ['key'],
+  },
+  screenplay_status: {
+    fields: ['saveLockFence', 'roles', 'rolesUpdatedAt', 'restoreJobId', 'restoredScenes', 'repoOwner', 'repoName'],
+  },
+  screenplay_activity: {
+    fields: ['screenplayId', 'userId', 'action', 'details'],
+  },
+  restore_jobs: {
+    fields: [
+      'screenplayId', 'state', 'requestedBy', 'revisionSha', 'repoOwner', 'repoName', 'branch', 'filePath',
+      'mode', 'scenes', 'restoredScenes', 'commitSha', 'attempts', 'error', 'timeline', 'githubTokenEncrypted',
+    ],
+  },
+  token_ledger: {
+    fields: ['userId', 'type', 'amount', 'balanceAfter', 'reservationId', 'requestId', 'provider', 'model', 'reason', 'metadata'],
+  },
+  ai_usage: {
+    fields: [
+      'userId', 'requestId', 'provider', 'model', 'feature', 'screenplayId', 'threadId', 'inputTokens', 'outputTokens',
+      'cachedInputTokens', 'reasoningTokens', 'totalTokens', 'tokenCost', 'costUsd', 'cached', 'streamed', 'outcome',
+    ],
+  },
+  ai_conversations: {
+    fields: ['userId', 'screenplayId', 'title', 'messages', 'messageCount', 'lastProvider', 'lastModel'],
+  },
+  ai_response_cache: {
+    fields: ['key', 'value', 'expiresAt'],
+    unique: ['key'],
+  },
+};
+
+function hasUniqueIndex(collection, field) {
+  const pattern = new RegExp(`^CREATE UNIQUE INDEX .* \\(\\s*\`?${field}\`?\\s*\\)$`, 'i');
+  return Boolean(collection?.indexes?.some((index) => pattern.test(index.trim())));
+}
+
+// What `name` lacks compared to `expected`, as messages; [] when it is complete.
+// Throws only when PocketBase cannot be asked.
+export async function findSchemaProblems(name, { fields = [], unique = [] } = {}) {
+  let collection;
+  try {
+    const pb = await getAdminClient();
+    collection = await pb.collections.getOne(name, { requestKey: null });
+  } catch (error) {
+    if (error?.status === 404) return [`${name} collection does not exist`];
+    throw error;
+  }
+  const present = new Set((collection?.fields ?? []).map((field) => field?.name));
+  const missing = fields.filter((field) => !present.has(field));
+  return [
+    ...(missing.length ? [`${name} is missing fields ${missing.join(', ')}`] : []),
+    ...unique.filter((field) => !hasUniqueIndex(collection, field)).map((field) => `${name} has no unique index on ${field}`),
+  ];
+}
+
+// Startup check that pb_migrations has been applied: throws when a collection, field or
+// unique index is missing. PocketBase being unreachable is only logged; the requests
+// that need it will fail on their own.
+export async function verifySchema(schema = REQUIRED_SCHEMA) {
+  const problems = [];
+  try {
+    for (const [name, expected] of Object.entries(schema)) {
+      problems.push(...(await findSchemaProblems(name, expected)));
+    }
+  } catch (error) {
+    log('error', 'pocketbase_schema_unverified', { message: error?.message });
+    return false;
+  }
+  if (problems.length) {
+    log('error', 'pocketbase_schema_misconfigured', { problems });
+    throw new Error(`${problems.join('; ')}; apply pb_migrations before starting the API`);
+  }
+  return true;
+}
@@ -0,0 +1,138 @@
+import { readJsonEnv } from '../utils/env.js';
+
+// One pricing table for every provider, in USD per million tokens. `cachedInput`
+// applies to prompt tokens served from the provider's prompt cache and `reasoning` to
+// hidden thinking tokens; both fall back to the plain input/output rate when absent.
+// Model ids are matched exactly first, then by the longest matching prefix (dated
+// snapshots such as gpt-4o-mini-2024-07-18), then the provider's `default` row.
+const BUILT_IN_PRICING = {
+  openai: {
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+    'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+    'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.40 },
+    'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2.00 },
+    'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10.00 },
+    default: { input: 2.50, cachedInput: 1.25, output: 10.00 },
+  },
+  anthropic: {
+    'claude-3-5-haiku': { input: 0.80, cachedInput: 0.08, output: 4.00 },
+    'claude-3-5-sonnet': { input: 3.00, cachedInput: 0.30, output: 15.00 },
+    'claude-3-7-sonnet': { input: 3.00, cachedInput: 0.30, output: 15.00 },
+    'claude-sonnet-4': { input: 3.00, cachedInput: 0.30, output: 15.00 },
+    'claude-opus-4': { input: 15.00, cachedInput: 1.50, output: 75.00 },
+    default: { input: 3.00, cachedInput: 0.30, output: 15.00 },
+  },
+  gemini: {
+    'gemini-2.5-flash-lite': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, cachedInput: 0.075, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, cachedInput: 0.31, output: 10.00 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    default: { input: 1.25, cachedInput: 0.31, output: 10.00 },
+  },
+  deepseek: {
+    'deepseek-chat': { input: 0.27, cachedInput: 0.07, output: 1.10 },
+    'deepseek-reasoner': { input: 0.55, cachedInput: 0.14, output: 2.19 },
+    default: { input: 0.55, cachedInput: 0.14, output: 2.19 },
+  },
+  // Self-hosted models cost what the operator says they cost (free unless configured)
+  'openai-compatible': {
+    default: {
+      input: Number(process.env.OPENAI_COMPATIBLE_INPUT_PRICE) || 0,
+      output: Number(process.env.OPENAI_COMPATIBLE_OUTPUT_PRICE) || 0,
+    },
+  },
+  // Nominal rates so development traffic still moves through billing
+  mock: {
+    default: { input: 1.00, output: 2.00 },
+  },
+};
+
+// USD value of one internal token, the unit users.tokensAvailable is counted in
+export const INTERNAL_TOKEN_VALUE_USD = Number(process.env.AI_INTERNAL_TOKEN_VALUE_USD) > 0
+  ? Number(process.env.AI_INTERNAL_TOKEN_VALUE_USD)
+  : 0.0001;
+
+// AI_PRICING may hold JSON shaped like BUILT_IN_PRICING; its rows replace the built-in ones.
+const PRICING = (() => {
+  const table = {};
+  const configured = readJsonEnv('AI_PRICING', 'ai_pricing_invalid');
+  for (const provider of new Set([...Object.keys(BUILT_IN_PRICING), ...Object.keys(configured)])) {
+    table[provider] = { ...(BUILT_IN_PRICING[provider] || {}), ...(configured[provider] || {}) };
+  }
+  return table;
+})();
+
+export function getModelPricing(provider, model) {
+  const rows = PRICING[String(provider || '').toLowerCase()];
+  if (!rows) return null;
+  const id = String(model || '');
+  if (rows[id]) return rows[id];
+  const prefix = Object.keys(rows)
+    .filter((key) => key !== 'default' && id.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return rows[prefix] || rows.default || null;
+}
+
+function count(value) {
+  return Math.max(0, Number(value) || 0);
+}
+
+function rate(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// `inputTokens` includes cached prompt tokens and `outputTokens` includes reasoning
+// tokens, matching how the provider adapters report usage. `pricing` overrides the
+// table lookup (e.g. rates carried by a model catalog entry).
+export function calculateCost({ provider, model, inputTokens, outputTokens, cachedInputTokens, reasoningTokens, pricing }) {
+  const rates = pricing || getModelPricing(provider, model);
+  if (!rates) {
+    const err = new Error(`No pricing configured for ${provider}:${model}`);
+    err.status = 500;
+    throw err;
+  }
+
+  const input = count(inputTokens);
+  const output = count(outputTokens);
+  const cached = Math.min(count(cachedInputTokens), input);
+  const reasoning = Math.min(count(reasoningTokens), output);
+
+  const inputRate = rate(rates.input, 0);
+  const outputRate = rate(rates.output, 0);
+  const usd = {
+    input: ((input - cached) * inputRate) / 1_000_000,
+    cachedInput: (cached * rate(rates.cachedInput, inputRate)) / 1_000_000,
+    output: ((output - reasoning) * outputRate) / 1_000_000,
+    reasoning: (reasoning * rate(rates.reasoning, outputRate)) / 1_000_000,
+  };
+  usd.total = usd.input + usd.cachedInput + usd.output + usd.reasoning;
+
+  return {
+    provider,
+    model,
+    rates: {
+      input: inputRate,
+      cachedInput: rate(rates.cachedInput, inputRate),
+      output: outputRate,
+      reasoning: rate(rates.reasoning, outputRate),
+    },
+    tokens: { input: input - cached, cachedInput: cached, output: output - reasoning, reasoning },
+    usd,
+    internalTokenValueUsd: INTERNAL_TOKEN_VALUE_USD,
+    // Rounded first so float noise (330.00000000000006) does not bill an extra token
+    internalTokens: Math.max(1, Math.ceil(Number((usd.total / INTERNAL_TOKEN_VALUE_USD).toFixed(6)))),
+  };
+}
+
+// The most output tokens `budget` internal tokens still pay for once `inputTokens` of
+// prompt are billed, at the dearer of the output and reasoning rates. Null when output
+// is free. At least 1, so a prompt that alone eats the budget still gets an answer.
+export function maxAffordableOutputTokens({ provider, model, pricing, inputTokens, budget }) {
+  const rates = pricing || getModelPricing(provider, model);
+  const outputRate = rate(rates?.output, 0);
+  const perOutputToken = Math.max(outputRate, rate(rates?.reasoning, outputRate));
+  if (!perOutputToken) return null;
+  const leftUsd = count(budget) * INTERNAL_TOKEN_VALUE_USD - (count(inputTokens) * rate(rates.input, 0)) / 1_000_000;
+  return Math.max(1, Math.floor((leftUsd * 1_000_000) / perOutputToken));
+}
@@ -1,7 +1,13 @@
+import { readServerSentEvents, parseEventData } from '../sse.js';
+import { buildConversation } from '../ai-messages.js';
+import { calculateCost } from '../pricing.js';
+
 const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
 const ANTHROPIC_API_URL = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
 const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
 
+export const DEFAULT_MODEL = ANTHROPIC_MODEL;
+
 function extractTextFromContent(content) {
   const blocks = Array.isArray(content) ? content : [];
   const parts = [];
@@ -14,30 +20,69 @@ function extractTextFromContent(content) {
   return parts.join(' ').trim();
 }
 
-export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7 }) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY is not configured');
-  }
+// Structured output is requested as a forced tool call. Tool inputs must be objects,
+// so other schema roots are wrapped in { result } and unwrapped again on the way out.
+function buildTool(responseFormat) {
+  const isObjectRoot = responseFormat.schema?.type === 'object';
+  return {
+    wrapped: !isObjectRoot,
+    tool: {
+      name: responseFormat.name,
+      description: 'Return the response as structured data.',
+      input_schema: isObjectRoot
+        ? responseFormat.schema
+        : { type: 'object', properties: { result: responseFormat.schema }, required: ['result'] }
+    }
+  };
+}
 
+function extractToolInput(content, toolName, wrapped) {
+  const blocks = Array.isArray(content) ? content : [];
+  const block = blocks.find((b) => b?.type === 'tool_use' && b?.name === toolName);
+  if (!block) return '';
+  const value = wrapped ? block.input?.result : block.input;
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+function buildRequestBody({ model, systemPrompt, prompt, messages, maxTokens, temperature, responseFormat }) {
+  const conversation = buildConversation({ prompt, messages });
   const body = {
-    model: ANTHROPIC_MODEL,
-    max_tokens: Math.max(64, Number(maxTokens) || 150),
+    model: model || ANTHROPIC_MODEL,
+    max_tokens: Number(maxTokens) || 150,
     temperature: typeof temperature === 'number' ? temperature : 0.7,
     system: (systemPrompt && String(systemPrompt).trim()) || undefined,
-    messages: [
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: String(prompt || '').trim() }
-        ]
-      }
-    ]
+    messages: conversation.map((turn) => ({
+      role: turn.role,
+      content: [
+        { type: 'text', text: turn.content }
+      ]
+    }))
   };
 
+  if (responseFormat) {
+    const { tool } = buildTool(responseFormat);
+    body.tools = [tool];
+    body.tool_choice = { type: 'tool', name: tool.name };
+  }
+
   // Remove undefined keys
   Object.keys(body).forEach((k) => body[k] === undefined && delete body[k]);
+  return body;
+}
+
+// input_tokens excludes prompt-cache reads and writes; report the full prompt size
+function readUsage(usage, previous = {}) {
+  if (!usage) return previous;
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const cacheWrite = usage.cache_creation_input_tokens || 0;
+  return {
+    inputTokens: usage.input_tokens !== undefined ? usage.input_tokens + cacheRead + cacheWrite : previous.inputTokens || 0,
+    cachedInputTokens: usage.input_tokens !== undefined ? cacheRead : previous.cachedInputTokens || 0,
+    outputTokens: usage.output_tokens || previous.outputTokens || 0
+  };
+}
 
+async function postMessages(apiKey, body, signal) {
   const resp = await fetch(ANTHROPIC_API_URL, {
     method: 'POST',
     headers: {
@@ -45,51 +90,122 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
       'x-api-key': apiKey,
       'anthropic-version': ANTHROPIC_VERSION
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal
   });
 
   if (!resp.ok) {
     const raw = await resp.text().catch(() => '');
     const err = new Error(`Anthropic API error: ${resp.status} ${resp.statusText}`);
+    err.status = resp.status;
+    err.retryAfter = resp.headers.get('retry-after');
     err.raw = raw;
     throw err;
   }
+  return resp;
+}
+
+export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, signal, messages, responseFormat, model = ANTHROPIC_MODEL }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is not configured');
+  }
+
+  const body = buildRequestBody({ model, systemPrompt, prompt, messages, maxTokens, temperature, responseFormat });
+  const resp = await postMessages(apiKey, body, signal);
 
   const json = await resp.json();
-  const synopsis = extractTextFromContent(json?.content);
+  const synopsis = responseFormat
+    ? extractToolInput(json?.content, responseFormat.name, buildTool(responseFormat).wrapped)
+    : extractTextFromContent(json?.content);
   if (!synopsis) {
     const err = new Error('Anthropic response did not contain synopsis text');
     err.raw = json;
     throw err;
   }
 
-  const inputTokens = json?.usage?.input_tokens || 0;
-  const outputTokens = json?.usage?.output_tokens || 0;
+  const { inputTokens = 0, cachedInputTokens = 0, outputTokens = 0 } = readUsage(json?.usage);
   const totalTokens = inputTokens + outputTokens;
 
   return {
     synopsis,
     inputTokens,
     outputTokens,
+    cachedInputTokens,
+    reasoningTokens: 0,
     totalTokens,
-    model: ANTHROPIC_MODEL,
+    model: body.model,
     provider: 'anthropic',
     raw: json
   };
 }
 
-export function calculateTokenCost(inputTokens, outputTokens) {
-  const input = Math.max(0, Number(inputTokens) || 0);
-  const output = Math.max(0, Number(outputTokens) || 0);
+export async function streamSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, onDelta, signal, messages, model = ANTHROPIC_MODEL }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is not configured');
+  }
+
+  const body = { ...buildRequestBody({ model, systemPrompt, prompt, messages, maxTokens, temperature }), stream: true };
+  const resp = await postMessages(apiKey, body, signal);
+
+  let text = '';
+  let usage = {};
+  let lastMessage = null;
 
-  // Approximate Claude 3.5 Sonnet pricing: $3.00/M input, $15.00/M output
-  const inputCostPerToken = 3.00 / 1_000_000;
-  const outputCostPerToken = 15.00 / 1_000_000;
-  const internalTokenValue = 0.0001; // internal token unit used by app
+  for await (const { event, data } of readServerSentEvents(resp.body)) {
+    const payload = parseEventData(data);
+    if (!payload) continue;
+    if (event === 'error' || payload.type === 'error') {
+      const err = new Error(`Anthropic stream error: ${payload?.error?.message || 'unknown'}`);
+      err.raw = payload;
+      throw err;
+    }
+    if (payload.type === 'message_start') {
+      lastMessage = payload.message || null;
+      usage = readUsage(payload.message?.usage, usage);
+    } else if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      const delta = payload.delta.text || '';
+      if (delta) {
+        text += delta;
+        onDelta?.(delta);
+      }
+    } else if (payload.type === 'message_delta') {
+      usage = readUsage(payload.usage, usage);
+    }
+  }
+
+  const synopsis = text.trim();
+  if (!synopsis) {
+    const err = new Error('Anthropic response did not contain synopsis text');
+    err.raw = lastMessage;
+    throw err;
+  }
 
-  const totalCost = (input * inputCostPerToken) + (output * outputCostPerToken);
-  const internalTokens = totalCost / internalTokenValue;
+  const { inputTokens = 0, cachedInputTokens = 0, outputTokens = 0 } = usage;
+  return {
+    synopsis,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens,
+    reasoningTokens: 0,
+    totalTokens: inputTokens + outputTokens,
+    model: body.model,
+    provider: 'anthropic',
+    raw: null
+  };
+}
 
-  return Math.max(1, Math.ceil(internalTokens));
+// Rates live in lib/pricing.js; `usage` may carry the model that answered and its
+// cached-input / reasoning token counts.
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'anthropic',
+    model: usage.model || ANTHROPIC_MODEL,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    reasoningTokens: usage.reasoningTokens
+  }).internalTokens;
 }
 
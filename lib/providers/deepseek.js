@@ -1,6 +1,11 @@
 import { log } from '../../logger.js';
+import { buildConversation, conversationBytes } from '../ai-messages.js';
+import { schemaInstruction } from '../structured-output.js';
+import { calculateCost } from '../pricing.js';
 const DEEPSEEK_MODEL = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
 
+export const DEFAULT_MODEL = DEEPSEEK_MODEL;
+
 let CachedOpenAI = null;
 async function getOpenAIClient() {
   if (!CachedOpenAI) {
@@ -10,40 +15,63 @@ async function getOpenAIClient() {
   return CachedOpenAI;
 }
 
-export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7 }) {
-  if (!process.env.DEEPSEEK_API_KEY) {
-    throw new Error('DEEPSEEK_API_KEY is not configured');
-  }
-
+async function createClient() {
   const OpenAIClient = await getOpenAIClient();
   // DeepSeek uses OpenAI SDK but with custom base URL
-  const client = new OpenAIClient({
+  return new OpenAIClient({
     apiKey: process.env.DEEPSEEK_API_KEY,
     // DeepSeek's OpenAI-compatible endpoint expects versioned baseURL
     baseURL: 'https://api.deepseek.com/v1'
   });
+}
+
+// DeepSeek reports prompt-cache hits on the usage object itself
+function readUsage(usage) {
+  const inputTokens = usage?.prompt_tokens || 0;
+  const outputTokens = usage?.completion_tokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage?.prompt_cache_hit_tokens || 0,
+    reasoningTokens: usage?.completion_tokens_details?.reasoning_tokens || 0,
+    totalTokens: usage?.total_tokens || (inputTokens + outputTokens)
+  };
+}
 
-  const messages = [
+function buildMessages(systemPrompt, conversation) {
+  return [
     {
       role: 'system',
       content:
         systemPrompt?.trim() ||
         'You write screenplay beat sheets, not prose. State ONLY what happens in simple factual terms. DO NOT describe visuals, cinematography, atmosphere, or camera work. Focus on character actions and story beats.'
     },
-    {
-      role: 'user',
-      content: prompt.trim()
-    }
+    ...conversation.map((turn) => ({ role: turn.role, content: turn.content }))
   ];
+}
+
+export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, signal, messages: history, responseFormat, model = DEEPSEEK_MODEL }) {
+  if (!process.env.DEEPSEEK_API_KEY) {
+    throw new Error('DEEPSEEK_API_KEY is not configured');
+  }
+
+  const client = await createClient();
+  const conversation = buildConversation({ prompt, messages: history });
+  // DeepSeek only offers JSON mode, so the schema itself travels in the system prompt
+  const messages = buildMessages(
+    responseFormat ? `${systemPrompt?.trim() || ''}\n\n${schemaInstruction(responseFormat)}` : systemPrompt,
+    conversation
+  );
 
-  try { log('debug', 'deepseek_request', { model: DEEPSEEK_MODEL, has_system: Boolean(messages?.[0]?.content), prompt_bytes: Buffer.byteLength(messages?.[1]?.content || '', 'utf8') }); } catch {}
+  try { log('debug', 'deepseek_request', { model, has_system: Boolean(messages?.[0]?.content), prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
 
   const completion = await client.chat.completions.create({
-    model: DEEPSEEK_MODEL,
+    model,
     messages,
     max_tokens: maxTokens,
-    temperature
-  });
+    temperature,
+    ...(responseFormat?.schema?.type === 'object' ? { response_format: { type: 'json_object' } } : {})
+  }, { signal });
 
   const choice = completion?.choices?.[0] || {};
   const synopsis = (choice?.message?.content || '').trim();
@@ -54,31 +82,72 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
     );
   }
 
-  const inputTokens = completion?.usage?.prompt_tokens || 0;
-  const outputTokens = completion?.usage?.completion_tokens || 0;
-  const totalTokens = completion?.usage?.total_tokens || (inputTokens + outputTokens);
-
   return {
     synopsis,
-    inputTokens,
-    outputTokens,
-    totalTokens,
-    model: DEEPSEEK_MODEL,
+    ...readUsage(completion?.usage),
+    model,
     provider: 'deepseek'
   };
 }
 
-export function calculateTokenCost(inputTokens, outputTokens) {
-  const input = Math.max(0, Number(inputTokens) || 0);
-  const output = Math.max(0, Number(outputTokens) || 0);
+export async function streamSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, onDelta, signal, messages: history, model = DEEPSEEK_MODEL }) {
+  if (!process.env.DEEPSEEK_API_KEY) {
+    throw new Error('DEEPSEEK_API_KEY is not configured');
+  }
 
-  // DeepSeek pricing: $0.14/M input, $0.28/M output
-  const inputCostPerToken = 0.14 / 1_000_000;
-  const outputCostPerToken = 0.28 / 1_000_000;
-  const internalTokenValue = 0.0001;
+  const client = await createClient();
+  const conversation = buildConversation({ prompt, messages: history });
+  const messages = buildMessages(systemPrompt, conversation);
+
+  try { log('debug', 'deepseek_stream_request', { model, prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
+
+  const stream = await client.chat.completions.create({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
 
-  const totalCost = (input * inputCostPerToken) + (output * outputCostPerToken);
-  const internalTokens = totalCost / internalTokenValue;
+  let text = '';
+  let usage = null;
+  let finish = 'unknown';
+  for await (const chunk of stream) {
+    const choice = chunk?.choices?.[0];
+    const delta = choice?.delta?.content || '';
+    if (delta) {
+      text += delta;
+      onDelta?.(delta);
+    }
+    if (choice?.finish_reason) finish = choice.finish_reason;
+    if (chunk?.usage) usage = chunk.usage;
+  }
 
-  return Math.max(1, Math.ceil(internalTokens));
+  const synopsis = text.trim();
+  if (!synopsis) {
+    throw new Error(
+      `DeepSeek returned no message.content (finish_reason=${finish}). If using deepseek-reasoner, switch to DEEPSEEK_MODEL=deepseek-chat to avoid reasoning output.`
+    );
+  }
+
+  return {
+    synopsis,
+    ...readUsage(usage),
+    model,
+    provider: 'deepseek'
+  };
+}
+
+// Rates live in lib/pricing.js; `usage` may carry the model that answered and its
+// cached-input / reasoning token counts.
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'deepseek',
+    model: usage.model || DEEPSEEK_MODEL,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    reasoningTokens: usage.reasoningTokens
+  }).internalTokens;
 }
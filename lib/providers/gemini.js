@@ -1,7 +1,13 @@
 import { log } from '../../logger.js';
+import { readServerSentEvents, parseEventData } from '../sse.js';
+import { buildConversation, conversationBytes } from '../ai-messages.js';
+import { schemaInstruction } from '../structured-output.js';
+import { calculateCost } from '../pricing.js';
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
 const GEMINI_API_VERSION = process.env.GEMINI_API_VERSION || 'v1';
 
+export const DEFAULT_MODEL = GEMINI_MODEL;
+
 function extractTextFromCandidates(json) {
   try {
     const candidates = Array.isArray(json?.candidates) ? json.candidates : [];
@@ -31,27 +37,49 @@ function extractTextFromCandidates(json) {
   }
 }
 
-async function callGenerateContent({ apiKey, systemPrompt, prompt, maxTokens, temperature, model }) {
-  const modelName = model || GEMINI_MODEL;
-  const url = `https://generativelanguage.googleapis.com/${encodeURIComponent(GEMINI_API_VERSION)}/models/${encodeURIComponent(modelName)}:generateContent?key=${encodeURIComponent(apiKey)}`;
+// Thinking tokens are billed as output but reported apart from candidatesTokenCount
+function readUsage(usageMetadata) {
+  const reasoningTokens = usageMetadata?.thoughtsTokenCount || 0;
+  const inputTokens = usageMetadata?.promptTokenCount || 0;
+  const outputTokens = (usageMetadata?.candidatesTokenCount || 0) + reasoningTokens;
+  return {
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usageMetadata?.cachedContentTokenCount || 0,
+    reasoningTokens,
+    totalTokens: usageMetadata?.totalTokenCount || (inputTokens + outputTokens)
+  };
+}
 
-  const userParts = [];
-  if (systemPrompt && String(systemPrompt).trim()) {
-    userParts.push({ text: String(systemPrompt).trim() });
-  }
-  userParts.push({ text: String(prompt || '').trim() });
+async function callGenerateContent({ apiKey, systemPrompt, prompt, messages, maxTokens, temperature, model, stream = false, signal, responseFormat }) {
+  const modelName = model || GEMINI_MODEL;
+  const method = stream ? 'streamGenerateContent' : 'generateContent';
+  const query = stream ? `alt=sse&key=${encodeURIComponent(apiKey)}` : `key=${encodeURIComponent(apiKey)}`;
+  const url = `https://generativelanguage.googleapis.com/${encodeURIComponent(GEMINI_API_VERSION)}/models/${encodeURIComponent(modelName)}:${method}?${query}`;
+
+  // Gemini calls the assistant role "model"; the system prompt rides along with the first user turn
+  const conversation = buildConversation({ prompt, messages });
+  const instructions = [
+    systemPrompt && String(systemPrompt).trim(),
+    responseFormat && schemaInstruction(responseFormat)
+  ].filter(Boolean);
+  const contents = conversation.map((turn, index) => {
+    const parts = [];
+    if (index === 0 && instructions.length) {
+      parts.push({ text: instructions.join('\n\n') });
+    }
+    parts.push({ text: turn.content });
+    return { role: turn.role === 'assistant' ? 'model' : 'user', parts };
+  });
 
   const body = {
-    contents: [
-      {
-        role: 'user',
-        parts: userParts
-      }
-    ],
+    contents,
     generationConfig: {
       temperature: typeof temperature === 'number' ? temperature : 0.3,
-      maxOutputTokens: Math.max(128, Math.min(2048, typeof maxTokens === 'number' ? maxTokens : 256)),
-      candidateCount: 1
+      maxOutputTokens: Math.min(2048, typeof maxTokens === 'number' ? maxTokens : 256),
+      candidateCount: 1,
+      // JSON mode; the schema itself is carried in the instructions above
+      ...(responseFormat ? { responseMimeType: 'application/json' } : {})
     },
     safetySettings: [
       { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
@@ -65,7 +93,8 @@ async function callGenerateContent({ apiKey, systemPrompt, prompt, maxTokens, te
   const resp = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal
   });
   return resp;
 }
@@ -100,7 +129,7 @@ async function callResponsesGenerate({ apiKey, systemPrompt, prompt, maxTokens,
   return resp;
 }
 
-export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 256, temperature = 0.3 }) {
+export async function generateSynopsis({ systemPrompt, prompt, messages, maxTokens = 256, temperature = 0.3, signal, responseFormat, model = GEMINI_MODEL }) {
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) {
     throw new Error('GEMINI_API_KEY is not configured');
@@ -108,18 +137,20 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 256,
 
   // First try generateContent
   try { log('debug', 'gemini_request', {
-    model: GEMINI_MODEL,
+    model,
     version: GEMINI_API_VERSION,
     has_system: Boolean(systemPrompt && String(systemPrompt).trim()),
-    prompt_bytes: Buffer.byteLength(String(prompt || '').trim(), 'utf8'),
+    prompt_bytes: conversationBytes(buildConversation({ prompt, messages })),
     max_tokens: maxTokens,
     temperature
   }); } catch {}
-  let resp = await callGenerateContent({ apiKey, systemPrompt, prompt, maxTokens, temperature, model: GEMINI_MODEL });
+  let resp = await callGenerateContent({ apiKey, systemPrompt, prompt, messages, maxTokens, temperature, model, signal, responseFormat });
 
   if (!resp.ok) {
     const text = await resp.text().catch(() => '');
     const err = new Error(`Gemini API error: ${resp.status} ${resp.statusText}`);
+    err.status = resp.status;
+    err.retryAfter = resp.headers.get('retry-after');
     err.raw = text;
     throw err;
   }
@@ -135,32 +166,87 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 256,
     throw err;
   }
 
-  const inputTokens = json?.usageMetadata?.promptTokenCount || 0;
-  const outputTokens = json?.usageMetadata?.candidatesTokenCount || 0;
-  const totalTokens = json?.usageMetadata?.totalTokenCount || (inputTokens + outputTokens);
-
   return {
     synopsis,
-    inputTokens,
-    outputTokens,
-    totalTokens,
-    model: GEMINI_MODEL,
+    ...readUsage(json?.usageMetadata),
+    model,
     provider: 'gemini',
     raw: json
   };
 }
 
-export function calculateTokenCost(inputTokens, outputTokens) {
-  const input = Math.max(0, Number(inputTokens) || 0);
-  const output = Math.max(0, Number(outputTokens) || 0);
+export async function streamSynopsis({ systemPrompt, prompt, messages, maxTokens = 256, temperature = 0.3, onDelta, signal, model = GEMINI_MODEL }) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not configured');
+  }
+
+  try { log('debug', 'gemini_stream_request', {
+    model,
+    version: GEMINI_API_VERSION,
+    prompt_bytes: conversationBytes(buildConversation({ prompt, messages })),
+    max_tokens: maxTokens
+  }); } catch {}
+  const resp = await callGenerateContent({ apiKey, systemPrompt, prompt, messages, maxTokens, temperature, model, stream: true, signal });
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    const err = new Error(`Gemini API error: ${resp.status} ${resp.statusText}`);
+    err.status = resp.status;
+    err.retryAfter = resp.headers.get('retry-after');
+    err.raw = text;
+    throw err;
+  }
+
+  let text = '';
+  let usage = null;
+  let lastChunk = null;
+  for await (const { data } of readServerSentEvents(resp.body)) {
+    const chunk = parseEventData(data);
+    if (!chunk) continue;
+    lastChunk = chunk;
+    if (chunk.error) {
+      const err = new Error(`Gemini stream error: ${chunk.error?.message || 'unknown'}`);
+      err.raw = chunk;
+      throw err;
+    }
+    // Each chunk carries only the newly generated parts; usage is cumulative
+    const parts = chunk?.candidates?.[0]?.content?.parts;
+    const delta = Array.isArray(parts)
+      ? parts.map((p) => (typeof p?.text === 'string' ? p.text : '')).join('')
+      : '';
+    if (delta) {
+      text += delta;
+      onDelta?.(delta);
+    }
+    if (chunk.usageMetadata) usage = chunk.usageMetadata;
+  }
 
-  // Approximate Gemini 1.5 Flash pricing: $0.075/M input, $0.30/M output
-  const inputCostPerToken = 0.075 / 1_000_000;
-  const outputCostPerToken = 0.30 / 1_000_000;
-  const internalTokenValue = 0.0001;
+  const synopsis = text.trim();
+  if (!synopsis) {
+    const err = new Error('Gemini response did not contain synopsis text');
+    err.raw = lastChunk;
+    throw err;
+  }
 
-  const totalCost = (input * inputCostPerToken) + (output * outputCostPerToken);
-  const internalTokens = totalCost / internalTokenValue;
+  return {
+    synopsis,
+    ...readUsage(usage),
+    model,
+    provider: 'gemini',
+    raw: null
+  };
+}
 
-  return Math.max(1, Math.ceil(internalTokens));
+// Rates live in lib/pricing.js; `usage` may carry the model that answered and its
+// cached-input / reasoning token counts.
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'gemini',
+    model: usage.model || GEMINI_MODEL,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    reasoningTokens: usage.reasoningTokens
+  }).internalTokens;
 }
@@ -0,0 +1,181 @@
+import { readFileSync } from 'node:fs';
+import { log } from '../../logger.js';
+import { buildConversation, conversationBytes } from '../ai-messages.js';
+import { calculateCost } from '../pricing.js';
+
+// Offline stand-in for the real providers, registered only outside production (see
+// lib/ai-providers.js). Replies are deterministic: the first fixture whose `match`
+// appears in the latest user turn, otherwise an echo of that turn. Usage is estimated
+// at ~4 bytes per token, and replies are cut off at `maxTokens` as a real model's are.
+//
+//   AI_MOCK_FIXTURES     path to a JSON array of { match, response } objects
+//   AI_MOCK_LATENCY_MS   delay before every reply
+//   AI_MOCK_ERROR_STATUS HTTP-style status to fail with (e.g. 429, 503)
+//   AI_MOCK_ERROR_RATE   share of calls (0-1) that fail with AI_MOCK_ERROR_STATUS
+//
+// A prompt may also carry directives such as `[mock:error=503]` or
+// `[mock:latency=2000]`, which apply to that call only.
+const MOCK_MODEL = process.env.AI_MOCK_MODEL || 'mock-echo';
+const LATENCY_MS = Math.max(0, Number(process.env.AI_MOCK_LATENCY_MS || 0) || 0);
+const ERROR_STATUS = Number(process.env.AI_MOCK_ERROR_STATUS || 0) || 0;
+const ERROR_RATE = Math.min(1, Math.max(0, Number(process.env.AI_MOCK_ERROR_RATE ?? 1) || 0));
+
+export const DEFAULT_MODEL = MOCK_MODEL;
+
+let fixtures = null;
+function loadFixtures() {
+  if (fixtures) return fixtures;
+  fixtures = [];
+  const file = process.env.AI_MOCK_FIXTURES;
+  if (!file) return fixtures;
+  try {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    fixtures = Array.isArray(parsed) ? parsed.filter((entry) => entry?.match !== undefined) : [];
+  } catch (error) {
+    log('error', 'mock_fixtures_load_fail', { file, message: error?.message });
+  }
+  return fixtures;
+}
+
+function assertEnabled() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The mock AI provider is disabled in production');
+  }
+}
+
+function readDirectives(text) {
+  const directives = {};
+  for (const [, key, value] of String(text).matchAll(/\[mock:(\w+)=([^\]]+)\]/g)) {
+    directives[key] = value.trim();
+  }
+  return directives;
+}
+
+function sleep(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function simulate(directives, signal) {
+  const latency = directives.latency !== undefined ? Number(directives.latency) || 0 : LATENCY_MS;
+  await sleep(latency, signal);
+
+  const status = Number(directives.error) || (ERROR_STATUS && Math.random() < ERROR_RATE ? ERROR_STATUS : 0);
+  if (status) {
+    const err = new Error(`Mock provider error: ${status}`);
+    err.status = status;
+    err.raw = { mock: true, status };
+    throw err;
+  }
+}
+
+// Smallest value that satisfies the common JSON Schema keywords, so structured-output
+// requests validate without a fixture.
+function sampleFromSchema(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) return sampleFromSchema(schema.anyOf[0]);
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length) return sampleFromSchema(schema.oneOf[0]);
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      const properties = schema.properties || {};
+      for (const key of schema.required || Object.keys(properties)) {
+        value[key] = sampleFromSchema(properties[key] || {});
+      }
+      return value;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 1 }, () => sampleFromSchema(schema.items || {}));
+    case 'string':
+      return 'mock'.padEnd(schema.minLength || 4, 'k');
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return schema.properties ? sampleFromSchema({ ...schema, type: 'object' }) : 'mock';
+  }
+}
+
+function replyFor(conversation, responseFormat) {
+  const lastUser = conversation[conversation.length - 1].content;
+  const fixture = loadFixtures().find((entry) => lastUser.includes(String(entry.match)));
+  if (fixture) {
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  }
+  if (responseFormat) return JSON.stringify(sampleFromSchema(responseFormat.schema));
+  const echo = lastUser.replace(/\[mock:\w+=[^\]]+\]/g, '').trim();
+  return `Mock reply (${conversation.length} turns): ${echo}`;
+}
+
+function estimateTokens(bytes) {
+  return Math.max(1, Math.ceil(bytes / 4));
+}
+
+function truncate(text, maxTokens) {
+  return maxTokens > 0 ? text.slice(0, maxTokens * 4) : text;
+}
+
+function buildResult({ systemPrompt, conversation, synopsis, model }) {
+  const systemBytes = typeof systemPrompt === 'string' ? Buffer.byteLength(systemPrompt, 'utf8') : 0;
+  const inputTokens = estimateTokens(systemBytes + conversationBytes(conversation));
+  const outputTokens = estimateTokens(Buffer.byteLength(synopsis, 'utf8'));
+  return {
+    synopsis,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: 0,
+    reasoningTokens: 0,
+    totalTokens: inputTokens + outputTokens,
+    model,
+    provider: 'mock',
+    raw: { mock: true }
+  };
+}
+
+export async function generateSynopsis({ systemPrompt, prompt, messages, maxTokens, signal, responseFormat, model = MOCK_MODEL }) {
+  assertEnabled();
+  const conversation = buildConversation({ prompt, messages });
+  await simulate(readDirectives(conversation[conversation.length - 1].content), signal);
+  const synopsis = truncate(replyFor(conversation, responseFormat), maxTokens);
+  return buildResult({ systemPrompt, conversation, synopsis, model });
+}
+
+export async function streamSynopsis({ systemPrompt, prompt, messages, maxTokens, onDelta, signal, model = MOCK_MODEL }) {
+  assertEnabled();
+  const conversation = buildConversation({ prompt, messages });
+  await simulate(readDirectives(conversation[conversation.length - 1].content), signal);
+  const synopsis = truncate(replyFor(conversation), maxTokens);
+  // Word-sized deltas so clients exercise their incremental rendering
+  for (const piece of synopsis.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) throw signal.reason ?? new Error('Aborted');
+    onDelta?.(piece);
+  }
+  return { ...buildResult({ systemPrompt, conversation, synopsis, model }), raw: null };
+}
+
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'mock',
+    model: usage.model || MOCK_MODEL,
+    inputTokens,
+    outputTokens
+  }).internalTokens;
+}
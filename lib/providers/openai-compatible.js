@@ -0,0 +1,163 @@
+import { log } from '../../logger.js';
+import { buildConversation, conversationBytes } from '../ai-messages.js';
+import { schemaInstruction } from '../structured-output.js';
+import { calculateCost } from '../pricing.js';
+
+// Any server speaking the OpenAI Chat Completions API: Ollama, llama.cpp, vLLM, LM
+// Studio, a private gateway... Self-hosted servers usually need no key, and some do
+// not report usage, in which case it is estimated at ~4 bytes per token.
+const BASE_URL = process.env.OPENAI_COMPATIBLE_BASE_URL || '';
+const COMPATIBLE_MODEL = process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1';
+
+export const DEFAULT_MODEL = COMPATIBLE_MODEL;
+
+let CachedOpenAI = null;
+async function getOpenAIClient() {
+  if (!CachedOpenAI) {
+    const mod = await import('openai');
+    CachedOpenAI = mod?.default ?? mod.OpenAI ?? mod;
+  }
+  return CachedOpenAI;
+}
+
+async function createClient() {
+  if (!BASE_URL) {
+    throw new Error('OPENAI_COMPATIBLE_BASE_URL is not configured');
+  }
+  const OpenAIClient = await getOpenAIClient();
+  return new OpenAIClient({
+    // The SDK insists on a key even when the server ignores it
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+    baseURL: BASE_URL,
+    // Local servers have no rate limits worth retrying; the failover chain handles the rest
+    maxRetries: 0
+  });
+}
+
+function estimateTokens(bytes) {
+  return Math.max(1, Math.ceil(bytes / 4));
+}
+
+function readUsage(usage, estimate) {
+  const inputTokens = usage?.prompt_tokens || estimate.inputTokens;
+  const outputTokens = usage?.completion_tokens || estimate.outputTokens;
+  return {
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+    reasoningTokens: usage?.completion_tokens_details?.reasoning_tokens || 0,
+    totalTokens: usage?.total_tokens || (inputTokens + outputTokens)
+  };
+}
+
+function usageEstimate(messages, synopsis) {
+  const promptBytes = messages.reduce((sum, message) => sum + Buffer.byteLength(message.content, 'utf8'), 0);
+  return {
+    inputTokens: estimateTokens(promptBytes),
+    outputTokens: estimateTokens(Buffer.byteLength(synopsis, 'utf8'))
+  };
+}
+
+function buildMessages(systemPrompt, conversation) {
+  return [
+    {
+      role: 'system',
+      content:
+        systemPrompt?.trim() ||
+        'You write screenplay beat sheets, not prose. State ONLY what happens in simple factual terms. DO NOT describe visuals, cinematography, atmosphere, or camera work. Focus on character actions and story beats.'
+    },
+    ...conversation.map((turn) => ({ role: turn.role, content: turn.content }))
+  ];
+}
+
+export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, signal, messages: history, responseFormat, model = COMPATIBLE_MODEL }) {
+  const client = await createClient();
+  const conversation = buildConversation({ prompt, messages: history });
+  // JSON mode is widely supported by compatible servers; json_schema is not, so the
+  // schema itself travels in the system prompt
+  const messages = buildMessages(
+    responseFormat ? `${systemPrompt?.trim() || ''}\n\n${schemaInstruction(responseFormat)}` : systemPrompt,
+    conversation
+  );
+
+  try { log('debug', 'openai_compatible_request', { model, base_url: BASE_URL, prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
+
+  const completion = await client.chat.completions.create({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    ...(responseFormat?.schema?.type === 'object' ? { response_format: { type: 'json_object' } } : {})
+  }, { signal });
+
+  const choice = completion?.choices?.[0] || {};
+  const synopsis = (choice?.message?.content || '').trim();
+  if (!synopsis) {
+    const err = new Error(`OpenAI-compatible server returned no message.content (finish_reason=${choice?.finish_reason ?? 'unknown'})`);
+    err.raw = completion;
+    throw err;
+  }
+
+  return {
+    synopsis,
+    ...readUsage(completion?.usage, usageEstimate(messages, synopsis)),
+    model,
+    provider: 'openai-compatible',
+    raw: completion
+  };
+}
+
+export async function streamSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, onDelta, signal, messages: history, model = COMPATIBLE_MODEL }) {
+  const client = await createClient();
+  const conversation = buildConversation({ prompt, messages: history });
+  const messages = buildMessages(systemPrompt, conversation);
+
+  try { log('debug', 'openai_compatible_stream_request', { model, base_url: BASE_URL, prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
+
+  const stream = await client.chat.completions.create({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let text = '';
+  let usage = null;
+  let finish = 'unknown';
+  for await (const chunk of stream) {
+    const choice = chunk?.choices?.[0];
+    const delta = choice?.delta?.content || '';
+    if (delta) {
+      text += delta;
+      onDelta?.(delta);
+    }
+    if (choice?.finish_reason) finish = choice.finish_reason;
+    if (chunk?.usage) usage = chunk.usage;
+  }
+
+  const synopsis = text.trim();
+  if (!synopsis) {
+    throw new Error(`OpenAI-compatible server returned no message.content (finish_reason=${finish})`);
+  }
+
+  return {
+    synopsis,
+    ...readUsage(usage, usageEstimate(messages, synopsis)),
+    model,
+    provider: 'openai-compatible',
+    raw: null
+  };
+}
+
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'openai-compatible',
+    model: usage.model || COMPATIBLE_MODEL,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    reasoningTokens: usage.reasoningTokens
+  }).internalTokens;
+}
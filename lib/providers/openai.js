@@ -1,6 +1,11 @@
 import { log } from '../../logger.js';
+import { buildConversation, conversationBytes } from '../ai-messages.js';
+import { schemaInstruction } from '../structured-output.js';
+import { calculateCost } from '../pricing.js';
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 
+export const DEFAULT_MODEL = OPENAI_MODEL;
+
 function usesMaxCompletionTokens(model) {
   try {
     return /^gpt-5/i.test(String(model || ''));
@@ -9,6 +14,36 @@ function usesMaxCompletionTokens(model) {
   }
 }
 
+// Accepts both Chat Completions (prompt_/completion_tokens) and Responses API
+// (input_/output_tokens) usage shapes
+function readUsage(usage) {
+  const inputTokens = usage?.input_tokens || usage?.prompt_tokens || 0;
+  const outputTokens = usage?.output_tokens || usage?.completion_tokens || 0;
+  const inputDetails = usage?.input_tokens_details || usage?.prompt_tokens_details;
+  const outputDetails = usage?.output_tokens_details || usage?.completion_tokens_details;
+  return {
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: inputDetails?.cached_tokens || 0,
+    reasoningTokens: outputDetails?.reasoning_tokens || 0,
+    totalTokens: usage?.total_tokens || (inputTokens + outputTokens)
+  };
+}
+
+// Both calls are billed when the fallback model has to answer for GPT-5
+function addUsage(total, usage) {
+  const sum = { ...total };
+  for (const key of Object.keys(sum)) {
+    sum[key] += Number(usage[key]) || 0;
+  }
+  return sum;
+}
+
+// Summed usage is priced at the requested model's rates unless that call spent nothing
+function billedModel(model, fallbackModel, firstUsage) {
+  return firstUsage.totalTokens > 0 ? model : fallbackModel;
+}
+
 let CachedOpenAI = null;
 async function getOpenAIClient() {
   if (!CachedOpenAI) {
@@ -18,49 +53,76 @@ async function getOpenAIClient() {
   return CachedOpenAI;
 }
 
-export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7 }) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
-  const OpenAIClient = await getOpenAIClient();
-  const openai = new OpenAIClient({ apiKey: process.env.OPENAI_API_KEY });
-
-  const messages = [
+function buildMessages(systemPrompt, conversation) {
+  return [
     {
       role: 'system',
       content:
         systemPrompt?.trim() ||
         'You write screenplay beat sheets, not prose. State ONLY what happens in simple factual terms. DO NOT describe visuals, cinematography, atmosphere, or camera work. Focus on character actions and story beats.'
     },
-    {
-      role: 'user',
-      content: prompt.trim()
-    }
+    ...conversation.map((turn) => ({ role: turn.role, content: turn.content }))
   ];
+}
+
+function buildResponsesInput(messages) {
+  const sysGuard = `${messages[0].content}\nRespond only with the synopsis text. Do not include analysis or reasoning.`;
+  return [
+    { role: 'system', content: sysGuard },
+    ...messages.slice(1)
+  ];
+}
+
+// Native structured outputs need an object root; other schemas fall back to prompt instructions
+function usesNativeSchema(responseFormat) {
+  return responseFormat?.schema?.type === 'object';
+}
+
+function chatResponseFormat(responseFormat) {
+  if (!usesNativeSchema(responseFormat)) return undefined;
+  return {
+    type: 'json_schema',
+    json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+  };
+}
+
+export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, signal, messages: history, responseFormat, model = OPENAI_MODEL }) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  const OpenAIClient = await getOpenAIClient();
+  const openai = new OpenAIClient({ apiKey: process.env.OPENAI_API_KEY });
+
+  const conversation = buildConversation({ prompt, messages: history });
+  const effectiveSystemPrompt = responseFormat && !usesNativeSchema(responseFormat)
+    ? `${systemPrompt?.trim() || ''}\n\n${schemaInstruction(responseFormat)}`
+    : systemPrompt;
+  const messages = buildMessages(effectiveSystemPrompt, conversation);
+  const responseFormatPayload = chatResponseFormat(responseFormat);
 
   // Avoid logging full messages; keep metadata at debug
-  try { log('debug', 'openai_request', { model: OPENAI_MODEL, has_system: Boolean(messages?.[0]?.content), prompt_bytes: Buffer.byteLength(messages?.[1]?.content || '', 'utf8') }); } catch {}
+  try { log('debug', 'openai_request', { model, has_system: Boolean(messages?.[0]?.content), prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
 
   let synopsis = '';
-  let inputTokens = 0;
-  let outputTokens = 0;
-  let totalTokens = 0;
+  let usage = readUsage(null);
+  let answeredModel = model;
   let rawResponse = null;
 
-  if (usesMaxCompletionTokens(OPENAI_MODEL)) {
+  if (usesMaxCompletionTokens(model)) {
     // GPT-5: use Responses API with messages-style input and explicit reasoning/text config
-    const sysGuard = `${messages[0].content}\nRespond only with the synopsis text. Do not include analysis or reasoning.`;
     const resp = await openai.responses.create({
-      model: OPENAI_MODEL,
-      input: [
-        { role: 'system', content: sysGuard },
-        { role: 'user', content: messages[1].content }
-      ],
-      max_output_tokens: Math.max(2000, maxTokens),
-      text: { verbosity: 'low' },
+      model,
+      input: buildResponsesInput(messages),
+      max_output_tokens: maxTokens,
+      text: responseFormatPayload
+        ? {
+          verbosity: 'low',
+          format: { type: 'json_schema', name: responseFormat.name, schema: responseFormat.schema, strict: false }
+        }
+        : { verbosity: 'low' },
       tool_choice: 'none'
-    });
+    }, { signal });
     rawResponse = resp;
 
     // Try several shapes to extract text
@@ -86,14 +148,11 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
       return parts.join(' ').trim();
     }
     synopsis = extractSynopsisFromResponses(resp);
-
-    inputTokens = resp?.usage?.input_tokens || resp?.usage?.prompt_tokens || 0;
-    outputTokens = resp?.usage?.output_tokens || resp?.usage?.completion_tokens || 0;
-    totalTokens = resp?.usage?.total_tokens || (inputTokens + outputTokens);
+    usage = readUsage(resp?.usage);
   } else {
     // Other models: Chat Completions
     const basePayload = {
-      model: OPENAI_MODEL,
+      model,
       messages
     };
 
@@ -101,13 +160,14 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
       basePayload.temperature = temperature;
     }
     basePayload.max_tokens = maxTokens;
+    if (responseFormatPayload) {
+      basePayload.response_format = responseFormatPayload;
+    }
 
-    const completion = await openai.chat.completions.create(basePayload);
+    const completion = await openai.chat.completions.create(basePayload, { signal });
     rawResponse = completion;
     synopsis = completion?.choices?.[0]?.message?.content?.trim() || '';
-    inputTokens = completion?.usage?.prompt_tokens || 0;
-    outputTokens = completion?.usage?.completion_tokens || 0;
-    totalTokens = completion?.usage?.total_tokens || (inputTokens + outputTokens);
+    usage = readUsage(completion?.usage);
   }
 
   if (!synopsis) {
@@ -117,14 +177,14 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
       const completion = await openai.chat.completions.create({
         model: fallbackModel,
         messages,
-        max_tokens: 150,
-        temperature
-      });
+        max_tokens: responseFormat ? maxTokens : Math.min(150, maxTokens),
+        temperature,
+        ...(responseFormatPayload ? { response_format: responseFormatPayload } : {})
+      }, { signal });
       rawResponse = rawResponse || completion;
       synopsis = completion?.choices?.[0]?.message?.content?.trim() || '';
-      inputTokens = completion?.usage?.prompt_tokens || 0;
-      outputTokens = completion?.usage?.completion_tokens || 0;
-      totalTokens = completion?.usage?.total_tokens || (inputTokens + outputTokens);
+      answeredModel = billedModel(model, fallbackModel, usage);
+      usage = addUsage(usage, readUsage(completion?.usage));
     } catch (fallbackErr) {
       log('error', 'openai_fallback_fail', { message: fallbackErr?.message });
     }
@@ -137,28 +197,110 @@ export async function generateSynopsis({ systemPrompt, prompt, maxTokens = 150,
     throw err;
   }
 
+  // Report the model whose rates the usage should be priced at
   return {
     synopsis,
-    inputTokens,
-    outputTokens,
-    totalTokens,
-    model: OPENAI_MODEL,
+    ...usage,
+    model: answeredModel,
     provider: 'openai',
     raw: rawResponse
   };
 }
 
-export function calculateTokenCost(inputTokens, outputTokens) {
-  const input = Math.max(0, Number(inputTokens) || 0);
-  const output = Math.max(0, Number(outputTokens) || 0);
+export async function streamSynopsis({ systemPrompt, prompt, maxTokens = 150, temperature = 0.7, onDelta, signal, messages: history, model = OPENAI_MODEL }) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  const OpenAIClient = await getOpenAIClient();
+  const openai = new OpenAIClient({ apiKey: process.env.OPENAI_API_KEY });
+  const conversation = buildConversation({ prompt, messages: history });
+  const messages = buildMessages(systemPrompt, conversation);
+
+  try { log('debug', 'openai_stream_request', { model, prompt_bytes: conversationBytes(conversation), turns: conversation.length }); } catch {}
+
+  let text = '';
+  let usage = readUsage(null);
+  let answeredModel = model;
+  const emit = (delta) => {
+    if (!delta) return;
+    text += delta;
+    onDelta?.(delta);
+  };
+
+  // Resolves to the usage the stream reported
+  async function streamChat(model, payloadOverrides) {
+    const payload = { model, messages, stream: true, stream_options: { include_usage: true }, ...payloadOverrides };
+    if (typeof temperature === 'number') payload.temperature = temperature;
+    const stream = await openai.chat.completions.create(payload, { signal });
+    let streamUsage = readUsage(null);
+    for await (const chunk of stream) {
+      emit(chunk?.choices?.[0]?.delta?.content || '');
+      if (chunk?.usage) streamUsage = readUsage(chunk.usage);
+    }
+    return streamUsage;
+  }
+
+  if (usesMaxCompletionTokens(model)) {
+    const stream = await openai.responses.create({
+      model,
+      input: buildResponsesInput(messages),
+      max_output_tokens: maxTokens,
+      text: { verbosity: 'low' },
+      tool_choice: 'none',
+      stream: true
+    }, { signal });
+    for await (const event of stream) {
+      if (event?.type === 'response.output_text.delta') {
+        emit(event.delta || '');
+      } else if (event?.type === 'response.completed' || event?.type === 'response.incomplete') {
+        usage = readUsage(event.response?.usage);
+      } else if (event?.type === 'error' || event?.type === 'response.failed') {
+        const err = new Error(`OpenAI stream error: ${event?.message || event?.response?.error?.message || 'unknown'}`);
+        err.raw = event;
+        throw err;
+      }
+    }
+  } else {
+    usage = await streamChat(model, { max_tokens: maxTokens });
+  }
+
+  if (!text.trim()) {
+    // Same fallback as generateSynopsis: GPT-5 may stream reasoning only
+    try {
+      const fallbackModel = process.env.OPENAI_FALLBACK_MODEL || 'gpt-4o-mini';
+      const fallbackUsage = await streamChat(fallbackModel, { max_tokens: Math.min(150, maxTokens) });
+      answeredModel = billedModel(model, fallbackModel, usage);
+      usage = addUsage(usage, fallbackUsage);
+    } catch (fallbackErr) {
+      log('error', 'openai_stream_fallback_fail', { message: fallbackErr?.message });
+    }
+  }
 
-  // gpt-4o-mini pricing: $0.15/M input, $0.60/M output
-  const inputCostPerToken = 0.15 / 1_000_000;
-  const outputCostPerToken = 0.60 / 1_000_000;
-  const internalTokenValue = 0.0001;
+  const synopsis = text.trim();
+  if (!synopsis) {
+    log('error', 'openai_empty_synopsis_after_fallback');
+    throw new Error('OpenAI response did not contain synopsis text');
+  }
 
-  const totalCost = (input * inputCostPerToken) + (output * outputCostPerToken);
-  const internalTokens = totalCost / internalTokenValue;
+  return {
+    synopsis,
+    ...usage,
+    model: answeredModel,
+    provider: 'openai',
+    raw: null
+  };
+}
 
-  return Math.max(1, Math.ceil(internalTokens));
+// Rates live in lib/pricing.js; `usage` may carry the model that answered and its
+// cached-input / reasoning token counts.
+export function calculateTokenCost(inputTokens, outputTokens, usage = {}) {
+  return calculateCost({
+    provider: 'openai',
+    model: usage.model || OPENAI_MODEL,
+    inputTokens,
+    outputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    reasoningTokens: usage.reasoningTokens
+  }).internalTokens;
 }
@@ -0,0 +1,130 @@
+import { createHash } from 'node:crypto';
+import { log } from '../logger.js';
+import { getAdminClient, escapeFilterValue } from './pocketbase-admin.js';
+
+// Content-addressed cache for /api/ai replies, so regenerating an unchanged scene does
+// not pay the provider again. AI_RESPONSE_CACHE selects the backend: `memory` (a
+// per-process LRU), `pocketbase` (shared across instances) or `off` (the default).
+const CACHE_BACKEND = String(process.env.AI_RESPONSE_CACHE || 'off').toLowerCase();
+const TTL_MS = Math.max(1, Number(process.env.AI_RESPONSE_CACHE_TTL_SECONDS || 86400)) * 1000;
+const MAX_MEMORY_ENTRIES = Math.max(1, Number(process.env.AI_RESPONSE_CACHE_MAX_ENTRIES || 500));
+const CACHE_COLLECTION = 'ai_response_cache';
+
+// Share of the original internal-token cost charged for a cache hit
+export const CACHE_HIT_COST_RATIO = Math.min(
+  1,
+  Math.max(0, Number(process.env.AI_RESPONSE_CACHE_HIT_COST_RATIO ?? 0.1) || 0),
+);
+
+export function buildCacheKey({ provider, model, systemPrompt, messages, temperature, responseFormat }) {
+  const material = JSON.stringify([
+    provider,
+    model,
+    typeof systemPrompt === 'string' ? systemPrompt : '',
+    messages.map((turn) => [turn.role, turn.content]),
+    temperature ?? null,
+    responseFormat?.schema ?? null,
+  ]);
+  return createHash('sha256').update(material).digest('hex');
+}
+
+export function cacheHitCost(originalCost) {
+  return Math.max(1, Math.ceil((Number(originalCost) || 0) * CACHE_HIT_COST_RATIO));
+}
+
+function createMemoryStore() {
+  // Map iteration order doubles as recency: reads re-insert, eviction drops the first key
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + TTL_MS });
+      while (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+function createPocketBaseStore() {
+  const findRecord = async (pb, key) =>
+    pb
+      .collection(CACHE_COLLECTION)
+      .getFirstListItem(`key = "${escapeFilterValue(key)}"`, { requestKey: null })
+      .catch((error) => {
+        if (error?.status === 404) return null;
+        throw error;
+      });
+
+  return {
+    async get(key) {
+      const pb = await getAdminClient();
+      const record = await findRecord(pb, key);
+      if (!record) return null;
+      if (new Date(record.expiresAt).getTime() <= Date.now()) {
+        await pb.collection(CACHE_COLLECTION).delete(record.id, { requestKey: null }).catch(() => {});
+        return null;
+      }
+      return record.value ?? null;
+    },
+    async set(key, value) {
+      const pb = await getAdminClient();
+      const data = { key, value, expiresAt: new Date(Date.now() + TTL_MS).toISOString() };
+      const existing = await findRecord(pb, key);
+      if (existing) {
+        await pb.collection(CACHE_COLLECTION).update(existing.id, data, { requestKey: null });
+        return;
+      }
+      try {
+        await pb.collection(CACHE_COLLECTION).create(data, { requestKey: null });
+      } catch (error) {
+        // Another instance stored the same reply first; the unique index on `key` rejects ours
+        if (error?.status !== 400) throw error;
+      }
+    },
+  };
+}
+
+let store;
+function getStore() {
+  if (store === undefined) {
+    if (CACHE_BACKEND === 'memory') store = createMemoryStore();
+    else if (CACHE_BACKEND === 'pocketbase') store = createPocketBaseStore();
+    else store = null;
+  }
+  return store;
+}
+
+export function isResponseCacheEnabled() {
+  return Boolean(getStore());
+}
+
+// Cache failures never fail the request; they only cost a provider call.
+export async function readCachedResponse(key) {
+  const backend = getStore();
+  if (!backend) return null;
+  try {
+    return await backend.get(key);
+  } catch (error) {
+    log('warn', 'ai_response_cache_read_fail', { backend: CACHE_BACKEND, message: error?.message });
+    return null;
+  }
+}
+
+export async function writeCachedResponse(key, value) {
+  const backend = getStore();
+  if (!backend) return;
+  try {
+    await backend.set(key, value);
+  } catch (error) {
+    log('warn', 'ai_response_cache_write_fail', { backend: CACHE_BACKEND, message: error?.message });
+  }
+}
@@ -0,0 +1,52 @@
+// Minimal Server-Sent Events reader for streaming provider responses.
+// Yields { event, data } for every dispatched event; `data` is the raw string.
+export async function* readServerSentEvents(body) {
+  if (!body) return;
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  function* processLine(rawLine) {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (line === '') {
+      if (dataLines.length) {
+        yield { event: eventName || 'message', data: dataLines.join('\n') };
+      }
+      eventName = '';
+      dataLines = [];
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      yield* processLine(line);
+      newline = buffer.indexOf('\n');
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield* processLine(buffer);
+  yield* processLine('');
+}
+
+export function parseEventData(data) {
+  if (!data || data === '[DONE]') return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
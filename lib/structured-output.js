@@ -0,0 +1,139 @@
+import Ajv from 'ajv';
+import { log } from '../logger.js';
+
+// JSON-schema constrained generation for /api/ai. Providers use their native
+// structured-output features where they have them; whatever comes back is parsed and
+// validated here, and invalid output is sent back to the model for repair.
+const MAX_REPAIR_ATTEMPTS = Math.max(0, Number(process.env.AI_STRUCTURED_MAX_REPAIRS ?? 2) || 0);
+const MAX_CACHED_VALIDATORS = 100;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+function getValidator(schema) {
+  const key = JSON.stringify(schema);
+  let validate = validators.get(key);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    if (validators.size >= MAX_CACHED_VALIDATORS) {
+      validators.delete(validators.keys().next().value);
+    }
+    validators.set(key, validate);
+  }
+  return validate;
+}
+
+// Returns { responseFormat } or { error } for the request's responseSchema/schemaName.
+export function normalizeResponseFormat({ responseSchema, schemaName } = {}) {
+  if (responseSchema === undefined || responseSchema === null) return { responseFormat: null };
+  if (typeof responseSchema !== 'object' || Array.isArray(responseSchema)) {
+    return { error: 'responseSchema must be a JSON Schema object' };
+  }
+  try {
+    getValidator(responseSchema);
+  } catch (error) {
+    return { error: `Invalid responseSchema: ${error.message}` };
+  }
+  const name = String(schemaName || responseSchema.title || 'response')
+    .replace(/[^a-zA-Z0-9_-]+/g, '_')
+    .slice(0, 64) || 'response';
+  return { responseFormat: { name, schema: responseSchema } };
+}
+
+// Prompt text for providers without a native schema feature (and as a hint for the rest)
+export function schemaInstruction(responseFormat) {
+  return [
+    'Respond with a single JSON value and nothing else: no prose, no markdown code fences.',
+    `The JSON must validate against this JSON Schema:\n${JSON.stringify(responseFormat.schema)}`,
+  ].join('\n');
+}
+
+export function parseJsonText(text) {
+  const raw = String(text ?? '').trim();
+  const fenced = raw.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const candidate = fenced ? fenced[1] : raw;
+  try {
+    return { ok: true, value: JSON.parse(candidate) };
+  } catch (error) {
+    // Models sometimes wrap the JSON in a sentence; fall back to the outermost object/array
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return { ok: true, value: JSON.parse(candidate.slice(start, end + 1)) };
+      } catch {}
+    }
+    return { ok: false, error: `Output is not valid JSON: ${error.message}` };
+  }
+}
+
+export function validateStructured(schema, value) {
+  const validate = getValidator(schema);
+  if (validate(value)) return [];
+  return (validate.errors || []).map((issue) => ({
+    path: issue.instancePath || '/',
+    message: issue.message || 'is invalid',
+    params: issue.params,
+  }));
+}
+
+function repairPrompt(problems) {
+  const lines = problems.map((problem) => `- ${problem.path}: ${problem.message}`);
+  return [
+    'Your previous reply did not satisfy the required JSON Schema:',
+    ...lines,
+    'Reply again with only the corrected JSON.',
+  ].join('\n');
+}
+
+// `invoke({ messages, responseFormat })` performs one provider call. Usage from every
+// attempt is summed so the caller can bill for repairs as well.
+export async function generateStructured({ invoke, messages, responseFormat, requestId }) {
+  let turns = messages;
+  const usage = { inputTokens: 0, outputTokens: 0, cachedInputTokens: 0, reasoningTokens: 0, totalTokens: 0 };
+  let lastResult = null;
+  let problems = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt += 1) {
+    const result = await invoke({ messages: turns, responseFormat });
+    lastResult = result;
+    for (const key of Object.keys(usage)) {
+      usage[key] += Number(result?.[key]) || 0;
+    }
+
+    const parsed = parseJsonText(result?.synopsis);
+    problems = parsed.ok
+      ? validateStructured(responseFormat.schema, parsed.value)
+      : [{ path: '/', message: parsed.error }];
+
+    if (!problems.length) {
+      return {
+        ...result,
+        ...usage,
+        synopsis: JSON.stringify(parsed.value),
+        structured: parsed.value,
+        repairAttempts: attempt,
+      };
+    }
+
+    log('warn', 'ai_structured_invalid', {
+      request_id: requestId,
+      attempt,
+      provider: result?.provider,
+      problems: problems.length,
+    });
+    turns = [
+      ...turns,
+      { role: 'assistant', content: String(result?.synopsis ?? '') },
+      { role: 'user', content: repairPrompt(problems) },
+    ];
+  }
+
+  const err = new Error('Model output did not match the requested schema');
+  err.status = 422;
+  err.failover = false;
+  err.validationErrors = problems;
+  err.lastOutput = lastResult?.synopsis ?? null;
+  err.result = { ...lastResult, ...usage };
+  throw err;
+}
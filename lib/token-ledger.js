@@ -0,0 +1,240 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { log } from '../logger.js';
+import { getAdminClient, escapeFilterValue } from './pocketbase-admin.js';
+
+// Every change to users.tokensAvailable goes through this module and lands as an
+// append-only record in `token_ledger`. Balance changes use PocketBase's atomic
+// `field+` / `field-` modifiers so concurrent requests cannot overwrite each other.
+const LEDGER_COLLECTION = 'token_ledger';
+const USERS_COLLECTION = 'users';
+
+const usersWithOpeningEntry = new Set();
+
+function toAmount(value) {
+  const parsed = Math.ceil(Number(value));
+  return Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
+}
+
+function balancesOf(record) {
+  return {
+    tokensAvailable: Number(record?.tokensAvailable) || 0,
+    tokensUsed: Number(record?.tokensUsed) || 0,
+  };
+}
+
+function isUniqueViolation(error) {
+  const data = error?.response?.data ?? error?.data?.data ?? {};
+  return error?.status === 400 && data?.id?.code === 'validation_not_unique';
+}
+
+// Throws when the entry cannot be written; balance changes go through changeBalance,
+// which undoes the change in that case.
+export async function appendLedgerEntry(entry) {
+  const record = {
+    ...(entry.id ? { id: entry.id } : {}),
+    userId: entry.userId,
+    type: entry.type,
+    amount: entry.amount,
+    balanceAfter: entry.balanceAfter ?? null,
+    reservationId: entry.reservationId ?? null,
+    requestId: entry.requestId ?? null,
+    provider: entry.provider ?? null,
+    model: entry.model ?? null,
+    reason: entry.reason ?? null,
+    metadata: entry.metadata ?? null,
+  };
+  try {
+    const pb = await getAdminClient();
+    return await pb.collection(LEDGER_COLLECTION).create(record, { requestKey: null });
+  } catch (error) {
+    log('error', 'token_ledger_append_fail', { message: error?.message, entry: record });
+    throw error;
+  }
+}
+
+// PocketBase ids are 15 characters of [a-z0-9]. Each user's opening entry has a fixed
+// one, so a second opening entry from a concurrent first request is a unique violation.
+function openingEntryId(userId) {
+  return createHash('sha256').update(`opening:${userId}`).digest('hex').slice(0, 15);
+}
+
+// Users that predate the ledger get an `opening` entry carrying their balance at the
+// time of their first ledgered operation, so sum(amount) always rebuilds the balance.
+async function ensureOpeningEntry(pb, userId) {
+  if (usersWithOpeningEntry.has(userId)) return;
+  const filter = `userId = "${escapeFilterValue(userId)}"`;
+  const existing = await pb
+    .collection(LEDGER_COLLECTION)
+    .getFirstListItem(filter, { requestKey: null })
+    .catch((error) => {
+      if (error?.status === 404) return null;
+      throw error;
+    });
+  if (!existing) {
+    const user = await pb.collection(USERS_COLLECTION).getOne(userId, { requestKey: null });
+    const { tokensAvailable } = balancesOf(user);
+    try {
+      await appendLedgerEntry({
+        id: openingEntryId(userId),
+        userId,
+        type: 'opening',
+        amount: tokensAvailable,
+        balanceAfter: tokensAvailable,
+        reason: 'Balance carried over before ledger',
+      });
+    } catch (error) {
+      if (!isUniqueViolation(error)) throw error;
+    }
+  }
+  usersWithOpeningEntry.add(userId);
+}
+
+async function adjustBalance(pb, userId, delta, usedDelta = 0) {
+  const patch = {};
+  if (delta > 0) patch['tokensAvailable+'] = delta;
+  if (delta < 0) patch['tokensAvailable-'] = -delta;
+  if (usedDelta > 0) patch['tokensUsed+'] = usedDelta;
+  if (usedDelta < 0) patch['tokensUsed-'] = -usedDelta;
+  if (!Object.keys(patch).length) {
+    return pb.collection(USERS_COLLECTION).getOne(userId, { requestKey: null });
+  }
+  return pb.collection(USERS_COLLECTION).update(userId, patch, { requestKey: null });
+}
+
+// Moves the balance by `delta` and records it as `entry`. If the entry cannot be
+// written the move is undone and the error rethrown, so the ledger never misses one.
+async function changeBalance(pb, userId, delta, entry, usedDelta = 0) {
+  const updated = await adjustBalance(pb, userId, delta, usedDelta);
+  try {
+    await appendLedgerEntry({ ...entry, userId, amount: delta, balanceAfter: balancesOf(updated).tokensAvailable });
+  } catch (error) {
+    await adjustBalance(pb, userId, -delta, -usedDelta).catch((revertError) => {
+      log('error', 'token_ledger_revert_fail', {
+        user_id: userId,
+        delta,
+        used_delta: usedDelta,
+        message: revertError?.message,
+      });
+    });
+    throw error;
+  }
+  return updated;
+}
+
+export async function reserveTokens(userId, amount, context = {}) {
+  const pb = await getAdminClient();
+  const reserved = Math.max(1, toAmount(amount));
+  const reservationId = randomUUID();
+  await ensureOpeningEntry(pb, userId);
+
+  const updated = await changeBalance(pb, userId, -reserved, {
+    type: 'reserve',
+    reservationId,
+    requestId: context.requestId,
+    provider: context.provider,
+    model: context.model,
+  });
+  const { tokensAvailable, tokensUsed } = balancesOf(updated);
+
+  if (tokensAvailable < 0) {
+    // Another request spent the balance first; hand the tokens straight back.
+    const restored = await changeBalance(pb, userId, reserved, {
+      type: 'release',
+      reservationId,
+      requestId: context.requestId,
+      reason: 'insufficient_tokens',
+    });
+    const balances = balancesOf(restored);
+    const err = new Error('Insufficient tokens');
+    err.status = 400;
+    err.code = 'insufficient_tokens';
+    err.tokensAvailable = balances.tokensAvailable;
+    err.tokensUsed = balances.tokensUsed;
+    throw err;
+  }
+
+  return {
+    id: reservationId,
+    userId,
+    amount: reserved,
+    requestId: context.requestId ?? null,
+    tokensAvailable,
+    tokensUsed,
+  };
+}
+
+export async function settleReservation(reservation, actualCost, context = {}) {
+  const pb = await getAdminClient();
+  const { id: reservationId, userId, amount: reserved } = reservation;
+  const cost = toAmount(actualCost);
+  const difference = reserved - cost;
+  const entryBase = {
+    userId,
+    reservationId,
+    requestId: reservation.requestId,
+    provider: context.provider,
+    model: context.model,
+    metadata: { reserved, cost, ...(context.metadata || {}) },
+  };
+
+  let updated = difference !== 0
+    ? await changeBalance(pb, userId, difference, { ...entryBase, type: difference > 0 ? 'refund' : 'charge' }, cost)
+    : await adjustBalance(pb, userId, 0, cost);
+  const { tokensAvailable } = balancesOf(updated);
+
+  if (tokensAvailable < 0) {
+    // Actual usage outran the reservation and the balance; never leave it negative.
+    // api/ai.js caps output at what the reservation covers, so this stays rare.
+    updated = await changeBalance(pb, userId, -tokensAvailable, {
+      ...entryBase,
+      type: 'writeoff',
+      reason: 'usage_exceeded_balance',
+    });
+    log('warn', 'token_ledger_writeoff', {
+      request_id: reservation.requestId,
+      reservation_id: reservationId,
+      reserved,
+      cost,
+      shortfall: -tokensAvailable,
+    });
+  }
+
+  log('info', 'token_ledger_settled', {
+    request_id: reservation.requestId,
+    reservation_id: reservationId,
+    reserved,
+    cost,
+  });
+  return balancesOf(updated);
+}
+
+export async function releaseReservation(reservation, reason = 'request_failed') {
+  const pb = await getAdminClient();
+  const { id: reservationId, userId, amount } = reservation;
+  const updated = await changeBalance(pb, userId, amount, {
+    type: 'release',
+    reservationId,
+    requestId: reservation.requestId,
+    reason,
+  });
+  return balancesOf(updated);
+}
+
+export async function rebuildBalance(userId) {
+  const pb = await getAdminClient();
+  const entries = await pb.collection(LEDGER_COLLECTION).getFullList({
+    filter: `userId = "${escapeFilterValue(userId)}"`,
+    sort: 'created',
+    requestKey: null,
+  });
+  const balance = entries.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+  const user = await pb.collection(USERS_COLLECTION).getOne(userId, { requestKey: null });
+  const { tokensAvailable } = balancesOf(user);
+  return {
+    userId,
+    ledgerBalance: balance,
+    tokensAvailable,
+    entries: entries.length,
+    consistent: balance === tokensAvailable,
+  };
+}
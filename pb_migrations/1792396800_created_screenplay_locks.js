@@ -0,0 +1,32 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Lock records for api/screenplays/lockStore.js. The unique index on `key` is what
+// makes acquiring a lock atomic: two creates for the same key cannot both succeed.
+// Every rule is left null, so only the API's superuser client can read or write.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'screenplay_locks',
+    fields: [
+      { name: 'key', type: 'text', required: true },
+      { name: 'screenplayId', type: 'text', required: true },
+      { name: 'lockType', type: 'text', required: true },
+      { name: 'holderId', type: 'text', required: true },
+      { name: 'holderName', type: 'text' },
+      { name: 'acquiredAt', type: 'date', required: true },
+      { name: 'expiresAt', type: 'date', required: true },
+      { name: 'fence', type: 'number', onlyInt: true },
+      { name: 'metadata', type: 'json' },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE UNIQUE INDEX `idx_screenplay_locks_key` ON `screenplay_locks` (`key`)',
+      'CREATE INDEX `idx_screenplay_locks_screenplay` ON `screenplay_locks` (`screenplayId`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('screenplay_locks');
+  return app.delete(collection);
+});
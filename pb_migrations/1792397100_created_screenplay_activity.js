@@ -0,0 +1,25 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Audit trail written by recordScreenplayActivity in api/screenplays/access.js: role
+// changes, broken locks, collaborator syncs and restore outcomes. Superuser only.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'screenplay_activity',
+    fields: [
+      { name: 'screenplayId', type: 'text', required: true },
+      { name: 'userId', type: 'text' },
+      { name: 'action', type: 'text', required: true },
+      { name: 'details', type: 'json' },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE INDEX `idx_screenplay_activity_screenplay` ON `screenplay_activity` (`screenplayId`, `created`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('screenplay_activity');
+  return app.delete(collection);
+});
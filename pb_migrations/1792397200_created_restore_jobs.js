@@ -0,0 +1,39 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// One record per restore, kept by api/screenplays/restoreJobStore.js so a restore can
+// be followed, and resumed after a restart. githubTokenEncrypted holds the caller's
+// token while the job runs, so every rule stays null and only the superuser reads it.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'restore_jobs',
+    fields: [
+      { name: 'screenplayId', type: 'text', required: true },
+      { name: 'state', type: 'text', required: true },
+      { name: 'requestedBy', type: 'text' },
+      { name: 'revisionSha', type: 'text' },
+      { name: 'repoOwner', type: 'text' },
+      { name: 'repoName', type: 'text' },
+      { name: 'branch', type: 'text' },
+      { name: 'filePath', type: 'text' },
+      { name: 'mode', type: 'text' },
+      { name: 'scenes', type: 'json' },
+      { name: 'restoredScenes', type: 'json' },
+      { name: 'commitSha', type: 'text' },
+      { name: 'attempts', type: 'number', onlyInt: true },
+      { name: 'error', type: 'text' },
+      { name: 'timeline', type: 'json' },
+      { name: 'githubTokenEncrypted', type: 'text', hidden: true },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE INDEX `idx_restore_jobs_screenplay` ON `restore_jobs` (`screenplayId`)',
+      'CREATE INDEX `idx_restore_jobs_state` ON `restore_jobs` (`state`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('restore_jobs');
+  return app.delete(collection);
+});
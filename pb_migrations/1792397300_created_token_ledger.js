@@ -0,0 +1,33 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Append-only record of every change to users.tokensAvailable (lib/token-ledger.js).
+// A user's opening entry has a fixed id, so the primary key is what keeps it single.
+// Amounts may be zero, so no number field is required.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'token_ledger',
+    fields: [
+      { name: 'userId', type: 'text', required: true },
+      { name: 'type', type: 'text', required: true },
+      { name: 'amount', type: 'number', onlyInt: true },
+      { name: 'balanceAfter', type: 'number', onlyInt: true },
+      { name: 'reservationId', type: 'text' },
+      { name: 'requestId', type: 'text' },
+      { name: 'provider', type: 'text' },
+      { name: 'model', type: 'text' },
+      { name: 'reason', type: 'text' },
+      { name: 'metadata', type: 'json' },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE INDEX `idx_token_ledger_user` ON `token_ledger` (`userId`, `created`)',
+      'CREATE INDEX `idx_token_ledger_reservation` ON `token_ledger` (`reservationId`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('token_ledger');
+  return app.delete(collection);
+});
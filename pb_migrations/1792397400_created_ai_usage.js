@@ -0,0 +1,37 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// One record per billed /api/ai call (lib/ai-usage.js), read back by /api/ai/usage.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'ai_usage',
+    fields: [
+      { name: 'userId', type: 'text', required: true },
+      { name: 'requestId', type: 'text' },
+      { name: 'provider', type: 'text' },
+      { name: 'model', type: 'text' },
+      { name: 'feature', type: 'text' },
+      { name: 'screenplayId', type: 'text' },
+      { name: 'threadId', type: 'text' },
+      { name: 'inputTokens', type: 'number', onlyInt: true },
+      { name: 'outputTokens', type: 'number', onlyInt: true },
+      { name: 'cachedInputTokens', type: 'number', onlyInt: true },
+      { name: 'reasoningTokens', type: 'number', onlyInt: true },
+      { name: 'totalTokens', type: 'number', onlyInt: true },
+      { name: 'tokenCost', type: 'number', onlyInt: true },
+      { name: 'costUsd', type: 'number' },
+      { name: 'cached', type: 'bool' },
+      { name: 'streamed', type: 'bool' },
+      { name: 'outcome', type: 'text' },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE INDEX `idx_ai_usage_user` ON `ai_usage` (`userId`, `created`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('ai_usage');
+  return app.delete(collection);
+});
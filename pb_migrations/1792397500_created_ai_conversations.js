@@ -0,0 +1,28 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Script doctor threads (lib/ai-conversations.js). `messages` holds up to
+// AI_CONVERSATION_MAX_STORED_MESSAGES turns, hence the larger JSON limit.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'ai_conversations',
+    fields: [
+      { name: 'userId', type: 'text', required: true },
+      { name: 'screenplayId', type: 'text' },
+      { name: 'title', type: 'text' },
+      { name: 'messages', type: 'json', maxSize: 5242880 },
+      { name: 'messageCount', type: 'number', onlyInt: true },
+      { name: 'lastProvider', type: 'text' },
+      { name: 'lastModel', type: 'text' },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE INDEX `idx_ai_conversations_user` ON `ai_conversations` (`userId`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('ai_conversations');
+  return app.delete(collection);
+});
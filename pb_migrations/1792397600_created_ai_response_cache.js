@@ -0,0 +1,25 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Shared backend of lib/response-cache.js. The unique index on `key` lets instances
+// that store the same reply at once keep a single record.
+migrate((app) => {
+  const collection = new Collection({
+    type: 'base',
+    name: 'ai_response_cache',
+    fields: [
+      { name: 'key', type: 'text', required: true },
+      { name: 'value', type: 'json', maxSize: 5242880 },
+      { name: 'expiresAt', type: 'date', required: true },
+      { name: 'created', type: 'autodate', onCreate: true },
+      { name: 'updated', type: 'autodate', onCreate: true, onUpdate: true },
+    ],
+    indexes: [
+      'CREATE UNIQUE INDEX `idx_ai_response_cache_key` ON `ai_response_cache` (`key`)',
+      'CREATE INDEX `idx_ai_response_cache_expires` ON `ai_response_cache` (`expiresAt`)',
+    ],
+  });
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('ai_response_cache');
+  return app.delete(collection);
+});
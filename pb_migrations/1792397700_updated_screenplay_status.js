@@ -0,0 +1,29 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+// Fields screenplay_status needs beyond its original schema: the save lock fence
+// counter, per-user roles, the restore job that owns a block, the scenes a partial
+// restore brought back and the repository collaborators are synced from.
+migrate((app) => {
+  const fields = [
+    { name: 'saveLockFence', type: 'number', onlyInt: true },
+    { name: 'roles', type: 'json' },
+    { name: 'rolesUpdatedAt', type: 'date' },
+    { name: 'restoreJobId', type: 'text' },
+    { name: 'restoredScenes', type: 'json' },
+    { name: 'repoOwner', type: 'text' },
+    { name: 'repoName', type: 'text' },
+  ];
+  const collection = app.findCollectionByNameOrId('screenplay_status');
+  for (const field of fields) {
+    if (!collection.fields.getByName(field.name)) {
+      collection.fields.add(new Field(field));
+    }
+  }
+  return app.save(collection);
+}, (app) => {
+  const collection = app.findCollectionByNameOrId('screenplay_status');
+  for (const name of ['saveLockFence', 'roles', 'rolesUpdatedAt', 'restoreJobId', 'restoredScenes', 'repoOwner', 'repoName']) {
+    collection.fields.removeByName(name);
+  }
+  return app.save(collection);
+});
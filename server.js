@@ -11,6 +11,8 @@ import cors from 'cors';
 import health from './api/health.js';
 import githubOauth from './api/github-oauth.js';
 import ai from './api/ai.js';
+import aiModels from './api/ai/models.js';
+import aiUsage from './api/ai/usage.js';
 import checkEmail from './api/users/checkEmail.js';
 import voiceCreate from './api/voice/create.js';
 import stripeWebhook from './api/stripe/webhook.js';
@@ -18,13 +20,21 @@ import stripeCreateCheckout from './api/stripe/create-checkout.js';
 import stripeCreateCheckoutNew from './api/stripe/createCheckoutSessionNew.js';
 import stripePortal from './api/stripe/portal.js';
 import { log } from './logger.js';
-import restoreWithLock from './api/screenplays/restore-with-lock.js';
+import { rateLimit, configureRateLimitStore } from './utils/rate-limit.js';
+import { authenticate } from './utils/auth.js';
+import restoreWithLock, { resumeRestoreJobs } from './api/screenplays/restore-with-lock.js';
+import { verifySchema } from './lib/pocketbase-schema.js';
 import restoreUnlock from './api/screenplays/restore-lock.js';
 import saveLockHandler from './api/screenplays/save-lock.js';
 import seedLockHandler from './api/screenplays/seed-lock.js';
 import syncCollaborators from './api/screenplays/sync-collaborators.js';
 import validateCollaborator from './api/screenplays/validate-collaborator.js';
 import statusInitHandler from './api/screenplays/status-init.js';
+import screenplayRoles from './api/screenplays/roles.js';
+import forceUnlock from './api/screenplays/force-unlock.js';
+import restoreJobs from './api/screenplays/restores.js';
+import screenplayRevisions from './api/screenplays/revisions.js';
+import screenplayDiff from './api/screenplays/diff.js';
 import tts from './api/tts.js';
 
 const app = express();
@@ -35,9 +45,24 @@ const maskedOpenAiKey =
     ? `${openAiKey.slice(0, 6)}…${openAiKey.slice(-4)}`
     : openAiKey || "unset";
 
+// Behind one proxy hop (load balancer) req.ip should be the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS for all API routes
 app.use('/api', cors());
 
+// Verify bearer tokens once and attach req.user; routes without a token still reach their handler
+app.use('/api', authenticate({ skip: ['/api/health', '/api/stripe/webhook'] }));
+
+// General per-user/per-IP limit; Stripe retries webhooks itself and monitors poll health.
+// Routes with a bucket of their own are only charged to that one.
+app.use('/api', rateLimit('default', {
+  skip: ['/api/health', '/api/stripe/webhook'],
+  skipExact: ['/api/ai', '/api/voice/create', '/api/tts'],
+}));
+
 // IMPORTANT: Do NOT apply express.json() globally before the Stripe webhook.
 // Attach JSON parsing per-route so the webhook can receive the raw body.
 
@@ -47,13 +72,18 @@ app.head('/api/health', (req, res) => health(req, res));
 
 // Core endpoints
 app.post('/api/github-oauth', express.json({ limit: '2mb' }), (req, res) => githubOauth(req, res));
-app.post('/api/ai', express.json({ limit: '2mb' }), (req, res) => ai(req, res));
+app.post('/api/ai', rateLimit('ai'), express.json({ limit: '2mb' }), (req, res) => ai(req, res));
+app.get('/api/ai/models', (req, res) => aiModels(req, res));
+app.options('/api/ai/models', (req, res) => aiModels(req, res));
+app.get('/api/ai/usage', (req, res) => aiUsage(req, res));
+app.options('/api/ai/usage', (req, res) => aiUsage(req, res));
 app.post('/api/users/checkEmail', express.json({ limit: '2mb' }), (req, res) => checkEmail(req, res));
-app.post('/api/voice/create', express.json({ limit: '2mb' }), (req, res) => voiceCreate(req, res));
+app.post('/api/voice/create', rateLimit('voice'), express.json({ limit: '2mb' }), (req, res) => voiceCreate(req, res));
 app.post('/api/screenplays/:id/sync-collaborators', express.json({ limit: '2mb' }), (req, res) => syncCollaborators(req, res));
 app.post('/api/screenplays/:id/validate-collaborator', express.json({ limit: '2mb' }), (req, res) => validateCollaborator(req, res));
 app.post('/api/screenplays/:id/restore-with-lock', express.json({ limit: '2mb' }), (req, res) => restoreWithLock(req, res));
 app.post('/api/screenplays/:id/save-lock', express.json({ limit: '2mb' }), (req, res) => saveLockHandler(req, res));
+app.patch('/api/screenplays/:id/save-lock', express.json({ limit: '2mb' }), (req, res) => saveLockHandler(req, res));
 app.delete('/api/screenplays/:id/save-lock', (req, res) => saveLockHandler(req, res));
 app.options('/api/screenplays/:id/save-lock', (req, res) => saveLockHandler(req, res));
 app.post('/api/screenplays/:id/status-init', express.json({ limit: '2mb' }), (req, res) => statusInitHandler(req, res));
@@ -61,8 +91,21 @@ app.options('/api/screenplays/:id/status-init', (req, res) => statusInitHandler(
 app.post('/api/screenplays/:id/seed-lock', express.json({ limit: '2mb' }), (req, res) => seedLockHandler(req, res));
 app.delete('/api/screenplays/:id/seed-lock', (req, res) => seedLockHandler(req, res));
 app.options('/api/screenplays/:id/seed-lock', (req, res) => seedLockHandler(req, res));
+app.get('/api/screenplays/:id/revisions', (req, res) => screenplayRevisions(req, res));
+app.options('/api/screenplays/:id/revisions', (req, res) => screenplayRevisions(req, res));
+app.get('/api/screenplays/:id/revisions/:sha', (req, res) => screenplayRevisions(req, res));
+app.options('/api/screenplays/:id/revisions/:sha', (req, res) => screenplayRevisions(req, res));
+app.get('/api/screenplays/:id/diff', (req, res) => screenplayDiff(req, res));
+app.options('/api/screenplays/:id/diff', (req, res) => screenplayDiff(req, res));
+app.get('/api/screenplays/:id/restores/:jobId', (req, res) => restoreJobs(req, res));
+app.options('/api/screenplays/:id/restores/:jobId', (req, res) => restoreJobs(req, res));
 app.delete('/api/screenplays/:id/restore-lock', (req, res) => restoreUnlock(req, res));
-app.post('/api/tts', express.json({ limit: '2mb' }), (req, res) => tts(req, res));
+app.post('/api/screenplays/:id/force-unlock', express.json({ limit: '2mb' }), (req, res) => forceUnlock(req, res));
+app.options('/api/screenplays/:id/force-unlock', (req, res) => forceUnlock(req, res));
+app.get('/api/screenplays/:id/roles', (req, res) => screenplayRoles(req, res));
+app.put('/api/screenplays/:id/roles', express.json({ limit: '2mb' }), (req, res) => screenplayRoles(req, res));
+app.options('/api/screenplays/:id/roles', (req, res) => screenplayRoles(req, res));
+app.post('/api/tts', rateLimit('tts'), express.json({ limit: '2mb' }), (req, res) => tts(req, res));
 
 // Stripe webhook requires raw body for signature verification
 app.post(
@@ -83,6 +126,9 @@ app.head('/api/stripe/webhook', (_req, res) => res.sendStatus(405));
 app.use((req, res) => res.status(404).json({ error: 'Not found' }));
 
 log('info', 'server_config', { openai_key: maskedOpenAiKey });
+await verifySchema();
+await configureRateLimitStore();
 app.listen(PORT, () => {
   log('info', 'server_listen', { service: 'fable-api', port: Number(PORT) });
+  resumeRestoreJobs();
 });
@@ -0,0 +1,98 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+let pb;
+let access;
+let roles;
+
+before(async () => {
+  pb = await startPocketBase();
+  access = await import('../api/screenplays/access.js');
+  ({ default: roles } = await import('../api/screenplays/roles.js'));
+});
+
+after(() => pb.close());
+
+beforeEach(() => {
+  pb.collection('screenplay_status').clear();
+  pb.seed(
+    'users',
+    { id: 'owner', name: 'Owner' },
+    { id: 'writer', name: 'Writer' },
+    { id: 'reader', name: 'Reader' },
+    { id: 'outsider', name: 'Outsider' },
+  );
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', {
+    id: 'status1',
+    screenplayId: 'sp1',
+    collaboratorIds: ['writer', 'reader'],
+    roles: { reader: 'viewer' },
+  });
+});
+
+test('validated collaborators are editors unless given another role, and owner is never granted', () => {
+  const statusRecord = { collaboratorIds: ['writer', 'reader'], roles: { reader: 'viewer', writer: 'owner' } };
+
+  assert.equal(access.resolveRole(statusRecord, 'owner', 'owner'), 'owner');
+  assert.equal(access.resolveRole(statusRecord, 'writer', 'owner'), 'editor');
+  assert.equal(access.resolveRole(statusRecord, 'reader', 'owner'), 'viewer');
+  assert.equal(access.resolveRole(statusRecord, 'outsider', 'owner'), null);
+});
+
+test('each action needs at least its role', () => {
+  assert.equal(access.roleAllows('viewer', 'view'), true);
+  assert.equal(access.roleAllows('viewer', 'comment'), false);
+  assert.equal(access.roleAllows('commenter', 'comment'), true);
+  assert.equal(access.roleAllows('commenter', 'save'), false);
+  assert.equal(access.roleAllows('editor', 'restore'), true);
+  assert.equal(access.roleAllows('editor', 'manage_roles'), false);
+  assert.equal(access.roleAllows('owner', 'force_unlock'), true);
+  assert.throws(() => access.roleAllows('owner', 'launch'), /Unknown screenplay action/);
+});
+
+test('authorizing tells a missing screenplay, an outsider and a too-low role apart', async () => {
+  assert.equal((await access.authorizeScreenplay('nope', 'owner', 'view')).status, 404);
+  assert.equal((await access.authorizeScreenplay('sp1', 'outsider', 'view')).code, 'not_collaborator');
+
+  const reader = await access.authorizeScreenplay('sp1', 'reader', 'save');
+  assert.equal(reader.status, 403);
+  assert.equal(reader.code, 'insufficient_role');
+  assert.equal((await access.authorizeScreenplay('sp1', 'writer', 'save')).allowed, true);
+});
+
+test('every member can list roles; only the owner changes them', async () => {
+  const list = await callHandler(roles, { userId: 'reader', params: { id: 'sp1' } });
+  assert.equal(list.statusCode, 200);
+  assert.equal(list.body.role, 'viewer');
+  assert.deepEqual(
+    list.body.members.map(({ userId, role }) => [userId, role]),
+    [['owner', 'owner'], ['reader', 'viewer'], ['writer', 'editor']],
+  );
+
+  const byEditor = await callHandler(roles, {
+    method: 'PUT',
+    userId: 'writer',
+    params: { id: 'sp1' },
+    body: { userId: 'reader', role: 'editor' },
+  });
+  assert.equal(byEditor.statusCode, 403);
+  assert.equal((await callHandler(roles, { userId: 'outsider', params: { id: 'sp1' } })).statusCode, 403);
+});
+
+test('the owner grants and drops roles, but cannot hand out ownership', async () => {
+  const put = (body) => callHandler(roles, { method: 'PUT', userId: 'owner', params: { id: 'sp1' }, body });
+
+  const demoted = await put({ userId: 'writer', role: 'commenter' });
+  assert.equal(demoted.statusCode, 200);
+  assert.equal(demoted.body.role, 'commenter');
+  assert.deepEqual(pb.collection('screenplay_status').get('status1').roles, { reader: 'viewer', writer: 'commenter' });
+
+  const dropped = await put({ userId: 'reader', role: null });
+  assert.equal(dropped.body.role, 'editor');
+
+  assert.equal((await put({ userId: 'writer', role: 'owner' })).statusCode, 400);
+  assert.equal((await put({ userId: 'owner', role: 'viewer' })).statusCode, 400);
+});
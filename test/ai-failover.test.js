@@ -0,0 +1,108 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AI_FAILOVER_MAX_RETRIES = '1';
+process.env.AI_FAILOVER_BACKOFF_MS = '0';
+process.env.AI_FAILOVER_CHAIN = 'anthropic -> openai-compatible -> openai';
+
+let resolveProviderChain;
+let runWithFailover;
+
+before(async () => {
+  ({ resolveProviderChain, runWithFailover } = await import('../lib/ai-failover.js'));
+});
+
+const registry = { openai: {}, anthropic: {}, deepseek: {}, mock: {}, 'openai-compatible': {} };
+
+function providerError(status) {
+  const error = new Error(`status ${status}`);
+  error.status = status;
+  return error;
+}
+
+// Providers answer from `script`: a list of results or errors per provider, in call order
+function scriptedCall(script) {
+  return async (providerModule, name) => {
+    const next = script[name]?.shift();
+    if (next instanceof Error) throw next;
+    return { provider: name, text: next ?? 'ok' };
+  };
+}
+
+test('the configured chain follows the requested provider, without repeats', () => {
+  assert.deepEqual(resolveProviderChain({ provider: 'openai', registry }).chain, ['openai', 'anthropic']);
+  assert.deepEqual(resolveProviderChain({ provider: 'deepseek', registry }).chain, ['deepseek', 'anthropic', 'openai']);
+});
+
+test('a per-request chain replaces the configured one, and false pins the provider', () => {
+  assert.deepEqual(resolveProviderChain({ provider: 'openai', failover: 'deepseek, mock', registry }).chain, ['deepseek', 'mock']);
+  assert.deepEqual(resolveProviderChain({ provider: 'openai', failover: false, registry }).chain, ['openai']);
+});
+
+test('the self-hosted provider is only chained when the caller names it', () => {
+  assert.deepEqual(resolveProviderChain({ provider: 'openai-compatible', registry }).chain, ['openai-compatible']);
+  assert.deepEqual(
+    resolveProviderChain({ provider: 'openai', failover: ['openai-compatible', 'openai'], registry }).chain,
+    ['openai-compatible', 'openai'],
+  );
+});
+
+test('rejects providers this deployment does not serve instead of falling back', () => {
+  const production = Object.fromEntries(Object.entries(registry).filter(([name]) => name !== 'mock'));
+  assert.deepEqual(resolveProviderChain({ provider: 'mock', registry: production }), {
+    status: 400,
+    error: 'Unknown AI provider: mock',
+  });
+  assert.equal(resolveProviderChain({ provider: 'openai', failover: 'anthropic, nope', registry }).status, 400);
+});
+
+test('retries a provider on 5xx before moving down the chain', async () => {
+  const outcome = await runWithFailover({
+    chain: ['anthropic', 'openai'],
+    registry,
+    call: scriptedCall({ anthropic: [providerError(503), providerError(503)], openai: ['answer'] }),
+  });
+
+  assert.equal(outcome.providerName, 'openai');
+  assert.deepEqual(
+    outcome.attempts.map(({ provider, ok }) => [provider, ok]),
+    [['anthropic', false], ['anthropic', false], ['openai', true]],
+  );
+});
+
+test('moves on without retrying errors a retry cannot fix', async () => {
+  const outcome = await runWithFailover({
+    chain: ['anthropic', 'openai'],
+    registry,
+    call: scriptedCall({ anthropic: [providerError(400)], openai: ['answer'] }),
+  });
+
+  assert.deepEqual(outcome.attempts.map(({ provider }) => provider), ['anthropic', 'openai']);
+});
+
+test('stops at the provider that already started answering', async () => {
+  await assert.rejects(
+    runWithFailover({
+      chain: ['anthropic', 'openai'],
+      registry,
+      call: async (providerModule, name, { markStarted }) => {
+        markStarted();
+        throw providerError(503);
+      },
+    }),
+    (error) => error.attempts.length === 1 && error.attempts[0].provider === 'anthropic',
+  );
+});
+
+test('reports 503 once every provider is out of retries', async () => {
+  await assert.rejects(
+    runWithFailover({
+      chain: ['anthropic', 'openai'],
+      registry,
+      call: async () => {
+        throw providerError(429);
+      },
+    }),
+    (error) => error.status === 503 && error.attempts.length === 4,
+  );
+});
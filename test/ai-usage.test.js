@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+process.env.AI_USAGE_SUMMARY_MAX_RECORDS = '500';
+
+let pb;
+let usage;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: usage } = await import('../api/ai/usage.js'));
+});
+
+after(() => pb.close());
+
+function seedUsage(userId, count, { day = '2026-03-01', feature = 'synopsis' } = {}) {
+  for (let i = 0; i < count; i += 1) {
+    const created = `${day} 10:00:${String(i % 60).padStart(2, '0')}.${String(i).padStart(3, '0')}Z`;
+    pb.seed('ai_usage', {
+      id: `${userId}${day}${i}`.replace(/\W/g, ''),
+      created,
+      userId,
+      provider: 'mock',
+      model: 'mock-echo',
+      feature,
+      tokenCost: 2,
+      totalTokens: 10,
+    });
+  }
+}
+
+function summarize(userId) {
+  pb.seed('users', { id: userId, name: userId });
+  return callHandler(usage, { userId, query: { from: '2026-03-01', to: '2026-03-31' } });
+}
+
+test('rolls usage up by period, feature and model', async () => {
+  seedUsage('light-user', 3);
+  seedUsage('light-user', 2, { day: '2026-03-02', feature: 'script_doctor' });
+  const res = await summarize('light-user');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.totals.requests, 5);
+  assert.equal(res.body.totals.tokenCost, 10);
+  assert.deepEqual(res.body.periods.map(({ period, requests }) => [period, requests]), [['2026-03-01', 3], ['2026-03-02', 2]]);
+  assert.deepEqual(res.body.byFeature.map(({ feature }) => feature), ['synopsis', 'script_doctor']);
+  assert.equal(res.body.truncated, false);
+});
+
+test('stops reading past the record cap and says so', async () => {
+  seedUsage('heavy-user', 1200);
+  const res = await summarize('heavy-user');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.totals.requests, 500);
+  assert.equal(res.body.truncated, true);
+});
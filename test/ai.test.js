@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+// /api/ai end to end against the mock provider (lib/providers/mock.js)
+let pb;
+let handler;
+let rebuildBalance;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: handler } = await import('../api/ai.js'));
+  ({ rebuildBalance } = await import('../lib/token-ledger.js'));
+});
+
+after(() => pb.close());
+
+function seedUser(id, tokensAvailable) {
+  pb.seed('users', { id, name: id, tokensAvailable, tokensUsed: 0 });
+}
+
+function ask(userId, body) {
+  return callHandler(handler, { method: 'POST', userId, body: { provider: 'mock', failover: false, ...body } });
+}
+
+function ledgerOf(userId) {
+  return pb.list('token_ledger').filter((entry) => entry.userId === userId);
+}
+
+test('answers from the mock provider and settles the reservation against real usage', async () => {
+  seedUser('reply-user', 1000);
+  const res = await ask('reply-user', { prompt: 'Pitch the opening scene', estimatedTokens: 50 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.response, 'Mock reply (1 turns): Pitch the opening scene');
+  assert.equal(res.body.provider, 'mock');
+  assert.equal(res.body.tokenCost, 1);
+  assert.equal(res.body.tokensAvailable, 999);
+  assert.equal(res.body.tokensUsed, 1);
+
+  assert.deepEqual(
+    ledgerOf('reply-user').map(({ type, amount }) => [type, amount]),
+    [['opening', 1000], ['reserve', -50], ['refund', 49]],
+  );
+  const rebuilt = await rebuildBalance('reply-user');
+  assert.equal(rebuilt.consistent, true);
+  assert.equal(rebuilt.ledgerBalance, 999);
+});
+
+test('turns away a request the balance cannot cover and hands the reservation back', async () => {
+  seedUser('poor-user', 10);
+  const res = await ask('poor-user', { prompt: 'Hello', estimatedTokens: 50 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Insufficient tokens');
+  assert.equal(res.body.tokensAvailable, 10);
+  assert.deepEqual(
+    ledgerOf('poor-user').map(({ type, amount }) => [type, amount]),
+    [['opening', 10], ['reserve', -50], ['release', 50]],
+  );
+});
+
+test('releases the reservation when the provider fails', async () => {
+  seedUser('failing-user', 500);
+  const res = await ask('failing-user', { prompt: 'Hello [mock:error=400]', estimatedTokens: 20 });
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.providerAttempts.length, 1);
+  assert.equal(pb.collection('users').get('failing-user').tokensAvailable, 500);
+  assert.deepEqual(
+    ledgerOf('failing-user').map(({ type }) => type),
+    ['opening', 'reserve', 'release'],
+  );
+});
+
+test('streams deltas over SSE and finishes with the billed payload', async () => {
+  seedUser('stream-user', 100);
+  const res = await ask('stream-user', { prompt: 'Three short words', stream: true });
+
+  assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+  const events = res.chunks.map((chunk) => chunk.split('\n')[0]);
+  assert.ok(events.filter((event) => event === 'event: delta').length > 1);
+  assert.equal(events.at(-1), 'event: done');
+  const done = JSON.parse(res.chunks.at(-1).split('\n')[1].slice('data: '.length));
+  assert.equal(done.response, 'Mock reply (1 turns): Three short words');
+  assert.equal(done.tokensAvailable, 99);
+});
+
+test('fills a JSON Schema response without a fixture', async () => {
+  seedUser('schema-user', 100);
+  const res = await ask('schema-user', {
+    prompt: 'Name this scene',
+    responseSchema: {
+      type: 'object',
+      properties: { title: { type: 'string' }, beats: { type: 'array', items: { type: 'string' } } },
+      required: ['title', 'beats'],
+    },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data, { title: 'mock', beats: ['mock'] });
+});
+
+test('rejects an unknown provider without reserving tokens', async () => {
+  seedUser('unknown-provider-user', 100);
+  const res = await ask('unknown-provider-user', { prompt: 'Hello', provider: 'nope' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Unknown AI provider: nope');
+  assert.deepEqual(ledgerOf('unknown-provider-user'), []);
+});
+
+test('stops the reply where the reservation runs out', async () => {
+  seedUser('capped-user', 100);
+  const res = await ask('capped-user', { prompt: 'p'.repeat(200), estimatedTokens: 1 });
+
+  assert.equal(res.statusCode, 200);
+  // 1 token buys $0.0001: ~50 prompt tokens at $1/M leave room for 25 output tokens at $2/M
+  assert.equal(res.body.response.length, 100);
+  assert.equal(res.body.tokenCost, 1);
+  assert.deepEqual(ledgerOf('capped-user').map(({ type }) => type), ['opening', 'reserve']);
+});
+
+test('links usage and threads only to screenplays the caller may view', async () => {
+  seedUser('linking-user', 100);
+  pb.seed('scripts', { id: 'own-script', screenplayId: 'own-sp', userId: 'linking-user' });
+  pb.seed('scripts', { id: 'other-script', screenplayId: 'other-sp', userId: 'someone-else' });
+  pb.seed('screenplay_status', { id: 'own-status', screenplayId: 'own-sp' }, { id: 'other-status', screenplayId: 'other-sp' });
+
+  const denied = await ask('linking-user', { prompt: 'Hello', screenplayId: 'other-sp', saveConversation: true });
+  assert.equal(denied.statusCode, 403);
+  assert.deepEqual(ledgerOf('linking-user'), []);
+
+  const linked = await ask('linking-user', { prompt: 'Hello', screenplayId: 'own-sp', saveConversation: true });
+  assert.equal(linked.statusCode, 200);
+  const usage = pb.list('ai_usage').filter((record) => record.userId === 'linking-user');
+  assert.deepEqual(usage.map((record) => record.screenplayId), ['own-sp']);
+  assert.equal(pb.collection('ai_conversations').get(linked.body.threadId).screenplayId, 'own-sp');
+});
+
+test('the self-hosted provider is unknown until its base URL is configured', async () => {
+  seedUser('compatible-user', 100);
+  const res = await ask('compatible-user', { prompt: 'Hello', provider: 'openai-compatible' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Unknown AI provider: openai-compatible');
+  assert.deepEqual(ledgerOf('compatible-user'), []);
+});
+
+test('a thread linked to a screenplay stops when the caller loses access to it', async () => {
+  seedUser('revoked-user', 100);
+  pb.seed('scripts', { id: 'shared-script', screenplayId: 'shared-sp', userId: 'someone-else' });
+  pb.seed('screenplay_status', { id: 'shared-status', screenplayId: 'shared-sp', collaboratorIds: ['revoked-user'] });
+
+  const first = await ask('revoked-user', { prompt: 'Hello', screenplayId: 'shared-sp', saveConversation: true });
+  assert.equal(first.statusCode, 200);
+
+  pb.collection('screenplay_status').get('shared-status').collaboratorIds = [];
+  const next = await ask('revoked-user', { prompt: 'Again', threadId: first.body.threadId });
+  assert.equal(next.statusCode, 403);
+  assert.equal(pb.collection('ai_conversations').get(first.body.threadId).messages.length, 2);
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { startPocketBase, makeToken } from './helpers/pocketbase.js';
+import { makeRequest, makeResponse } from './helpers/http.js';
+
+process.env.POCKETBASE_JWT_SECRET = 'collection-secret';
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+let pb;
+let auth;
+
+before(async () => {
+  pb = await startPocketBase();
+  auth = await import('../utils/auth.js');
+  pb.seed(
+    'users',
+    { id: 'signed', name: 'Signed', tokenKey: 'signed-key' },
+    { id: 'other', name: 'Other', tokenKey: 'other-key' },
+    { id: 'keyless', name: 'Keyless' },
+  );
+});
+
+after(() => pb.close());
+
+function sign(payload, key, header = { alg: 'HS256', typ: 'JWT' }) {
+  const unsigned = `${base64url(header)}.${base64url({ type: 'auth', exp: Math.floor(Date.now() / 1000) + 3600, ...payload })}`;
+  return `${unsigned}.${createHmac('sha256', key).update(unsigned).digest('base64url')}`;
+}
+
+test('a token signed with the record key and collection secret is accepted', async () => {
+  const result = await auth.verifyPocketBaseToken(sign({ id: 'signed' }, 'signed-keycollection-secret'));
+
+  assert.equal(result.user.id, 'signed');
+  assert.equal(result.user.record.tokenKey, undefined);
+});
+
+test('a forged, re-targeted or wrongly keyed token is refused', async () => {
+  const genuine = sign({ id: 'signed' }, 'signed-keycollection-secret');
+  const [header, , signature] = genuine.split('.');
+  const retargeted = `${header}.${base64url({ type: 'auth', id: 'other', exp: Math.floor(Date.now() / 1000) + 3600 })}.${signature}`;
+
+  for (const token of [
+    retargeted,
+    sign({ id: 'signed' }, 'signed-key'),
+    sign({ id: 'signed' }, 'signed-keycollection-secret', { alg: 'none' }),
+    sign({ id: 'signed', type: 'file' }, 'signed-keycollection-secret'),
+    sign({ id: 'nobody' }, 'nobody-keycollection-secret'),
+    'not-a-token',
+  ]) {
+    const result = await auth.verifyPocketBaseToken(token);
+    assert.equal(result.user, undefined);
+    assert.equal(result.status, 401);
+    assert.equal(result.error, 'invalid_token');
+  }
+});
+
+test('an expired token is refused before PocketBase is asked', async () => {
+  const result = await auth.verifyPocketBaseToken(
+    sign({ id: 'signed', exp: Math.floor(Date.now() / 1000) - 10 }, 'signed-keycollection-secret'),
+  );
+
+  assert.equal(result.error, 'expired_token');
+});
+
+test('without a readable tokenKey the token is checked by a refresh instead', async () => {
+  const result = await auth.verifyPocketBaseToken(makeToken({ id: 'keyless', collectionName: 'users' }));
+
+  assert.equal(result.user.id, 'keyless');
+});
+
+test('the middleware lets anonymous requests through and stops bad tokens', async () => {
+  const middleware = auth.authenticate();
+  const run = async (headers) => {
+    const req = { ...makeRequest({ headers }), originalUrl: '/api/ai' };
+    const res = makeResponse();
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    return { passed, req, res };
+  };
+
+  assert.equal((await run({})).passed, true);
+
+  const rejected = await run({ authorization: `Bearer ${sign({ id: 'signed' }, 'wrong')}` });
+  assert.equal(rejected.passed, false);
+  assert.equal(rejected.res.statusCode, 401);
+
+  const accepted = await run({ authorization: `Bearer ${sign({ id: 'signed' }, 'signed-keycollection-secret')}` });
+  assert.equal(accepted.passed, true);
+  assert.equal(accepted.req.user.id, 'signed');
+});
@@ -0,0 +1,75 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+import { mockFetch, jsonResponse } from './helpers/fetch.js';
+
+const VERSIONS = {
+  v1: 'INT. KITCHEN - DAY\n\nSteam.\n',
+  v2: 'INT. KITCHEN - DAY\n\nSmoke.\n\nEXT. GARDEN - NIGHT\n\nCrickets.\n',
+};
+
+let pb;
+let diff;
+let fetchMock;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: diff } = await import('../api/screenplays/diff.js'));
+  fetchMock = mockFetch({
+    'https://api.github.com': ({ url }) => {
+      const content = VERSIONS[new URL(url).searchParams.get('ref')];
+      return content
+        ? jsonResponse({ content: Buffer.from(content).toString('base64') })
+        : jsonResponse({ message: 'No commit found for the ref' }, 404);
+    },
+  });
+});
+
+after(async () => {
+  fetchMock.restore();
+  await pb.close();
+});
+
+beforeEach(() => {
+  fetchMock.calls.length = 0;
+  pb.seed('users', { id: 'owner', name: 'Owner' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1' });
+});
+
+function get(query) {
+  return callHandler(diff, {
+    userId: 'owner',
+    params: { id: 'sp1' },
+    query: { from: 'v1', to: 'v2', repoOwner: 'fable', repoName: 'script', ...query },
+    headers: { 'x-github-token': 'gh-token' },
+  });
+}
+
+test('diffs the screenplay between two refs', async () => {
+  const res = await get();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.summary.scenesAdded, 1);
+  assert.equal(res.body.summary.scenesModified, 1);
+});
+
+test('a missing ref is a 404', async () => {
+  const res = await get({ to: 'gone' });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('repeated query parameters are rejected', async () => {
+  const res = await get({ from: ['v1', 'v2'] });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(fetchMock.calls.length, 0);
+});
+
+test('owner and repository are encoded into the GitHub path', async () => {
+  await get({ repoOwner: 'fable/../other', repoName: 'script?x' });
+
+  assert.ok(fetchMock.calls[0].url.startsWith('https://api.github.com/repos/fable%2F..%2Fother/script%3Fx/contents/'));
+});
@@ -0,0 +1,27 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJsonEnv } from '../utils/env.js';
+
+afterEach(() => {
+  delete process.env.TEST_JSON_ENV;
+});
+
+test('parses a JSON object, or an array when asked for one', () => {
+  process.env.TEST_JSON_ENV = '{"ai": {"free": {"capacity": 1}}}';
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid'), { ai: { free: { capacity: 1 } } });
+
+  process.env.TEST_JSON_ENV = '[{"provider": "mock"}]';
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid', { expect: 'array' }), [{ provider: 'mock' }]);
+});
+
+test('unset, malformed or wrongly shaped values come back empty', () => {
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid'), {});
+
+  process.env.TEST_JSON_ENV = '{not json';
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid'), {});
+
+  process.env.TEST_JSON_ENV = '[1, 2]';
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid'), {});
+  process.env.TEST_JSON_ENV = '{"a": 1}';
+  assert.deepEqual(readJsonEnv('TEST_JSON_ENV', 'test_invalid', { expect: 'array' }), []);
+});
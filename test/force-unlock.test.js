@@ -0,0 +1,79 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+let pb;
+let forceUnlock;
+let saveLock;
+
+before(async () => {
+  pb = await startPocketBase({ unique: { screenplay_locks: ['key'] } });
+  ({ default: forceUnlock } = await import('../api/screenplays/force-unlock.js'));
+  ({ default: saveLock } = await import('../api/screenplays/save-lock.js'));
+});
+
+after(() => pb.close());
+
+beforeEach(() => {
+  pb.collection('screenplay_locks').clear();
+  pb.collection('screenplay_activity').clear();
+  pb.seed(
+    'users',
+    { id: 'owner', name: 'Owner' },
+    { id: 'writer', name: 'Writer' },
+    { id: 'admin', name: 'Admin', isAdmin: true },
+  );
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1', collaboratorIds: ['writer'], saveLockFence: 0 });
+});
+
+function breakSave(userId, body = {}) {
+  return callHandler(forceUnlock, {
+    method: 'POST',
+    userId,
+    params: { id: 'sp1' },
+    body: { lock: 'save', reason: 'Left for the weekend', ...body },
+  });
+}
+
+async function holdSaveLock(userId) {
+  const res = await callHandler(saveLock, { method: 'POST', userId, params: { id: 'sp1' }, body: { lockType: 'manual' } });
+  assert.equal(res.statusCode, 200);
+  return res.body.fence;
+}
+
+test('the owner breaks a save lock, which fences out the old holder and is logged', async () => {
+  const fence = await holdSaveLock('writer');
+  const res = await breakSave('owner');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.broken, true);
+  assert.equal(pb.list('screenplay_locks').length, 0);
+  assert.ok(pb.collection('screenplay_status').get('status1').saveLockFence > fence);
+  const entry = pb.list('screenplay_activity').find(({ action }) => action === 'lock_force_broken');
+  assert.equal(entry.details.reason, 'Left for the weekend');
+});
+
+test('an admin may break a lock on a screenplay they do not collaborate on', async () => {
+  await holdSaveLock('writer');
+
+  assert.equal((await breakSave('admin')).body.broken, true);
+});
+
+test('anyone else is told only the owner or an admin can break locks', async () => {
+  await holdSaveLock('writer');
+  const res = await breakSave('writer');
+
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.error, /owner or an admin/);
+  assert.equal(pb.list('screenplay_locks').length, 1);
+});
+
+test('a missing reason or unknown lock is refused before anything is touched', async () => {
+  await holdSaveLock('writer');
+
+  assert.equal((await breakSave('owner', { reason: '  ' })).statusCode, 400);
+  assert.equal((await breakSave('owner', { lock: 'everything' })).statusCode, 400);
+  assert.equal(pb.list('screenplay_locks').length, 1);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFountain, splitFountainScenes } from '../lib/fountain.js';
+import { diffScreenplays } from '../lib/fountain-diff.js';
+import { findScenes, mergeScenes } from '../lib/fountain-merge.js';
+
+const SCRIPT = [
+  'Title: The Kitchen',
+  'Author: A. Writer',
+  '',
+  'INT. KITCHEN - DAY',
+  '',
+  'Steam rises from a pot.',
+  '',
+  'MAYA',
+  '(quietly)',
+  'It is burning.',
+  '',
+  'CUT TO:',
+  '',
+  'EXT. GARDEN - NIGHT',
+  '',
+  'Crickets. /* cut this */ Nothing else.',
+  '',
+  'INT. KITCHEN - DAY',
+  '',
+  'The pot is gone.',
+  '',
+].join('\n');
+
+test('parses the title page, scenes and their elements', () => {
+  const { titlePage, scenes } = parseFountain(SCRIPT);
+
+  assert.deepEqual(titlePage, { title: 'The Kitchen', author: 'A. Writer' });
+  assert.deepEqual(scenes.map((scene) => scene.id), [
+    'INT. KITCHEN - DAY#1',
+    'EXT. GARDEN - NIGHT#1',
+    'INT. KITCHEN - DAY#2',
+  ]);
+  assert.deepEqual(scenes[0].elements, [
+    { type: 'action', text: 'Steam rises from a pot.' },
+    { type: 'dialogue', character: 'MAYA', parentheticals: ['(quietly)'], text: 'It is burning.' },
+    { type: 'transition', text: 'CUT TO:' },
+  ]);
+  assert.deepEqual(scenes[1].elements, [{ type: 'action', text: 'Crickets. Nothing else.' }]);
+});
+
+test('splitting into scenes reproduces the source exactly', () => {
+  const { preamble, scenes } = splitFountainScenes(SCRIPT);
+
+  assert.equal(preamble, 'Title: The Kitchen\nAuthor: A. Writer\n\n');
+  assert.equal(preamble + scenes.map((scene) => scene.text).join(''), SCRIPT);
+  assert.deepEqual(scenes.map((scene) => scene.id), parseFountain(SCRIPT).scenes.map((scene) => scene.id));
+});
+
+test('parser and splitter agree on scene ids when headings hide in notes or boneyard', () => {
+  const sources = [
+    'INT. A - DAY\n\nx [[note\n\nINT. FAKE - DAY\n\nend]]\n\nINT. B - DAY\n\ny\n',
+    'INT. A - DAY\n\n/* cut\n\nINT. FAKE - DAY\n\n*/\n\nINT. B - DAY\n\ny\n',
+    'INT. A - DAY\r\n\r\nx\r\n\r\nEXT. B - NIGHT\r\n\r\ny\r\n',
+  ];
+  for (const source of sources) {
+    const splitIds = splitFountainScenes(source).scenes.map((scene) => scene.id);
+    assert.deepEqual(splitIds, parseFountain(source).scenes.map((scene) => scene.id));
+    assert.equal(splitIds.length, 2);
+    assert.ok(!splitIds.some((id) => id.includes('FAKE')));
+  }
+});
+
+test('diffs scenes by id and dialogue per character', () => {
+  const after = SCRIPT
+    .replace('It is burning.', 'It is on fire.')
+    .replace('EXT. GARDEN - NIGHT\n\nCrickets. /* cut this */ Nothing else.\n\n', '')
+    .concat('\nEXT. STREET - DAY\n\nSirens.\n');
+  const { summary, scenes } = diffScreenplays(SCRIPT, after);
+
+  assert.equal(summary.scenesAdded, 1);
+  assert.equal(summary.scenesRemoved, 1);
+  assert.equal(summary.scenesModified, 1);
+  assert.deepEqual(summary.dialogueChangesByCharacter, { MAYA: 1 });
+  assert.deepEqual(scenes.modified[0].dialogue[0].changes, [
+    { type: 'changed', from: 'It is burning.', to: 'It is on fire.' },
+  ]);
+});
+
+test('reports a reordered scene as moved, not removed and added', () => {
+  const reordered = [
+    'INT. A - DAY\n\nOne.\n',
+    'INT. C - DAY\n\nThree.\n',
+    'INT. B - DAY\n\nTwo.\n',
+  ].join('\n');
+  const original = 'INT. A - DAY\n\nOne.\n\nINT. B - DAY\n\nTwo.\n\nINT. C - DAY\n\nThree.\n';
+  const { summary, scenes } = diffScreenplays(original, reordered);
+
+  assert.equal(summary.scenesMoved, 1);
+  assert.equal(summary.scenesAdded + summary.scenesRemoved, 0);
+  assert.equal(scenes.moved.length, 1);
+});
+
+test('merges selected scenes into the current text, replacing or re-inserting them', () => {
+  const revision = 'INT. A - DAY\n\nOld A.\n\nINT. B - DAY\n\nOld B.\n\nINT. C - DAY\n\nOld C.\n';
+  const current = 'INT. A - DAY\n\nNew A.\n\nINT. C - DAY\n\nNew C.\n';
+  const merged = mergeScenes(current, revision, ['INT. A - DAY#1', 'b - day']);
+
+  assert.equal(merged.content, 'INT. A - DAY\n\nOld A.\n\nINT. B - DAY\n\nOld B.\n\nINT. C - DAY\n\nNew C.\n');
+  assert.deepEqual(merged.restored.map(({ id, mode }) => [id, mode]), [
+    ['INT. A - DAY#1', 'replaced'],
+    ['INT. B - DAY#1', 'inserted'],
+  ]);
+  assert.deepEqual(findScenes(revision, ['INT. Z']).unmatched, ['INT. Z']);
+});
@@ -0,0 +1,27 @@
+// Answers fetch() calls whose URL starts with one of `routes` (prefix -> handler);
+// everything else, PocketBase included, still reaches the network.
+export function mockFetch(routes) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url ?? input);
+    const prefix = Object.keys(routes).find((candidate) => url.startsWith(candidate));
+    if (!prefix) return realFetch(input, init);
+    const call = { url, method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null };
+    calls.push(call);
+    return routes[prefix](call);
+  };
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = realFetch;
+    },
+  };
+}
+
+export function jsonResponse(payload, status = 200, headers = {}) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers },
+  });
+}
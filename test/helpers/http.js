@@ -0,0 +1,70 @@
+import { makeToken } from './pocketbase.js';
+
+// Minimal Express-shaped req/res pairs for calling route handlers directly
+export const TEST_ORIGIN = 'http://app.test';
+process.env.ALLOWED_ORIGINS = TEST_ORIGIN;
+
+export function makeRequest({ method = 'GET', userId = null, body = {}, params = {}, query = {}, headers = {} } = {}) {
+  return {
+    method,
+    body,
+    params,
+    query,
+    headers: {
+      origin: TEST_ORIGIN,
+      ...(userId ? { authorization: `Bearer ${makeToken({ id: userId, collectionName: 'users' })}` } : {}),
+      ...headers,
+    },
+    ip: '127.0.0.1',
+    socket: { remoteAddress: '127.0.0.1' },
+    on() {},
+  };
+}
+
+export function makeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    writableEnded: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    json(payload) {
+      this.body = payload;
+      this.writableEnded = true;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      this.writableEnded = true;
+      return this;
+    },
+    sendStatus(code) {
+      this.statusCode = code;
+      this.writableEnded = true;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(String(chunk));
+    },
+    end() {
+      this.writableEnded = true;
+    },
+    flushHeaders() {},
+  };
+}
+
+export async function callHandler(handler, options) {
+  const res = makeResponse();
+  await handler(makeRequest(options), res);
+  return res;
+}
@@ -0,0 +1,198 @@
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+
+// In-memory stand-in for the PocketBase REST API, covering what this service calls:
+// superuser and record auth, record CRUD, `field+` / `field-` modifiers, unique
+// fields, and filters made of `=`, `!=`, `<`, `>`, `<=`, `>=`, `~`, `&&` and `||`.
+// Tokens are unsigned; auth-refresh accepts any token naming an existing record.
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export function makeToken(payload) {
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  return `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ exp, type: 'auth', ...payload })}.sig`;
+}
+
+function readToken(header) {
+  try {
+    return JSON.parse(Buffer.from(String(header).replace(/^Bearer /, '').split('.')[1], 'base64url'));
+  } catch {
+    return null;
+  }
+}
+
+function parseLiteral(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null') return null;
+  return Number(value);
+}
+
+function matchesClause(record, clause) {
+  const match = clause.trim().match(/^([\w.]+)\s*(>=|<=|!=|\?~|~|=|>|<)\s*(.+)$/);
+  if (!match) return true;
+  const [, field, op, literal] = match;
+  const expected = parseLiteral(literal);
+  const actual = record[field] ?? (typeof expected === 'string' ? '' : null);
+  switch (op) {
+    case '=': return actual === expected || String(actual) === String(expected);
+    case '!=': return actual !== expected && String(actual) !== String(expected);
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    default: return JSON.stringify(actual ?? '').includes(String(expected));
+  }
+}
+
+function matchesFilter(record, filter) {
+  if (!filter) return true;
+  return filter
+    .replace(/[()]/g, '')
+    .split('||')
+    .some((alternative) => alternative.split('&&').every((clause) => matchesClause(record, clause)));
+}
+
+function sortRecords(records, sort) {
+  if (!sort) return records;
+  const keys = sort.split(',').map((key) => ({ desc: key.startsWith('-'), field: key.replace(/^[-+]/, '') }));
+  return [...records].sort((a, b) => {
+    for (const { desc, field } of keys) {
+      if (a[field] === b[field]) continue;
+      return (a[field] > b[field] ? 1 : -1) * (desc ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function timestamp() {
+  return new Date().toISOString().replace('T', ' ');
+}
+
+// `unique` maps collection names to fields with a unique index, e.g. { users: ['email'] }.
+// `schema`, when given, maps collection names to their field names; collections it
+// leaves out are reported missing.
+export async function startPocketBase({ unique = {}, schema = null } = {}) {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  // Called with (collectionName, body) before every create/update; return { status, body } to fail it
+  const hooks = { beforeWrite: null };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : {};
+    const url = new URL(req.url, 'http://pocketbase');
+    const send = (status, payload) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(payload === undefined ? '' : JSON.stringify(payload));
+    };
+    const fail = (status, message, data = {}) => send(status, { code: status, message, data });
+
+    // /api/collections/:name/records/:id and /api/collections/:name/auth-*
+    const [, , name, action, id] = url.pathname.split('/').filter(Boolean);
+    const records = collection(name);
+
+    if (action === 'auth-with-password') {
+      return send(200, { token: makeToken({ id: 'superuser', collectionName: '_superusers' }), record: { id: 'superuser' } });
+    }
+    if (action === 'auth-refresh') {
+      const payload = readToken(req.headers.authorization);
+      const record = payload && records.get(payload.id);
+      if (!record || payload.exp * 1000 < Date.now()) return fail(401, 'The request requires valid record authorization token.');
+      return send(200, { token: String(req.headers.authorization).replace(/^Bearer /, ''), record });
+    }
+
+    // Collection schema; `unique` fields are reported as unique indexes
+    if (req.method === 'GET' && !action) {
+      if (schema && !schema[name]) return fail(404, 'Missing collection context.');
+      const indexes = (unique[name] || []).map(
+        (field) => `CREATE UNIQUE INDEX \`idx_${name}_${field}\` ON \`${name}\` (\`${field}\`)`,
+      );
+      const fields = (schema?.[name] || []).map((field) => ({ name: field }));
+      return send(200, { id: name, name, type: 'base', fields, indexes });
+    }
+
+    if (req.method === 'GET' && !id) {
+      const page = Number(url.searchParams.get('page') || 1);
+      const perPage = Number(url.searchParams.get('perPage') || 30);
+      const items = sortRecords(
+        [...records.values()].filter((record) => matchesFilter(record, url.searchParams.get('filter'))),
+        url.searchParams.get('sort'),
+      );
+      return send(200, {
+        page,
+        perPage,
+        totalItems: items.length,
+        totalPages: Math.ceil(items.length / perPage),
+        items: items.slice((page - 1) * perPage, page * perPage),
+      });
+    }
+    if (req.method === 'GET') {
+      return records.has(id) ? send(200, records.get(id)) : fail(404, 'The requested resource wasn\'t found.');
+    }
+    if (req.method === 'DELETE') {
+      if (!records.delete(id)) return fail(404, 'The requested resource wasn\'t found.');
+      return send(204);
+    }
+
+    const rejected = hooks.beforeWrite?.(name, body);
+    if (rejected) return send(rejected.status, rejected.body);
+
+    if (req.method === 'POST') {
+      const recordId = body.id || randomBytes(8).toString('hex').slice(0, 15);
+      if (records.has(recordId)) {
+        return fail(400, 'Failed to create record.', { id: { code: 'validation_not_unique', message: 'Value must be unique.' } });
+      }
+      for (const field of unique[name] || []) {
+        if ([...records.values()].some((record) => record[field] === body[field])) {
+          return fail(400, 'Failed to create record.', { [field]: { code: 'validation_not_unique', message: 'Value must be unique.' } });
+        }
+      }
+      const now = timestamp();
+      const record = { collectionName: name, ...body, id: recordId, created: now, updated: now };
+      records.set(recordId, record);
+      return send(200, record);
+    }
+    if (req.method === 'PATCH') {
+      const record = records.get(id);
+      if (!record) return fail(404, 'The requested resource wasn\'t found.');
+      for (const [key, value] of Object.entries(body)) {
+        if (key.endsWith('+')) record[key.slice(0, -1)] = (Number(record[key.slice(0, -1)]) || 0) + value;
+        else if (key.endsWith('-')) record[key.slice(0, -1)] = (Number(record[key.slice(0, -1)]) || 0) - value;
+        else record[key] = value;
+      }
+      record.updated = timestamp();
+      return send(200, record);
+    }
+    return fail(400, 'Unsupported request.');
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.POCKETBASE_URL = url;
+  process.env.POCKETBASE_ADMIN_EMAIL = 'admin@example.com';
+  process.env.POCKETBASE_ADMIN_PASSWORD = 'password';
+
+  return {
+    url,
+    hooks,
+    collection,
+    // Inserts records directly, bypassing hooks and unique checks
+    seed(name, ...items) {
+      const now = timestamp();
+      for (const item of items) collection(name).set(item.id, { created: now, updated: now, ...item });
+    },
+    list(name) {
+      return [...collection(name).values()];
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+
+let pb;
+let lockStore;
+let verifySchema;
+const lockSchema = { screenplay_locks: { unique: ['key'] } };
+const unique = { screenplay_locks: ['key'] };
+
+before(async () => {
+  pb = await startPocketBase({ unique });
+  lockStore = await import('../api/screenplays/lockStore.js');
+  ({ verifySchema } = await import('../lib/pocketbase-schema.js'));
+});
+
+after(() => pb.close());
+
+const lockFor = (holderId) => ({ screenplayId: 'sp1', lockType: 'save', holderId, ttlMs: 60_000 });
+
+test('startup accepts a lock collection with a unique index on key', async () => {
+  assert.equal(await verifySchema(lockSchema), true);
+});
+
+test('startup refuses a lock collection without the unique index', async () => {
+  delete unique.screenplay_locks;
+  try {
+    await assert.rejects(verifySchema(lockSchema), /no unique index on key/);
+  } finally {
+    unique.screenplay_locks = ['key'];
+  }
+});
+
+test('only one of several racing acquires wins', async () => {
+  const results = await Promise.all(['a', 'b', 'c'].map((holder) => lockStore.acquireLock('save:sp1', lockFor(holder))));
+
+  assert.equal(results.filter((result) => result.acquired).length, 1);
+  assert.equal(pb.list('screenplay_locks').length, 1);
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+import {
+  getModelCatalog,
+  listModelsForPlan,
+  modelsForChain,
+  planForUser,
+  selectModel,
+} from '../lib/model-catalog.js';
+
+const registry = {
+  openai: { DEFAULT_MODEL: 'gpt-4o-mini' },
+  anthropic: { DEFAULT_MODEL: 'claude-3-5-sonnet-latest' },
+  mock: { DEFAULT_MODEL: 'mock-echo' },
+};
+
+let pb;
+let ai;
+let models;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: ai } = await import('../api/ai.js'));
+  ({ default: models } = await import('../api/ai/models.js'));
+});
+
+after(() => pb.close());
+
+test('the catalog covers registered providers only, with each default marked', () => {
+  const catalog = getModelCatalog(registry);
+
+  assert.ok(catalog.every((entry) => entry.provider in registry));
+  assert.deepEqual(
+    catalog.filter((entry) => entry.default).map((entry) => entry.id),
+    ['openai:gpt-4o-mini', 'anthropic:claude-3-5-sonnet-latest', 'mock:mock-echo'],
+  );
+});
+
+test('subscriber-only models are withheld from free plans, except a provider default', () => {
+  const catalog = getModelCatalog(registry);
+  const free = listModelsForPlan(catalog, 'free').map((entry) => entry.id);
+
+  assert.ok(!free.includes('openai:gpt-5'));
+  assert.ok(free.includes('anthropic:claude-3-5-sonnet-latest'));
+  assert.ok(listModelsForPlan(catalog, 'subscriber').some((entry) => entry.id === 'openai:gpt-5'));
+  assert.equal(planForUser({ hasValidSub: true }), 'subscriber');
+  assert.equal(planForUser({}), 'free');
+});
+
+test('a requested model is found by id or name and checked against the plan', () => {
+  const catalog = getModelCatalog(registry);
+
+  assert.equal(selectModel({ catalog, provider: 'openai', model: 'openai:gpt-5', plan: 'subscriber' }).entry.model, 'gpt-5');
+  assert.equal(selectModel({ catalog, provider: 'openai', model: 'gpt-4o', plan: 'subscriber' }).entry.id, 'openai:gpt-4o');
+  assert.equal(selectModel({ catalog, provider: 'openai', plan: 'free' }).entry.id, 'openai:gpt-4o-mini');
+  assert.equal(selectModel({ catalog, provider: 'openai', model: 'gpt-5', plan: 'free' }).status, 403);
+  assert.equal(selectModel({ catalog, provider: 'openai', model: 'gpt-9', plan: 'subscriber' }).status, 400);
+  assert.equal(selectModel({ catalog, provider: 'openai', model: ['gpt-5'], plan: 'subscriber' }).status, 400);
+});
+
+test('providers further down a chain fall back to their own default', () => {
+  const catalog = getModelCatalog(registry);
+  const selected = selectModel({ catalog, provider: 'openai', model: 'gpt-4o', plan: 'subscriber' }).entry;
+  const chainModels = modelsForChain({ catalog, chain: ['openai', 'anthropic'], selected });
+
+  assert.equal(chainModels.openai.model, 'gpt-4o');
+  assert.equal(chainModels.anthropic.model, 'claude-3-5-sonnet-latest');
+});
+
+test('the models endpoint lists what the plan allows and /api/ai refuses the rest', async () => {
+  pb.seed('users', { id: 'free-user', name: 'Free', tokensAvailable: 1000, tokensUsed: 0 });
+
+  const listed = await callHandler(models, { userId: 'free-user' });
+  assert.equal(listed.statusCode, 200);
+  assert.equal(listed.body.plan, 'free');
+  assert.ok(!listed.body.models.some((entry) => entry.id === 'openai:gpt-5'));
+
+  const res = await callHandler(ai, {
+    method: 'POST',
+    userId: 'free-user',
+    body: { provider: 'openai', model: 'gpt-5', failover: false, prompt: 'Pitch it' },
+  });
+  assert.equal(res.statusCode, 403);
+  assert.equal(pb.list('token_ledger').filter((entry) => entry.userId === 'free-user').length, 0);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { REQUIRED_SCHEMA, verifySchema } from '../lib/pocketbase-schema.js';
+
+const schema = {};
+const unique = {};
+
+let pb;
+
+before(async () => {
+  pb = await startPocketBase({ unique, schema });
+});
+
+after(() => pb.close());
+
+function applyRequiredSchema() {
+  for (const [name, expected] of Object.entries(REQUIRED_SCHEMA)) {
+    schema[name] = [...expected.fields];
+    unique[name] = [...(expected.unique ?? [])];
+  }
+}
+
+// Runs every pb_migrations up step against a stand-in app, starting from a
+// screenplay_status collection with none of the fields the migrations add
+async function migratedSchema() {
+  const dir = new URL('../pb_migrations/', import.meta.url);
+  const collections = { screenplay_status: { fields: [], indexes: [] } };
+  const fieldList = (fields) => Object.assign(fields, {
+    getByName: (name) => fields.find((field) => field.name === name),
+    add: (field) => fields.push(field),
+  });
+  const app = {
+    save(collection) {
+      collections[collection.name ?? 'screenplay_status'] = collection;
+    },
+    findCollectionByNameOrId(name) {
+      const collection = collections[name];
+      return { ...collection, name, fields: fieldList(collection.fields) };
+    },
+  };
+  const context = vm.createContext({
+    Collection: function Collection(options) { Object.assign(this, options); },
+    Field: function Field(options) { Object.assign(this, options); },
+    migrate: (up) => up(app),
+  });
+  for (const file of (await readdir(dir)).filter((name) => name.endsWith('.js')).sort()) {
+    vm.runInContext(await readFile(new URL(file, dir), 'utf8'), context);
+  }
+  return collections;
+}
+
+test('startup accepts PocketBase once every collection, field and unique index is there', async () => {
+  applyRequiredSchema();
+
+  assert.equal(await verifySchema(), true);
+});
+
+test('startup names everything that is missing', async () => {
+  applyRequiredSchema();
+  delete schema.ai_response_cache;
+  schema.screenplay_status = schema.screenplay_status.filter((field) => field !== 'roles');
+  unique.screenplay_locks = [];
+
+  await assert.rejects(verifySchema(), (error) => {
+    assert.match(error.message, /ai_response_cache collection does not exist/);
+    assert.match(error.message, /screenplay_status is missing fields roles/);
+    assert.match(error.message, /screenplay_locks has no unique index on key/);
+    return true;
+  });
+});
+
+test('the migrations create everything startup checks for', async () => {
+  const collections = await migratedSchema();
+
+  for (const [name, expected] of Object.entries(REQUIRED_SCHEMA)) {
+    const collection = collections[name];
+    assert.ok(collection, `${name} is created`);
+    const fields = new Set(collection.fields.map((field) => field.name));
+    assert.deepEqual(expected.fields.filter((field) => !fields.has(field)), [], `${name} fields`);
+    for (const field of expected.unique ?? []) {
+      assert.ok(
+        collection.indexes.some((index) => index.startsWith('CREATE UNIQUE INDEX') && index.includes(`(\`${field}\`)`)),
+        `${name} has a unique index on ${field}`,
+      );
+    }
+  }
+});
@@ -0,0 +1,72 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch, jsonResponse } from './helpers/fetch.js';
+
+process.env.OPENAI_API_KEY = 'test-openai';
+process.env.ANTHROPIC_API_KEY = 'test-anthropic';
+process.env.GEMINI_API_KEY = 'test-gemini';
+
+let openai;
+let anthropic;
+let gemini;
+let fetchMock;
+
+before(async () => {
+  openai = await import('../lib/providers/openai.js');
+  anthropic = await import('../lib/providers/anthropic.js');
+  gemini = await import('../lib/providers/gemini.js');
+  fetchMock = mockFetch({
+    // GPT-5 spends its budget reasoning and says nothing, so the fallback model answers
+    'https://api.openai.com/v1/responses': () =>
+      jsonResponse({
+        id: 'resp_1',
+        output: [{ type: 'reasoning', content: [] }],
+        usage: { input_tokens: 40, output_tokens: 30, output_tokens_details: { reasoning_tokens: 30 }, total_tokens: 70 },
+      }),
+    'https://api.openai.com/v1/chat/completions': () =>
+      jsonResponse({
+        id: 'chat_1',
+        choices: [{ message: { role: 'assistant', content: 'A kitchen catches fire.' } }],
+        usage: { prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 },
+      }),
+    'https://api.anthropic.com': () =>
+      jsonResponse({ content: [{ type: 'text', text: 'Short.' }], usage: { input_tokens: 5, output_tokens: 2 } }),
+    'https://generativelanguage.googleapis.com': () =>
+      jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'Short.' }] } }],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2 },
+      }),
+  });
+});
+
+after(() => fetchMock.restore());
+
+beforeEach(() => {
+  fetchMock.calls.length = 0;
+});
+
+function requestBodies(prefix) {
+  return fetchMock.calls.filter((call) => call.url.startsWith(prefix)).map((call) => call.body);
+}
+
+test('a small output cap reaches every provider as given', async () => {
+  await openai.generateSynopsis({ prompt: 'Pitch it', maxTokens: 12, model: 'gpt-5' });
+  await anthropic.generateSynopsis({ prompt: 'Pitch it', maxTokens: 12 });
+  await gemini.generateSynopsis({ prompt: 'Pitch it', maxTokens: 12 });
+
+  assert.equal(requestBodies('https://api.openai.com/v1/responses')[0].max_output_tokens, 12);
+  assert.equal(requestBodies('https://api.openai.com/v1/chat/completions')[0].max_tokens, 12);
+  assert.equal(requestBodies('https://api.anthropic.com')[0].max_tokens, 12);
+  assert.equal(requestBodies('https://generativelanguage.googleapis.com')[0].generationConfig.maxOutputTokens, 12);
+});
+
+test('when the fallback model answers for GPT-5, both calls are billed', async () => {
+  const result = await openai.generateSynopsis({ prompt: 'Pitch it', maxTokens: 200, model: 'gpt-5' });
+
+  assert.equal(result.synopsis, 'A kitchen catches fire.');
+  assert.equal(result.inputTokens, 80);
+  assert.equal(result.outputTokens, 38);
+  assert.equal(result.reasoningTokens, 30);
+  assert.equal(result.totalTokens, 118);
+  assert.equal(result.model, 'gpt-5');
+});
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureRateLimitStore,
+  createMemoryStore,
+  createRedisStore,
+  rateLimit,
+  setRateLimitStore,
+} from '../utils/rate-limit.js';
+import { makeRequest, makeResponse } from './helpers/http.js';
+
+after(() => setRateLimitStore(createMemoryStore()));
+
+async function hit(middleware, user, originalUrl = '/api/ai') {
+  const req = { ...makeRequest({ method: 'POST' }), originalUrl, user };
+  const res = makeResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test('buckets are per user and refuse requests past capacity', async () => {
+  setRateLimitStore(createMemoryStore());
+  const limiter = rateLimit('voice');
+  const results = [];
+  for (let i = 0; i < 6; i += 1) results.push((await hit(limiter, { id: 'busy' })).passed);
+
+  assert.deepEqual(results, [true, true, true, true, true, false]);
+  assert.equal((await hit(limiter, { id: 'quiet' })).passed, true);
+});
+
+test('routes with their own bucket can be left out of a shared one', async () => {
+  setRateLimitStore(createMemoryStore());
+  const shared = rateLimit('voice', { skipExact: ['/api/ai'] });
+  for (let i = 0; i < 10; i += 1) {
+    assert.equal((await hit(shared, { id: 'skipper' }, '/api/ai?stream=1')).passed, true);
+  }
+  // Only the exact path is skipped, not the routes below it
+  const results = [];
+  for (let i = 0; i < 6; i += 1) results.push((await hit(shared, { id: 'skipper' }, '/api/ai/usage')).passed);
+  assert.equal(results.at(-1), false);
+});
+
+test('a Redis store keys buckets under its prefix and reads the script reply', async () => {
+  const evals = [];
+  const client = {
+    isOpen: true,
+    async eval(script, { keys }) {
+      evals.push(keys[0]);
+      return [0, '0'];
+    },
+  };
+  setRateLimitStore(createRedisStore(client));
+  const { passed, res } = await hit(rateLimit('ai'), { id: 'u1' });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.deepEqual(evals, ['ratelimit:ai:user:u1']);
+});
+
+test('without RATE_LIMIT_REDIS_URL, or with Redis unreachable, the memory store stays', async () => {
+  assert.equal(await configureRateLimitStore(''), false);
+  assert.equal(await configureRateLimitStore('redis://127.0.0.1:1', { connectTimeoutMs: 200 }), false);
+});
@@ -0,0 +1,88 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+process.env.AI_RESPONSE_CACHE = 'pocketbase';
+
+let pb;
+let ai;
+let cache;
+
+before(async () => {
+  pb = await startPocketBase({ unique: { ai_response_cache: ['key'] } });
+  ({ default: ai } = await import('../api/ai.js'));
+  cache = await import('../lib/response-cache.js');
+});
+
+after(() => pb.close());
+
+beforeEach(() => {
+  pb.collection('ai_response_cache').clear();
+});
+
+function ask(userId, body) {
+  return callHandler(ai, {
+    method: 'POST',
+    userId,
+    body: { provider: 'mock', failover: false, prompt: 'Pitch the opening scene', estimatedTokens: 50, ...body },
+  });
+}
+
+test('an identical request is answered from the cache and billed as a hit', async () => {
+  pb.seed('users', { id: 'repeat-user', name: 'Repeat', tokensAvailable: 1000, tokensUsed: 0 });
+
+  const first = await ask('repeat-user');
+  const second = await ask('repeat-user');
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.cached, false);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.response, first.body.response);
+  assert.equal(second.body.costBreakdown.originalInternalTokens, first.body.tokenCost);
+  assert.equal(pb.list('ai_response_cache').length, 1);
+});
+
+test('a different prompt, system prompt or cache: false goes to the provider', async () => {
+  pb.seed('users', { id: 'varied-user', name: 'Varied', tokensAvailable: 1000, tokensUsed: 0 });
+  await ask('varied-user');
+
+  assert.equal((await ask('varied-user', { prompt: 'Pitch the closing scene' })).body.cached, false);
+  assert.equal((await ask('varied-user', { systemPrompt: 'Answer in verse' })).body.cached, false);
+  assert.equal((await ask('varied-user', { cache: false })).body.cached, false);
+});
+
+test('keys depend on everything that shapes the reply', () => {
+  const base = { provider: 'mock', model: 'mock-echo', systemPrompt: 'Be brief', messages: [{ role: 'user', content: 'Hi' }] };
+
+  assert.equal(cache.buildCacheKey(base), cache.buildCacheKey({ ...base }));
+  assert.notEqual(cache.buildCacheKey(base), cache.buildCacheKey({ ...base, model: 'other' }));
+  assert.notEqual(cache.buildCacheKey(base), cache.buildCacheKey({ ...base, systemPrompt: 'Be long' }));
+  assert.notEqual(
+    cache.buildCacheKey(base),
+    cache.buildCacheKey({ ...base, responseFormat: { schema: { type: 'object' } } }),
+  );
+});
+
+test('expired entries are dropped, and a racing writer loses quietly to the unique key', async () => {
+  pb.seed('ai_response_cache', {
+    id: 'stale',
+    key: 'stale-key',
+    value: { result: { synopsis: 'old' } },
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+  });
+  assert.equal(await cache.readCachedResponse('stale-key'), null);
+  assert.equal(pb.list('ai_response_cache').length, 0);
+
+  await Promise.all([
+    cache.writeCachedResponse('racing-key', { result: { synopsis: 'a' } }),
+    cache.writeCachedResponse('racing-key', { result: { synopsis: 'b' } }),
+  ]);
+  assert.equal(pb.list('ai_response_cache').length, 1);
+});
+
+test('a hit costs a share of the original, never nothing', () => {
+  assert.equal(cache.cacheHitCost(0), 1);
+  assert.equal(cache.cacheHitCost(1000), Math.ceil(1000 * cache.CACHE_HIT_COST_RATIO));
+});
@@ -0,0 +1,192 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+import { mockFetch, jsonResponse } from './helpers/fetch.js';
+
+process.env.HP_HTTP_BASE_URL = 'http://hp.test';
+process.env.RESTORE_SHA_POLL_INTERVAL_MS = '10';
+process.env.RESTORE_SHA_MAX_ATTEMPTS = '1';
+process.env.RESTORE_JOB_SECRET = 'test-secret';
+
+const REVISION = 'INT. KITCHEN - DAY\n\nThe old kitchen.\n';
+const HEAD = 'INT. KITCHEN - DAY\n\nThe new kitchen.\n';
+
+let pb;
+let restore;
+let resumeRestoreJobs;
+let createRestoreJob;
+let fetchMock;
+// Per-test knobs for the GitHub and HP stand-ins
+let github;
+let hp;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: restore, resumeRestoreJobs } = await import('../api/screenplays/restore-with-lock.js'));
+  ({ createRestoreJob } = await import('../api/screenplays/restoreJobStore.js'));
+  fetchMock = mockFetch({
+    'https://api.github.com': ({ url, method }) => {
+      if (method === 'PUT') {
+        return github.commitStatus === 200
+          ? jsonResponse({ commit: { sha: 'restored-sha', message: 'Restore screenplay to abcdef1' } })
+          : jsonResponse({ message: 'conflict' }, github.commitStatus);
+      }
+      if (url.includes('/commits?')) return jsonResponse(github.commits);
+      const content = url.includes('?ref=') ? REVISION : HEAD;
+      return jsonResponse({ sha: 'head-blob', content: Buffer.from(content).toString('base64') });
+    },
+    'http://hp.test': ({ url }) => {
+      const action = url.split('/').at(-1);
+      return hp.failing.includes(action) ? new Response('down', { status: 500 }) : jsonResponse({});
+    },
+  });
+});
+
+after(async () => {
+  fetchMock.restore();
+  await pb.close();
+});
+
+beforeEach(() => {
+  github = { commitStatus: 200, commits: [{ sha: 'restored-sha' }] };
+  hp = { failing: [] };
+  fetchMock.calls.length = 0;
+  pb.collection('screenplay_status').clear();
+  pb.collection('screenplay_activity').clear();
+  pb.seed('users', { id: 'owner', name: 'Owner' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1', hp_restore_blocked: false, collaborators: [] });
+});
+
+function status() {
+  return pb.collection('screenplay_status').get('status1');
+}
+
+function hpActions() {
+  return fetchMock.calls.filter((call) => call.url.startsWith('http://hp.test')).map((call) => call.url.split('/').at(-1));
+}
+
+function activity() {
+  return pb.list('screenplay_activity').map((entry) => entry.action);
+}
+
+function restoreRequest(body = {}) {
+  return callHandler(restore, {
+    method: 'POST',
+    userId: 'owner',
+    params: { id: 'sp1' },
+    body: { revisionSha: 'abcdef123', repoOwner: 'fable', repoName: 'script', githubToken: 'gh-token', ...body },
+  });
+}
+
+test('a successful restore commits, lifts the block and lets sessions back in', async () => {
+  const res = await restoreRequest();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.equal(status().hp_restore_blocked, false);
+  assert.equal(status().pendingRestoreSha, 'restored-sha');
+  assert.deepEqual(hpActions(), ['destroy', 'unblock']);
+});
+
+test('a failed commit rolls back the block and the session lockout', async () => {
+  github.commitStatus = 409;
+  const res = await restoreRequest();
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.rolledBack, true);
+  assert.equal(status().hp_restore_blocked, false);
+  assert.equal(status().pendingRestoreSha, null);
+  assert.match(status().restoreError, /409/);
+  assert.deepEqual(hpActions(), ['destroy', 'unblock']);
+  assert.equal(pb.collection('restore_jobs').get(res.body.jobId).state, 'failed');
+  assert.deepEqual(activity(), ['restore_failed']);
+});
+
+test('a failure after the commit finishes the restore instead of rolling it back', async () => {
+  hp.failing = ['unblock'];
+  const res = await restoreRequest();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'partial');
+  assert.deepEqual(res.body.incompleteSteps, ['unblock_sessions']);
+  assert.equal(status().hp_restore_blocked, false);
+  assert.equal(status().pendingRestoreSha, 'restored-sha');
+  assert.notEqual(pb.collection('restore_jobs').get(res.body.jobId).state, 'failed');
+  assert.deepEqual(activity(), ['restore_incomplete']);
+});
+
+test('a dry run touches neither sessions nor GitHub', async () => {
+  const res = await restoreRequest({ dryRun: true });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'dry_run');
+  assert.equal(res.body.diff.scenesModified, 1);
+  assert.deepEqual(hpActions(), []);
+  assert.ok(fetchMock.calls.every((call) => call.method === 'GET'));
+  assert.equal(status().hp_restore_blocked, false);
+});
+
+test('restarting releases the block of a job that was interrupted mid-commit', async () => {
+  pb.seed('restore_jobs', { id: 'interrupted', screenplayId: 'sp1', state: 'committing', timeline: {} });
+  pb.seed('restore_jobs', { id: 'stale', screenplayId: 'sp1', state: 'queued', timeline: {} });
+  Object.assign(status(), { hp_restore_blocked: true, restoreJobId: 'interrupted' });
+
+  await resumeRestoreJobs();
+
+  assert.equal(status().hp_restore_blocked, false);
+  assert.match(status().restoreError, /Interrupted/);
+  assert.equal(pb.collection('restore_jobs').get('interrupted').state, 'failed');
+  assert.equal(pb.collection('restore_jobs').get('stale').state, 'failed');
+  // Only the job that owned the block sends sessions an unblock
+  assert.deepEqual(hpActions(), ['unblock']);
+});
+
+async function interruptedJob(state) {
+  const job = await createRestoreJob({
+    screenplayId: 'sp1',
+    requestedBy: 'owner',
+    revisionSha: 'abcdef123',
+    repoOwner: 'fable',
+    repoName: 'script',
+    branch: 'main',
+    filePath: 'screenplay.fountain',
+    githubToken: 'gh-token',
+  });
+  const startedAt = new Date(Date.now() - 60_000).toISOString();
+  Object.assign(pb.collection('restore_jobs').get(job.id), { state, timeline: { queued: startedAt, [state]: startedAt } });
+  Object.assign(status(), { hp_restore_blocked: true, restoreJobId: job.id });
+  return job.id;
+}
+
+function landedCommit(message, date = new Date().toISOString()) {
+  return { sha: 'restored-sha', commit: { message, committer: { date } } };
+}
+
+test('restarting finishes a job whose commit landed just before the process died', async () => {
+  github.commits = [landedCommit('Restore screenplay to abcdef1')];
+  const jobId = await interruptedJob('committing');
+
+  await resumeRestoreJobs();
+
+  assert.equal(status().hp_restore_blocked, false);
+  assert.equal(status().pendingRestoreSha, 'restored-sha');
+  assert.equal(status().restoreError, null);
+  assert.deepEqual(hpActions(), ['unblock']);
+  assert.deepEqual(activity(), ['restore_resumed']);
+  const job = pb.collection('restore_jobs').get(jobId);
+  assert.equal(job.commitSha, 'restored-sha');
+  assert.notEqual(job.state, 'failed');
+});
+
+test('an older restore of the same revision does not count as the interrupted commit', async () => {
+  github.commits = [landedCommit('Restore screenplay to abcdef1', '2020-01-01T00:00:00Z')];
+  const jobId = await interruptedJob('committing');
+
+  await resumeRestoreJobs();
+
+  assert.equal(pb.collection('restore_jobs').get(jobId).state, 'failed');
+  assert.equal(status().pendingRestoreSha, null);
+  assert.deepEqual(activity(), ['restore_failed']);
+});
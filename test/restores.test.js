@@ -0,0 +1,57 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+let pb;
+let restores;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: restores } = await import('../api/screenplays/restores.js'));
+});
+
+after(() => pb.close());
+
+beforeEach(() => {
+  pb.seed('users', { id: 'owner', name: 'Owner' }, { id: 'editor', name: 'Editor' }, { id: 'reader', name: 'Reader' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', {
+    id: 'status1',
+    screenplayId: 'sp1',
+    collaboratorIds: ['editor', 'reader'],
+    roles: { reader: 'viewer' },
+  });
+  pb.seed('restore_jobs', {
+    id: 'job1',
+    screenplayId: 'sp1',
+    state: 'failed',
+    error: 'GitHub commit failed (409)',
+    githubTokenEncrypted: 'secret',
+    timeline: {},
+  });
+});
+
+function get(userId, jobId = 'job1') {
+  return callHandler(restores, { userId, params: { id: 'sp1', jobId } });
+}
+
+test('those who may restore can read a job, without its GitHub token', async () => {
+  for (const userId of ['owner', 'editor']) {
+    const res = await get(userId);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.job.error, 'GitHub commit failed (409)');
+    assert.equal(res.body.job.githubTokenEncrypted, undefined);
+  }
+});
+
+test('a viewer cannot read restore jobs', async () => {
+  const res = await get('reader');
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.job, undefined);
+});
+
+test('an unknown job is a 404', async () => {
+  assert.equal((await get('owner', 'nope')).statusCode, 404);
+});
@@ -0,0 +1,88 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+import { mockFetch, jsonResponse } from './helpers/fetch.js';
+
+const commit = (sha, message) => ({
+  sha,
+  commit: { message, author: { name: 'Maya', email: 'maya@example.com', date: '2026-01-01T00:00:00Z' } },
+  author: { login: 'maya' },
+});
+
+let pb;
+let revisions;
+let fetchMock;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: revisions } = await import('../api/screenplays/revisions.js'));
+  fetchMock = mockFetch({
+    'https://api.github.com/repos/fable/script/commits?': () =>
+      jsonResponse([commit('aaa111', 'Draft two'), commit('bbb222', 'Restore screenplay to ccc3333')]),
+    'https://api.github.com/repos/fable/script/commits/aaa111': () => jsonResponse(commit('aaa111', 'Draft two')),
+    'https://api.github.com/repos/fable/script/commits/': () => jsonResponse({ message: 'Not Found' }, 404),
+    'https://api.github.com/repos/fable/script/contents/': () =>
+      jsonResponse([{ name: 'screenplay.fountain', size: 1234 }]),
+    'https://api.github.com/repos/fable/gone/': () => jsonResponse({ message: 'Not Found' }, 404),
+  });
+});
+
+after(async () => {
+  fetchMock.restore();
+  await pb.close();
+});
+
+beforeEach(() => {
+  fetchMock.calls.length = 0;
+  pb.seed('users', { id: 'owner', name: 'Owner' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1' });
+});
+
+function get(params, query) {
+  return callHandler(revisions, {
+    userId: 'owner',
+    params: { id: 'sp1', ...params },
+    query: { repoOwner: 'fable', repoName: 'script', ...query },
+    headers: { 'x-github-token': 'gh-token' },
+  });
+}
+
+test('lists revisions with the screenplay size at each', async () => {
+  const res = await get();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.revisions.map(({ sha, isRestore, size }) => [sha, isRestore, size]),
+    [['aaa111', false, 1234], ['bbb222', true, 1234]],
+  );
+  assert.equal(fetchMock.calls.length, 3);
+});
+
+test('one revision comes with its size', async () => {
+  const res = await get({ sha: 'aaa111' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.revision.sha, 'aaa111');
+  assert.equal(res.body.revision.size, 1234);
+});
+
+test('an unknown revision is a 404', async () => {
+  const res = await get({ sha: 'nope' });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('an unknown repository is a 404, not a server error', async () => {
+  const res = await get({}, { repoName: 'gone' });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('repeated query parameters are rejected', async () => {
+  const res = await get({}, { branch: ['main', 'dev'] });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(fetchMock.calls.length, 0);
+});
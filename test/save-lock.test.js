@@ -0,0 +1,100 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+
+let pb;
+let saveLock;
+let statusInit;
+
+before(async () => {
+  pb = await startPocketBase({ unique: { screenplay_locks: ['key'] } });
+  ({ default: saveLock } = await import('../api/screenplays/save-lock.js'));
+  ({ default: statusInit } = await import('../api/screenplays/status-init.js'));
+});
+
+after(() => pb.close());
+
+beforeEach(() => {
+  pb.collection('screenplay_locks').clear();
+  pb.seed('users', { id: 'owner', name: 'Owner' }, { id: 'writer', name: 'Writer' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1', collaboratorIds: ['writer'], saveLockFence: 0 });
+});
+
+function acquire(userId) {
+  return callHandler(saveLock, { method: 'POST', userId, params: { id: 'sp1' }, body: { lockType: 'manual' } });
+}
+
+function save(userId, body) {
+  return callHandler(statusInit, { method: 'POST', userId, params: { id: 'sp1' }, body: { commitSha: 'sha', ...body } });
+}
+
+function expireLock() {
+  for (const lock of pb.list('screenplay_locks')) lock.expiresAt = new Date(Date.now() - 1000).toISOString();
+}
+
+test('the holder saves with its fence, which the lock record and the mirror both carry', async () => {
+  const lock = await acquire('owner');
+  assert.equal(lock.statusCode, 200);
+  assert.equal(pb.list('screenplay_locks')[0].fence, lock.body.fence);
+  assert.equal(pb.collection('screenplay_status').get('status1').saveLock.fence, lock.body.fence);
+
+  assert.equal((await save('owner', { fence: lock.body.fence })).statusCode, 200);
+});
+
+test('a save without a fence is refused while a save lock is held', async () => {
+  await acquire('owner');
+
+  const res = await save('writer', {});
+  assert.equal(res.statusCode, 400);
+  assert.equal((await save('owner', {})).statusCode, 400);
+});
+
+test('a holder whose lock was taken over cannot save with its old fence', async () => {
+  const first = await acquire('owner');
+  expireLock();
+  const second = await acquire('writer');
+  assert.equal(second.statusCode, 200);
+  assert.ok(second.body.fence > first.body.fence);
+
+  const stale = await save('owner', { fence: first.body.fence });
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.error, 'stale_fence');
+  // Someone else's live fence is no good either
+  assert.equal((await save('owner', { fence: second.body.fence })).statusCode, 409);
+  assert.equal((await save('writer', { fence: second.body.fence })).statusCode, 200);
+});
+
+test('the live lock decides, even when fences were drawn out of order', async () => {
+  pb.seed('screenplay_locks', {
+    id: 'late',
+    key: 'save:sp1',
+    screenplayId: 'sp1',
+    holderId: 'owner',
+    acquiredAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + 60_000).toISOString(),
+    fence: 3,
+  });
+  Object.assign(pb.collection('screenplay_status').get('status1'), { saveLockFence: 4, saveLock: { userId: 'owner', fence: 3 } });
+
+  assert.equal((await save('owner', { fence: 3 })).statusCode, 200);
+  assert.equal((await save('owner', { fence: 4 })).statusCode, 409);
+});
+
+test('whether a fence is needed follows the lock store, not the mirrored copy', async () => {
+  Object.assign(pb.collection('screenplay_status').get('status1'), { saveLock: { userId: 'owner', fence: 9 } });
+  assert.equal((await save('writer', {})).statusCode, 200);
+
+  pb.collection('screenplay_status').get('status1').saveLock = null;
+  pb.seed('screenplay_locks', {
+    id: 'unmirrored',
+    key: 'save:sp1',
+    screenplayId: 'sp1',
+    holderId: 'owner',
+    acquiredAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + 60_000).toISOString(),
+    fence: 10,
+  });
+  assert.equal((await save('owner', {})).statusCode, 400);
+});
@@ -0,0 +1,88 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+import { callHandler } from './helpers/http.js';
+import { mockFetch, jsonResponse } from './helpers/fetch.js';
+
+let pb;
+let syncCollaborators;
+let statusInit;
+let fetchMock;
+
+before(async () => {
+  pb = await startPocketBase();
+  ({ default: syncCollaborators } = await import('../api/screenplays/sync-collaborators.js'));
+  ({ default: statusInit } = await import('../api/screenplays/status-init.js'));
+  fetchMock = mockFetch({
+    'https://api.github.com/repos/fable/script/collaborators': () =>
+      jsonResponse([{ id: 101, login: 'maya' }, { id: 102, login: 'theo' }]),
+    'https://api.github.com/repos/stranger/repo/collaborators': () =>
+      jsonResponse([{ id: 666, login: 'intruder' }]),
+  });
+});
+
+after(async () => {
+  fetchMock.restore();
+  await pb.close();
+});
+
+beforeEach(() => {
+  fetchMock.calls.length = 0;
+  pb.collection('screenplay_status').clear();
+  pb.seed('users', { id: 'owner', name: 'Owner' }, { id: 'writer', name: 'Writer' }, { id: 'outsider', name: 'Outsider' });
+  pb.seed('scripts', { id: 'script1', screenplayId: 'sp1', userId: 'owner' });
+  pb.seed('screenplay_status', { id: 'status1', screenplayId: 'sp1', collaboratorIds: ['writer'] });
+});
+
+function sync(userId, body) {
+  return callHandler(syncCollaborators, {
+    method: 'POST',
+    userId,
+    params: { id: 'sp1' },
+    body: { githubToken: 'gh-token', ...body },
+  });
+}
+
+function status() {
+  return pb.collection('screenplay_status').get('status1');
+}
+
+test('the first sync links the repository and later ones keep using it', async () => {
+  const first = await sync('owner', { repoOwner: 'fable', repoName: 'script' });
+
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(first.body.collaborators.map((entry) => entry.login), ['maya', 'theo']);
+  assert.equal(status().repoOwner, 'fable');
+  assert.equal(status().repoName, 'script');
+
+  assert.equal((await sync('owner', {})).statusCode, 200);
+  assert.ok(fetchMock.calls.every((call) => call.url.startsWith('https://api.github.com/repos/fable/script/')));
+});
+
+test('a linked screenplay refuses to sync from another repository', async () => {
+  Object.assign(status(), { repoOwner: 'fable', repoName: 'script' });
+  const res = await sync('owner', { repoOwner: 'stranger', repoName: 'repo' });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(fetchMock.calls.length, 0);
+});
+
+test('only the owner may sync collaborators', async () => {
+  Object.assign(status(), { repoOwner: 'fable', repoName: 'script' });
+
+  assert.equal((await sync('writer', {})).statusCode, 403);
+  assert.equal((await sync('outsider', {})).statusCode, 403);
+  assert.equal(fetchMock.calls.length, 0);
+});
+
+test('without a linked repository one has to be named', async () => {
+  assert.equal((await sync('owner', {})).statusCode, 400);
+});
+
+test('status-init writes are for editors, not outsiders', async () => {
+  const save = (userId) =>
+    callHandler(statusInit, { method: 'POST', userId, params: { id: 'sp1' }, body: { commitSha: 'sha' } });
+
+  assert.equal((await save('outsider')).statusCode, 403);
+  assert.equal((await save('writer')).statusCode, 200);
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPocketBase } from './helpers/pocketbase.js';
+
+let pb;
+let ledger;
+
+before(async () => {
+  pb = await startPocketBase();
+  ledger = await import('../lib/token-ledger.js');
+});
+
+after(() => pb.close());
+
+function seedUser(id, tokensAvailable) {
+  pb.seed('users', { id, tokensAvailable, tokensUsed: 0 });
+}
+
+function entriesOf(userId) {
+  return pb.list('token_ledger').filter((entry) => entry.userId === userId);
+}
+
+test('a reservation holds the estimate and settling refunds what was not used', async () => {
+  seedUser('refund-user', 100);
+  const reservation = await ledger.reserveTokens('refund-user', 30, { requestId: 'r1' });
+  assert.equal(reservation.tokensAvailable, 70);
+
+  const balances = await ledger.settleReservation(reservation, 12);
+  assert.deepEqual(balances, { tokensAvailable: 88, tokensUsed: 12 });
+  assert.deepEqual(
+    entriesOf('refund-user').map(({ type, amount, balanceAfter }) => [type, amount, balanceAfter]),
+    [['opening', 100, 100], ['reserve', -30, 70], ['refund', 18, 88]],
+  );
+});
+
+test('settling above the reservation charges the difference', async () => {
+  seedUser('charge-user', 100);
+  const reservation = await ledger.reserveTokens('charge-user', 10);
+  const balances = await ledger.settleReservation(reservation, 25);
+
+  assert.deepEqual(balances, { tokensAvailable: 75, tokensUsed: 25 });
+  assert.deepEqual(entriesOf('charge-user').at(-1).amount, -15);
+});
+
+test('a released reservation gives every token back', async () => {
+  seedUser('release-user', 40);
+  const reservation = await ledger.reserveTokens('release-user', 40);
+  const balances = await ledger.releaseReservation(reservation, 'request_failed');
+
+  assert.equal(balances.tokensAvailable, 40);
+  assert.equal(entriesOf('release-user').at(-1).reason, 'request_failed');
+});
+
+test('the opening entry is written once per user', async () => {
+  seedUser('opening-user', 60);
+  await ledger.releaseReservation(await ledger.reserveTokens('opening-user', 5));
+  await ledger.releaseReservation(await ledger.reserveTokens('opening-user', 5));
+
+  assert.equal(entriesOf('opening-user').filter((entry) => entry.type === 'opening').length, 1);
+});
+
+test('the balance can be rebuilt from the ledger alone', async () => {
+  seedUser('rebuild-user', 200);
+  const first = await ledger.reserveTokens('rebuild-user', 50);
+  await ledger.settleReservation(first, 80);
+  const second = await ledger.reserveTokens('rebuild-user', 20);
+  await ledger.releaseReservation(second);
+
+  const rebuilt = await ledger.rebuildBalance('rebuild-user');
+  assert.equal(rebuilt.tokensAvailable, 120);
+  assert.equal(rebuilt.ledgerBalance, 120);
+  assert.equal(rebuilt.consistent, true);
+});
+
+test('concurrent first requests still write a single opening entry', async () => {
+  seedUser('racing-user', 90);
+  await Promise.all([
+    ledger.reserveTokens('racing-user', 5),
+    ledger.reserveTokens('racing-user', 5),
+    ledger.reserveTokens('racing-user', 5),
+  ]);
+
+  assert.equal(entriesOf('racing-user').filter((entry) => entry.type === 'opening').length, 1);
+  assert.equal((await ledger.rebuildBalance('racing-user')).consistent, true);
+});
+
+test('a balance change whose ledger entry cannot be written is undone', async () => {
+  seedUser('unwritten-user', 100);
+  const reservation = await ledger.reserveTokens('unwritten-user', 30);
+  pb.hooks.beforeWrite = (name) => (name === 'token_ledger' ? { status: 500, body: { message: 'down' } } : null);
+  try {
+    await assert.rejects(ledger.settleReservation(reservation, 10));
+  } finally {
+    pb.hooks.beforeWrite = null;
+  }
+
+  const user = pb.collection('users').get('unwritten-user');
+  assert.deepEqual([user.tokensAvailable, user.tokensUsed], [70, 0]);
+  assert.equal((await ledger.rebuildBalance('unwritten-user')).consistent, true);
+});
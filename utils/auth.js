@@ -0,0 +1,201 @@
+/**
+ * PocketBase token verification shared by every route.
+ * A token is accepted only once its signature has been checked. PocketBase refreshes it
+ * (the default), or it is checked locally against POCKETBASE_JWT_SECRET. PocketBase
+ * signs auth tokens with the record's tokenKey followed by the collection's token
+ * secret, so the local check loads the record with the admin client and falls back to
+ * a refresh when tokenKey is not readable.
+ * Results are cached by token hash for AUTH_CACHE_TTL_SECONDS (default 60), and never
+ * past the token's own `exp`.
+ */
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import PocketBase from 'pocketbase';
+import { log } from '../logger.js';
+import { getAdminClient } from '../lib/pocketbase-admin.js';
+
+const POCKETBASE_URL = process.env.POCKETBASE_URL || 'https://pb.hellofable.com';
+const JWT_SECRET = process.env.POCKETBASE_JWT_SECRET || '';
+const CACHE_TTL_MS = Math.max(0, Number(process.env.AUTH_CACHE_TTL_SECONDS ?? 60) || 0) * 1000;
+// Rejections are remembered briefly so a replayed bad token does not hit PocketBase each time
+const FAILURE_TTL_MS = 10 * 1000;
+const CACHE_MAX = 10000;
+
+// Older PocketBase versions label record tokens `authRecord`
+const AUTH_TOKEN_TYPES = new Set(['auth', 'authRecord']);
+
+const FAILURES = {
+  missing_token: { status: 401, message: 'Missing Authorization bearer token' },
+  invalid_token: { status: 401, message: 'Invalid authentication token' },
+  expired_token: { status: 401, message: 'Authentication token expired' },
+  auth_unavailable: { status: 503, message: 'Authentication service unavailable' },
+};
+
+const cache = new Map();
+
+function failure(reason) {
+  return { error: reason, ...FAILURES[reason] };
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function parseToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const header = decodeSegment(parts[0]);
+  const payload = decodeSegment(parts[1]);
+  if (header?.alg !== 'HS256' || !payload?.id || !AUTH_TOKEN_TYPES.has(payload.type)) {
+    return null;
+  }
+  return { parts, payload };
+}
+
+function isExpired(payload, now = Date.now()) {
+  return !Number.isFinite(payload.exp) || payload.exp * 1000 <= now;
+}
+
+function signatureMatches(parts, key) {
+  const expected = createHmac('sha256', key).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], 'base64url');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function toUser(record, payload) {
+  const { tokenKey, ...publicRecord } = record;
+  return {
+    id: record.id,
+    collectionId: record.collectionId || payload.collectionId || null,
+    collectionName: record.collectionName || null,
+    email: record.email || null,
+    username: record.username || null,
+    name: record.name || null,
+    hasValidSub: Boolean(record.hasValidSub),
+    record: publicRecord,
+  };
+}
+
+function verificationError(error) {
+  // 401/403/404 mean PocketBase rejected the token or its record; anything else is an outage
+  const status = error?.status;
+  return status === 401 || status === 403 || status === 404 ? 'invalid_token' : 'auth_unavailable';
+}
+
+async function verifyWithRefresh(token, payload) {
+  const pb = new PocketBase(POCKETBASE_URL);
+  pb.authStore.save(token, null);
+  try {
+    const { record } = await pb.collection(payload.collectionId || 'users').authRefresh({ requestKey: null });
+    return { user: toUser(record, payload) };
+  } catch (error) {
+    const reason = verificationError(error);
+    if (reason === 'auth_unavailable') {
+      log('error', 'auth_refresh_fail', { status: error?.status, message: error?.message });
+    }
+    return failure(reason);
+  } finally {
+    pb.authStore.clear();
+  }
+}
+
+async function verifyWithSecret(token, parsed) {
+  const { parts, payload } = parsed;
+  let record;
+  try {
+    const pb = await getAdminClient();
+    record = await pb.collection(payload.collectionId || 'users').getOne(payload.id, { requestKey: null });
+  } catch (error) {
+    const reason = verificationError(error);
+    if (reason === 'auth_unavailable') {
+      log('error', 'auth_record_lookup_fail', { status: error?.status, message: error?.message });
+    }
+    return failure(reason);
+  }
+  if (!record?.tokenKey) {
+    return verifyWithRefresh(token, payload);
+  }
+  if (!signatureMatches(parts, `${record.tokenKey}${JWT_SECRET}`)) {
+    return failure('invalid_token');
+  }
+  return { user: toUser(record, payload) };
+}
+
+function remember(key, result, expiresAt) {
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, { result, expiresAt });
+}
+
+/**
+ * Verify a PocketBase auth token
+ * @param {string} token - Raw token, without the `Bearer ` prefix
+ * @returns {Promise<{user: Object}|{error: string, status: number, message: string}>}
+ */
+export async function verifyPocketBaseToken(token) {
+  if (!token) return failure('missing_token');
+
+  const parsed = parseToken(token);
+  if (!parsed) return failure('invalid_token');
+  if (isExpired(parsed.payload)) return failure('expired_token');
+
+  const key = createHash('sha256').update(token).digest('hex');
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.result;
+  cache.delete(key);
+
+  const result = JWT_SECRET ? await verifyWithSecret(token, parsed) : await verifyWithRefresh(token, parsed.payload);
+  if (result.user && CACHE_TTL_MS > 0) {
+    remember(key, result, Math.min(Date.now() + CACHE_TTL_MS, parsed.payload.exp * 1000));
+  } else if (result.error === 'invalid_token') {
+    remember(key, result, Date.now() + FAILURE_TTL_MS);
+  }
+  return result;
+}
+
+function bearerToken(req) {
+  const authHeader = req.headers?.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+}
+
+/**
+ * Authenticate the caller of a handler. Reuses the result of the authenticate()
+ * middleware when it ran, so handlers also work when deployed as standalone functions.
+ * On success sets req.user and returns the user with the verified token.
+ * @param {Object} req - Incoming request
+ * @returns {Promise<{user: Object, token: string}|{error: string, status: number, message: string}>}
+ */
+export async function authenticateRequest(req) {
+  if (req.auth?.user) return req.auth;
+  const token = bearerToken(req);
+  const result = await verifyPocketBaseToken(token);
+  if (!result.user) return result;
+  req.auth = { user: result.user, token };
+  req.user = result.user;
+  return req.auth;
+}
+
+/**
+ * Express middleware attaching req.user for requests carrying a bearer token.
+ * Requests without one pass through so public routes keep working; the handlers
+ * decide whether a user is required. Invalid or expired tokens are rejected here.
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - Path prefixes that bypass authentication
+ * @returns {Function} - (req, res, next) middleware
+ */
+export function authenticate({ skip = [] } = {}) {
+  return async function authenticateMiddleware(req, res, next) {
+    if (req.method === 'OPTIONS' || skip.some((prefix) => req.originalUrl?.startsWith(prefix))) {
+      return next();
+    }
+    if (!bearerToken(req)) return next();
+
+    const auth = await authenticateRequest(req);
+    if (auth.user) return next();
+
+    log('warn', 'auth_rejected', { reason: auth.error, path: req.path });
+    return res.status(auth.status).json({ error: auth.message });
+  };
+}
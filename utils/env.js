@@ -0,0 +1,32 @@
+/**
+ * Reading structured configuration from environment variables
+ */
+import { log } from '../logger.js';
+
+/**
+ * Parse an environment variable holding JSON. An unset variable gives an empty value;
+ * so does invalid JSON or JSON of the wrong shape, which is logged as `event`.
+ * @param {string} name - Environment variable name
+ * @param {string} event - Log event name for an invalid value
+ * @param {Object} [options]
+ * @param {'object'|'array'} [options.expect='object'] - Required top-level JSON type
+ * @returns {Object|Array} - The parsed value, or {} / [] when unset or invalid
+ */
+export function readJsonEnv(name, event, { expect = 'object' } = {}) {
+  const empty = expect === 'array' ? [] : {};
+  const raw = process.env[name];
+  if (!raw) return empty;
+  try {
+    const parsed = JSON.parse(raw);
+    const shapeOk = expect === 'array'
+      ? Array.isArray(parsed)
+      : Boolean(parsed) && typeof parsed === 'object' && !Array.isArray(parsed);
+    if (!shapeOk) {
+      throw new Error(`expected a JSON ${expect}`);
+    }
+    return parsed;
+  } catch (error) {
+    log('error', event, { variable: name, message: error?.message });
+    return empty;
+  }
+}
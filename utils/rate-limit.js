@@ -0,0 +1,255 @@
+/**
+ * Token-bucket rate limiting for the Express routes in server.js.
+ * Buckets are keyed by the user that authenticate() (utils/auth.js) attached as
+ * req.user, so that middleware must run first, and fall back to the client IP.
+ * Limits are configured per route group and per plan; RATE_LIMITS may hold JSON
+ * overriding any of DEFAULT_LIMITS, e.g.
+ *   {"ai": {"free": {"capacity": 10, "refillPerMinute": 5}}}
+ */
+import { log } from '../logger.js';
+import { readJsonEnv } from './env.js';
+
+const DEFAULT_LIMITS = {
+  // Provider-backed routes: each call costs real money
+  ai: {
+    anonymous: { capacity: 5, refillPerMinute: 2 },
+    free: { capacity: 20, refillPerMinute: 10 },
+    subscriber: { capacity: 60, refillPerMinute: 30 },
+  },
+  tts: {
+    anonymous: { capacity: 5, refillPerMinute: 2 },
+    free: { capacity: 10, refillPerMinute: 5 },
+    subscriber: { capacity: 30, refillPerMinute: 15 },
+  },
+  voice: {
+    anonymous: { capacity: 3, refillPerMinute: 1 },
+    free: { capacity: 5, refillPerMinute: 2 },
+    subscriber: { capacity: 20, refillPerMinute: 10 },
+  },
+  // Everything else under /api
+  default: {
+    anonymous: { capacity: 60, refillPerMinute: 60 },
+    free: { capacity: 120, refillPerMinute: 120 },
+    subscriber: { capacity: 240, refillPerMinute: 240 },
+  },
+};
+
+const CONFIGURED_LIMITS = readJsonEnv('RATE_LIMITS', 'rate_limit_config_invalid');
+
+/**
+ * Resolve the bucket settings for a route group and plan
+ * @param {string} route - Route group name (ai, tts, voice, default, ...)
+ * @param {string} plan - anonymous, free or subscriber
+ * @returns {{capacity: number, refillPerSecond: number}|null} - null disables limiting
+ */
+export function getLimit(route, plan) {
+  const routeLimits = {
+    ...(DEFAULT_LIMITS[route] || DEFAULT_LIMITS.default),
+    ...(CONFIGURED_LIMITS[route] || {}),
+  };
+  const limit = routeLimits[plan] ?? routeLimits.free;
+  if (!limit || limit.disabled) return null;
+  const capacity = Math.max(1, Number(limit.capacity) || 1);
+  const refillPerMinute = Math.max(0, Number(limit.refillPerMinute ?? capacity) || 0);
+  return { capacity, refillPerSecond: refillPerMinute / 60 };
+}
+
+/**
+ * In-process token buckets. Fine for a single instance; use a shared store when
+ * several instances sit behind a load balancer.
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys=50000] - Buckets kept before the oldest are evicted
+ * @returns {{take: Function}}
+ */
+export function createMemoryStore({ maxKeys = 50000 } = {}) {
+  const buckets = new Map();
+  return {
+    async take(key, { capacity, refillPerSecond, cost = 1, now = Date.now() }) {
+      const previous = buckets.get(key);
+      let tokens = capacity;
+      if (previous) {
+        const elapsed = Math.max(0, now - previous.updatedAt) / 1000;
+        tokens = Math.min(capacity, previous.tokens + elapsed * refillPerSecond);
+        buckets.delete(key);
+      }
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+      // Re-inserting keeps Map order by last use, so eviction drops idle buckets first
+      buckets.set(key, { tokens, updatedAt: now });
+      while (buckets.size > maxKeys) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return bucketState({ allowed, tokens, capacity, refillPerSecond, cost });
+    },
+  };
+}
+
+// Same algorithm as the memory store, run atomically inside Redis.
+const REDIS_TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1])
+local updated = tonumber(state[2])
+if tokens == nil then
+  tokens = capacity
+else
+  tokens = math.min(capacity, tokens + math.max(0, now - updated) / 1000 * refill)
+end
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+local ttl = 60
+if refill > 0 then ttl = math.ceil(capacity / refill) + 1 end
+redis.call('EXPIRE', KEYS[1], ttl)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Shared buckets in Redis. Works with an ioredis client or a node-redis v4 client;
+ * the caller passes a connected client in (see configureRateLimitStore).
+ * @param {Object} client - Connected Redis client exposing eval()
+ * @param {Object} [options]
+ * @param {string} [options.prefix='ratelimit:'] - Key prefix
+ * @returns {{take: Function}}
+ */
+export function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+  // node-redis v4 takes (script, { keys, arguments }); ioredis takes (script, numKeys, ...args)
+  const isNodeRedis = typeof client?.isOpen === 'boolean';
+  return {
+    async take(key, { capacity, refillPerSecond, cost = 1, now = Date.now() }) {
+      const args = [capacity, refillPerSecond, cost, now].map(String);
+      const reply = isNodeRedis
+        ? await client.eval(REDIS_TAKE_SCRIPT, { keys: [prefix + key], arguments: args })
+        : await client.eval(REDIS_TAKE_SCRIPT, 1, prefix + key, ...args);
+      const [allowed, tokens] = reply;
+      return bucketState({
+        allowed: Number(allowed) === 1,
+        tokens: Number(tokens),
+        capacity,
+        refillPerSecond,
+        cost,
+      });
+    },
+  };
+}
+
+function bucketState({ allowed, tokens, capacity, refillPerSecond, cost }) {
+  const secondsUntil = (target) =>
+    refillPerSecond > 0 ? Math.max(0, Math.ceil((target - tokens) / refillPerSecond)) : 60;
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.max(0, Math.floor(tokens)),
+    // Seconds until another request would be admitted, and until the bucket is full
+    retryAfter: allowed ? 0 : Math.max(1, secondsUntil(cost)),
+    reset: secondsUntil(capacity),
+  };
+}
+
+let activeStore = createMemoryStore();
+
+/**
+ * Replace the bucket store, e.g. with createRedisStore(client) at startup
+ * @param {{take: Function}} store - Object exposing take(key, limit)
+ */
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * Switch to Redis-backed buckets when RATE_LIMIT_REDIS_URL is set, so every instance
+ * behind the load balancer shares them. If Redis cannot be reached at startup the
+ * in-process store stays in place.
+ * @param {string} [url=process.env.RATE_LIMIT_REDIS_URL] - redis:// or rediss:// URL
+ * @param {Object} [options]
+ * @param {number} [options.connectTimeoutMs=5000] - How long startup waits for Redis
+ * @returns {Promise<boolean>} - Whether the Redis store is now active
+ */
+export async function configureRateLimitStore(
+  url = process.env.RATE_LIMIT_REDIS_URL,
+  { connectTimeoutMs = REDIS_CONNECT_TIMEOUT_MS } = {},
+) {
+  if (!url) return false;
+  let client;
+  try {
+    const { createClient } = await import('redis');
+    // Without the offline queue, calls made while Redis is away fail at once and the
+    // middleware lets the request through instead of holding it
+    client = createClient({ url, disableOfflineQueue: true });
+    client.on('error', (error) => log('warn', 'rate_limit_redis_error', { message: error?.message }));
+    let timer;
+    await Promise.race([
+      client.connect(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no connection within ${connectTimeoutMs}ms`)), connectTimeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
+    setRateLimitStore(createRedisStore(client));
+    log('info', 'rate_limit_store_redis', {});
+    return true;
+  } catch (error) {
+    log('error', 'rate_limit_redis_unavailable', { message: error?.message });
+    await client?.disconnect().catch(() => {});
+    return false;
+  }
+}
+
+function clientIp(req) {
+  // Behind a proxy, set Express's `trust proxy` so req.ip reflects X-Forwarded-For
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function setHeaders(res, state, limit) {
+  const windowSeconds = limit.refillPerSecond > 0 ? Math.ceil(limit.capacity / limit.refillPerSecond) : 60;
+  res.setHeader('RateLimit-Policy', `${limit.capacity};w=${windowSeconds}`);
+  res.setHeader('RateLimit-Limit', String(state.limit));
+  res.setHeader('RateLimit-Remaining', String(state.remaining));
+  res.setHeader('RateLimit-Reset', String(state.reset));
+}
+
+/**
+ * Express middleware enforcing the bucket for a route group
+ * @param {string} route - Route group name used to look up limits
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - Path prefixes that bypass this limiter
+ * @param {string[]} [options.skipExact] - Paths that bypass it, matched exactly (no query)
+ * @returns {Function} - (req, res, next) middleware
+ */
+export function rateLimit(route, { skip = [], skipExact = [] } = {}) {
+  return async function rateLimitMiddleware(req, res, next) {
+    const path = String(req.originalUrl ?? '').split('?')[0];
+    if (req.method === 'OPTIONS' || skip.some((prefix) => path.startsWith(prefix)) || skipExact.includes(path)) {
+      return next();
+    }
+
+    const userId = req.user?.id || null;
+    const plan = userId ? (req.user.hasValidSub ? 'subscriber' : 'free') : 'anonymous';
+    const limit = getLimit(route, plan);
+    if (!limit) return next();
+
+    const key = `${route}:${userId ? `user:${userId}` : `ip:${clientIp(req)}`}`;
+    let state;
+    try {
+      state = await activeStore.take(key, limit);
+    } catch (error) {
+      // A broken shared store must not take the API down with it
+      log('error', 'rate_limit_store_fail', { route, message: error?.message });
+      return next();
+    }
+
+    setHeaders(res, state, limit);
+    if (state.allowed) return next();
+
+    log('warn', 'rate_limited', { route, plan, key_type: userId ? 'user' : 'ip', retry_after: state.retryAfter });
+    res.setHeader('Retry-After', String(state.retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfter: state.retryAfter });
+  };
+}